@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/** shapetree - ShapeTree operations on a local document root
+ *
+ * Usage: shapetree [options] <command> [arguments]
+ *
+ * Commands print JSON on stdout; audit and walk print one JSON object per
+ * line as results arrive. Failures print an application/problem+json object
+ * on stderr. The exit status is 0 on success, 1 if the data or ShapeTree
+ * doesn't conform (validate, lint, audit) and 2 on errors.
+ *
+ * ShapeTree and schema arguments may be URLs or local files, e.g.
+ * trees/notes.ttl#root; resources and Containers are resolved against --base.
+ * @module shapetree
+ */
+
+const Fs = require('fs');
+const Path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const RdfSerializer = require('../lib/rdf-serialization');
+const Errors = require('../lib/rdf-errors');
+const ValidationReport = require('../lib/validation-report');
+const BinaryConstraints = require('../lib/binary-constraints');
+const FsPromise = require('../storage/fs-promises');
+const JournaledStorage = require('../storage/journaled');
+const SimpleApps = require('../ecosystems/simple-apps');
+const MediaTypes = require('../lib/media-types');
+const { makeResponse } = require('../lib/fetch-response');
+const LdpServer = require('../lib/ldp-server');
+
+const Usage = `Usage: shapetree [options] <command> [arguments]
+
+Commands:
+  plant <container> <shapetree> [--name name]  plant (or reuse) a ShapeTree instance in container
+  migrate <instance> <shapetree>               move an instance to another version of its ShapeTree
+  validate <file> --step <step> [--focus iri] [--type media-type] [--digest content-digest]
+                                               validate a local file against a ShapeTree step
+  lint <shapetree>                             statically check a ShapeTree
+  audit <container>                            report non-conforming resources in a ShapeTree instance
+  walk <shapetree> [--control n]               list steps reachable via tree:contains and tree:references
+  metadata <resource>                          show a resource's ShapeTree metadata
+  cache ls | clear | rm <url>                  list, empty or remove entries in the ShapeTree cache
+  serve [--port n] [--host name]               serve the document root as LDP, enforcing ShapeTrees
+
+Options:
+  --root dir           document root (default: .)
+  --base url           URL of the document root (default: http://localhost/)
+  --cache path         cache Container, relative to the document root (default: Cache)
+  --index-file name    Container index file name (default: .index.ttl)
+  --metadata-suffix s  metadata file suffix (default: .meta)
+`;
+
+const Defaults = {
+  root: '.',
+  base: 'http://localhost/',
+  cache: 'Cache',
+  'index-file': '.index.ttl',
+  'metadata-suffix': '.meta',
+};
+
+/* Each command gets the environment from setup() (null for commands in
+ * NoSetup), its positional arguments and options. It returns a value to print
+ * or an async iterable of values to print one per line. Commands (or
+ * "command subcommand"s) in ReadOnly get a setup() which writes nothing to
+ * the document root: no journal, recovery, Containers or cache entries.
+ */
+const NoSetup = ['serve'];
+const ReadOnly = ['validate', 'lint', 'audit', 'walk', 'metadata', 'cache ls'];
+const Commands = {
+  async plant ({ ShapeTree, ecosystem, storage, resource, shapeTreeUrl }, [container, shapeTree], opts) {
+    const parentUrl = resource(container, true);
+    const treeUrl = shapeTreeUrl(shapeTree);
+    return storage.transaction(async () => {
+      const parent = await ShapeTree.loadContainer(parentUrl);
+      const rootStep = (await new ShapeTree.RemoteShapeTree(treeUrl).fetch()).tree;
+      let location = ecosystem.reuseShapeTree(parent, treeUrl, rootStep);
+      if (location)
+        return { location, reused: true };
+      location = await parent.plantShapeTreeInstance(treeUrl, opts.name || Path.basename(treeUrl.pathname).replace(/\.[^.]*$/, ''));
+      ecosystem.indexInstalledShapeTree(parent, location, treeUrl, rootStep);
+      await parent.write();
+      return { location, reused: false };
+    });
+  },
+
+  async migrate ({ ShapeTree, storage, resource, shapeTreeUrl }, [instance, shapeTree]) {
+    const instanceUrl = resource(instance, true);
+    const problems = await storage.transaction(() => ShapeTree.migrateInstance(instanceUrl, shapeTreeUrl(shapeTree)));
+    return { location: instanceUrl, problems: problems.map(auditJson) };
+  },
+
+  async validate ({ ShapeTree, rdfInterface, shapeTreeUrl }, [file], opts) {
+    if (!file || !opts.step)
+      throw new UsageError('validate needs a file and --step');
+    const stepUrl = shapeTreeUrl(opts.step);
+    const shapeTree = await new ShapeTree.RemoteShapeTree(stepUrl).fetch();
+    const step = shapeTree.ids[stepUrl.href];
+    if (!step)
+      throw new Errors.ShapeTreeStructureError(stepUrl.href, `no step <${stepUrl.href}>`);
+    const body = await Fs.promises.readFile(file);
+    const base = pathToFileURL(Path.resolve(file));
+    const mediaType = opts.type || MediaTypes.fromPath(file);
+    try {
+      if (step.expectsType && step.expectsType.href.endsWith('#NonRDFSource')) {
+        BinaryConstraints.check(step, body, mediaType, opts.digest || BinaryConstraints.contentDigest(body), base);
+        return { conforms: true, step: stepUrl };
+      }
+      if (!step.validatedBy)
+        throw new Errors.ShapeTreeStructureError(stepUrl.href, `<${stepUrl.href}> has no tree:validatedBy property`);
+      const focus = new URL(opts.focus || '', base);
+      const graph = await rdfInterface.parseRdf(body.toString('utf8'), base, mediaType, {});
+      await shapeTree.validate(step.validatedBy.href, graph, focus.href);
+      return { conforms: true, step: stepUrl, focusNode: focus, shape: step.validatedBy };
+    } catch (e) {
+      if (!(e instanceof Errors.ValidationError || e instanceof Errors.BinaryConstraintError))
+        throw e;
+      process.exitCode = 1;
+      return Object.assign({ conforms: false }, ValidationReport.problemDetails(e));
+    }
+  },
+
+  async lint ({ ShapeTree, shapeTreeUrl }, [shapeTree]) {
+    const diagnostics = await ShapeTree.lintShapeTree(shapeTreeUrl(shapeTree));
+    if (diagnostics.find(d => d.level === 'error'))
+      process.exitCode = 1;
+    return diagnostics;
+  },
+
+  async * audit ({ ShapeTree, resource }, [container]) {
+    for await (const report of ShapeTree.auditInstance(resource(container, true))) {
+      process.exitCode = 1;
+      yield auditJson(report);
+    }
+  },
+
+  async * walk ({ ShapeTree, shapeTreeUrl }, [shapeTree], opts) {
+    const tree = await ShapeTree.RemoteShapeTree.get(shapeTreeUrl(shapeTree));
+    // control is a mask of RemoteShapeTree.REPORT_* and RemoteShapeTree.RECURSE_* flags
+    yield* tree.walkReferencedTrees('control' in opts ? parseInt(opts.control) : ShapeTree.RemoteShapeTree.DEFAULT);
+  },
+
+  async metadata ({ storage, resource }, [target]) {
+    const url = resource(target);
+    if (!await storage.rstat(url).catch(e => null))
+      throw new Errors.NotFoundError(url, 'resource', 'metadata');
+    const graph = await storage.readMetaData(url, {});
+    const ret = { resource: url };
+    for (const q of graph.getQuads(url.href, null, null)) {
+      const name = q.predicate.value.replace(/^.*[#/]/, '');
+      ret[name] = name in ret ? [].concat(ret[name], q.object.value) : q.object.value;
+    }
+    return ret;
+  },
+
+  async cache ({ ecosystem }, [subcommand, url]) {
+    switch (subcommand) {
+    case 'ls':
+      return ecosystem.listCache();
+    case 'clear':
+      await ecosystem.clearCache();
+      return { cleared: true };
+    case 'rm':
+      if (!url)
+        throw new UsageError('cache rm needs a URL');
+      return { url, removed: await ecosystem.invalidateCache(new URL(url)) };
+    default:
+      throw new UsageError(`unknown cache command "${subcommand}"`);
+    }
+  },
+
+  async * serve (env, args, opts) {
+    const server = await LdpServer.start({
+      documentRoot: Path.resolve(opts.root),
+      port: parseInt(opts.port || '0'),
+      host: opts.host,
+      baseUrl: opts.base !== Defaults.base ? opts.base : undefined,
+      cache: opts.cache,
+      indexFile: opts['index-file'],
+      metaDataSuffix: opts['metadata-suffix'],
+    });
+    yield { url: server.url };
+    await new Promise(resolve => server.server.on('close', resolve));
+  },
+};
+
+/** UsageError - bad command line
+ */
+class UsageError extends Error {}
+
+/* [command, positional arguments, options] from argv
+ */
+function parseArgs (argv) {
+  const positional = [];
+  const opts = Object.assign({}, Defaults);
+  for (let i = 0; i < argv.length; ++i) {
+    const m = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!m)
+      positional.push(argv[i]);
+    else if (m[2] !== undefined)
+      opts[m[1]] = m[2];
+    else if (m[1] === 'help')
+      opts.help = true;
+    else if (i + 1 < argv.length)
+      opts[m[1]] = argv[++i];
+    else
+      throw new UsageError(`--${m[1]} needs a value`);
+  }
+  return [positional[0], positional.slice(1), opts];
+}
+
+/* storage, ShapeTree library and ecosystem for opts.root
+ * readOnly - for commands which only read, so the document root isn't touched
+ */
+async function setup (opts, readOnly = false) {
+  const base = new URL(opts.base.endsWith('/') ? opts.base : opts.base + '/');
+  const cacheUrl = new URL(opts.cache.replace(/\/?$/, '/'), base);
+  const fsStorage = new FsPromise({
+    documentRoot: Path.resolve(opts.root),
+    indexFile: opts['index-file'],
+    metaDataSuffix: opts['metadata-suffix'],
+  }, RdfSerializer);
+  let storage = fsStorage;
+  if (!readOnly) {
+    // Like shapeTreeFetch, roll back interrupted plants before starting.
+    storage = new JournaledStorage(fsStorage, RdfSerializer, new URL('/', base), [cacheUrl], { journals: fsStorage.journalStorage() });
+    await storage.recover();
+    await storage.ensureContainer(base, {}, 'root');
+    await storage.ensureContainer(cacheUrl, {}, 'Cache Container');
+  }
+
+  let ecosystem = null;
+  const ShapeTree = require('../lib/shape-tree')(storage, RdfSerializer, (url, options) => url.protocol === 'file:'
+    ? fileFetch(url)
+    : ecosystem.cachingFetch(url, options));
+  ecosystem = new SimpleApps(storage, ShapeTree, RdfSerializer, { store: !readOnly });
+  ecosystem.baseUrl = base;
+  ecosystem.cacheUrl = cacheUrl;
+
+  return {
+    storage,
+    ShapeTree,
+    ecosystem,
+    rdfInterface: RdfSerializer,
+    // resource or Container in the document root
+    resource: (arg, isContainer = false) => {
+      if (!arg)
+        throw new UsageError(`missing ${isContainer ? 'Container' : 'resource'} argument`);
+      return new URL(isContainer ? arg.replace(/\/?$/, '/') : arg, base);
+    },
+    // ShapeTree or step from a URL or local file name
+    shapeTreeUrl: arg => {
+      if (!arg)
+        throw new UsageError('missing ShapeTree argument');
+      if (arg.match(/^[a-z][a-z0-9+.-]+:/i))
+        return new URL(arg);
+      const [file, hash] = arg.split('#');
+      const ret = pathToFileURL(Path.resolve(file));
+      if (hash !== undefined)
+        ret.hash = hash;
+      return ret;
+    },
+  };
+}
+
+/* a fetch Response for a local file
+ */
+async function fileFetch (url) {
+  const noHash = new URL(url);
+  noHash.hash = '';
+  const path = fileURLToPath(noHash);
+  const [status, text] = await Fs.promises.readFile(path, 'utf8').then(
+    text => [200, text],
+    e => [e.code === 'ENOENT' ? 404 : 500, e.message]
+  );
+  return makeResponse(noHash, text, { status, type: status === 200 ? MediaTypes.fromPath(path, 'text/turtle') : 'text/plain' });
+}
+
+/* auditInstance() report as JSON
+ */
+function auditJson (report) {
+  return {
+    code: report.code,
+    resource: report.resource,
+    step: report.step,
+    message: report.message,
+    status: report.error ? report.error.status : undefined,
+  };
+}
+
+async function main (argv) {
+  let command, args, opts;
+  try {
+    [command, args, opts] = parseArgs(argv);
+    if (opts.help || !command) {
+      process.stdout.write(Usage);
+      return opts.help ? 0 : 2;
+    }
+    if (!(command in Commands))
+      throw new UsageError(`unknown command "${command}"`);
+    const readOnly = ReadOnly.indexOf(command) !== -1 || ReadOnly.indexOf(`${command} ${args[0]}`) !== -1;
+    const env = NoSetup.indexOf(command) === -1 ? await setup(opts, readOnly) : null;
+    const ret = await Commands[command](env, args, opts);
+    if (ret && typeof ret[Symbol.asyncIterator] === 'function') {
+      for await (const line of ret)
+        process.stdout.write(JSON.stringify(line) + '\n');
+    } else {
+      process.stdout.write(JSON.stringify(ret, null, 2) + '\n');
+    }
+    return process.exitCode || 0;
+  } catch (e) {
+    if (e instanceof UsageError) {
+      process.stderr.write(`shapetree: ${e.message}\n\n${Usage}`);
+      return 2;
+    }
+    const problem = e instanceof Errors.ManagedError
+          ? ValidationReport.problemDetails(e)
+          : { type: 'about:blank', title: e.name, status: e.status || 500, detail: e.message };
+    process.stderr.write(JSON.stringify(problem, null, 2) + '\n');
+    return 2;
+  }
+}
+
+/* istanbul ignore if */
+if (require.main === module)
+  main(process.argv.slice(2)).then(code => process.exit(code));
+
+module.exports = { main, parseArgs };
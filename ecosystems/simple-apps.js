@@ -4,8 +4,15 @@
  * * indexInstalledShapeTree - assert that a local URL is an instance of a ShapeTree
  * * unindexInstalledShapeTree - remove assertion that a local URL is an instance of a ShapeTree
  * * reuseShapeTree - look in an LDPC for instances of a footprint
+ * * needsMigration - whether a reused instance should move to a newer ShapeTree
+ * * reindexMigratedInstance - update indexes and registrations of a migrated instance
  * * registerInstance - register a new ShapeTree instance
+ * * unregisterInstance - remove the registration of a ShapeTree instance
  * * parseInstatiationPayload - parse payload when planting a ShapeTree
+ * * cachingFetch - fetch with an HTTP cache persisted in /cache
+ * * invalidateCache - remove a URL from the cache
+ * * clearCache - remove everything from the cache
+ * * listCache - describe cached URLs
  * @module SimpleApps
  */
 
@@ -25,35 +32,31 @@
 
 const Fs = require('fs');
 const Fetch = require('node-fetch');
+const Semver = require('semver');
 const Log = require('debug')('		simpleApps');
 const Details = Log.extend('details');
 const Errors = require('../lib/rdf-errors');
 const Mutex = require('../lib/mutex');
+const LruCache = require('../lib/lru-cache');
 const Prefixes = require('../lib/prefixes');
+const { makeResponse } = require('../lib/fetch-response');
 const { DataFactory } = require("n3");
 const { namedNode, literal, defaultGraph, quad } = DataFactory;
 
-class FakeResponse {
-  constructor (url, headers, text) {
-    this._url = url;
-    this.headers = headers;
-    this._text = text;
-    this.ok = true;
-  }
-  text () { return Promise.resolve(this._text); }
-};
-
 /** a simple ecosystem
  * @param {Storage} storage - instance of Storage API
  * @param {ShapeTree} shapeTree - ShapeTree library instance
  * @param rdfInterface - instance of RDF Serializatin API
+ * @param {object} [cachePolicy] - overrides for SimpleApps.DefaultCachePolicy
 */
 class SimpleApps {
-  constructor (storage, shapeTree, rdfInterface) {
+  constructor (storage, shapeTree, rdfInterface, cachePolicy = {}) {
     this.storage = storage;
     this.shapeTree = shapeTree;
     this._rdfInterface = rdfInterface;
-    this._mutex = new Mutex();
+    this._mutex = new Mutex('SimpleApps cache');
+    this.cachePolicy = Object.assign({}, SimpleApps.DefaultCachePolicy, cachePolicy);
+    this._cacheIndex = null; // Promise of an LruCache, loaded on first cachingFetch.
   }
 
   /** recursively create a container and any children containers.
@@ -107,9 +110,15 @@ class SimpleApps {
    * @param {ShapeTree.ManagedContainer} parent
    * @param {URL} instanceUrl
    * @param {URL} shapeTreeUrl
+   * @param {object} [rootStep] - parsed root step of the ShapeTree; its version and versionOf are indexed too
    */
-  indexInstalledShapeTree (parent, instanceUrl, shapeTreeUrl) {
-    parent.graph.addQuad(namedNode(instanceUrl.href), namedNode(Prefixes.tree + 'shapeTreeRoot'), namedNode(shapeTreeUrl.href));
+  indexInstalledShapeTree (parent, instanceUrl, shapeTreeUrl, rootStep = {}) {
+    const instance = namedNode(instanceUrl.href);
+    parent.graph.addQuad(instance, namedNode(Prefixes.tree + 'shapeTreeRoot'), namedNode(shapeTreeUrl.href));
+    if (rootStep.version) {
+      parent.graph.addQuad(instance, namedNode(Prefixes.tree + 'shapeTreeVersion'), literal(rootStep.version));
+      parent.graph.addQuad(instance, namedNode(Prefixes.tree + 'versionOf'), namedNode(lineage(shapeTreeUrl, rootStep)));
+    }
     parent.prefixes['tree'] = Prefixes.tree;
   }
 
@@ -119,16 +128,80 @@ class SimpleApps {
    * @param {URL} shapeTreeUrl
    */
   unindexInstalledShapeTree (parent, instanceUrl, shapeTreeUrl) {
-    parent.graph.removeQuad(namedNode(instanceUrl.href), namedNode(Prefixes.tree + 'shapeTreeRoot'), namedNode(shapeTreeUrl.href));
+    const instance = namedNode(instanceUrl.href);
+    parent.graph.removeQuad(instance, namedNode(Prefixes.tree + 'shapeTreeRoot'), namedNode(shapeTreeUrl.href));
+    ['shapeTreeVersion', 'versionOf'].forEach(
+      ln => parent.graph.removeQuads(parent.graph.getQuads(instance, namedNode(Prefixes.tree + ln), null))
+    );
   }
 
   /** reuseShapeTree - look in an LDPC for instances of a footprint
+   * An instance of another version of the ShapeTree is reused if its version
+   * satisfies the ShapeTree's tree:compatibleWith range (default: same major
+   * version); the newest such instance wins.
    * @param {ShapeTree.ManagedContainer} parent
-   * @param {ShapeTree.RemoteShapeTree} shapeTreeUrl
+   * @param {URL} shapeTreeUrl
+   * @param {object} [rootStep] - parsed root step of the ShapeTree, for its version, versionOf and compatibleWith
+   * @returns {URL|null} - instance to reuse
    */
-  reuseShapeTree (parent, shapeTreeUrl) {
+  reuseShapeTree (parent, shapeTreeUrl, rootStep = {}) {
     const q = this._rdfInterface.zeroOrOne(parent.graph, null, namedNode(Prefixes.tree + 'shapeTreeRoot'), namedNode(shapeTreeUrl.href));
-    return q ? new URL(q.subject.value) : null;
+    if (q)
+      return new URL(q.subject.value);
+    if (!Semver.valid(rootStep.version))
+      return null;
+    const range = rootStep.compatibleWith || `^${Semver.major(rootStep.version)}.0.0`;
+    const compatible = parent.graph.getQuads(null, namedNode(Prefixes.tree + 'versionOf'), namedNode(lineage(shapeTreeUrl, rootStep)))
+          .map(q => [q.subject, this._indexedVersion(parent, q.subject)])
+          .filter(([instance, version]) => Semver.valid(version) && Semver.satisfies(version, range))
+          .sort(([l, lv], [r, rv]) => Semver.rcompare(lv, rv));
+    return compatible.length > 0 ? new URL(compatible[0][0].value) : null;
+  }
+
+  /** needsMigration - whether a reused instance was planted with an older version of the ShapeTree
+   * @param {ShapeTree.ManagedContainer} parent
+   * @param {URL} instanceUrl - instance returned by reuseShapeTree
+   * @param {object} [rootStep] - parsed root step of the requested ShapeTree
+   */
+  needsMigration (parent, instanceUrl, rootStep = {}) {
+    const version = this._indexedVersion(parent, namedNode(instanceUrl.href));
+    return Semver.valid(version) && Semver.valid(rootStep.version)
+      ? Semver.lt(version, rootStep.version)
+      : false;
+  }
+
+  /** reindexMigratedInstance - record that an instance moved from one ShapeTree to another
+   * Updates parent's index and the app registrations of the instance.
+   * @param {ShapeTree.ManagedContainer} parent
+   * @param {URL} instanceUrl
+   * @param {URL} fromUrl - ShapeTree the instance was an instance of
+   * @param {URL} toUrl - ShapeTree it's now an instance of
+   * @param {object} [rootStep] - parsed root step of the ShapeTree at toUrl
+   */
+  async reindexMigratedInstance (parent, instanceUrl, fromUrl, toUrl, rootStep = {}) {
+    this.unindexInstalledShapeTree(parent, instanceUrl, fromUrl);
+    this.indexInstalledShapeTree(parent, instanceUrl, toUrl, rootStep);
+    const apps = await new this.shapeTree.Container(this.appsUrl, 'Applications Directory', null, null).ready;
+    for (const appUrl of await apps.getMembers()) {
+      const app = await new this.shapeTree.Container(appUrl, 'unused Directory title', null, null).ready;
+      const registrations = app.graph.getQuads(null, namedNode(Prefixes.tree + 'shapeTreeInstancePath'), namedNode(instanceUrl.href))
+            .map(q => q.subject)
+            .filter(reg => app.graph.getQuads(reg, namedNode(Prefixes.tree + 'shapeTreeRoot'), namedNode(fromUrl.href)).length === 1);
+      if (registrations.length === 0)
+        continue;
+      registrations.forEach(reg => {
+        app.graph.removeQuad(reg, namedNode(Prefixes.tree + 'shapeTreeRoot'), namedNode(fromUrl.href));
+        app.graph.addQuad(reg, namedNode(Prefixes.tree + 'shapeTreeRoot'), namedNode(toUrl.href));
+      });
+      await app.write();
+    }
+  }
+
+  /* private: version of instance recorded by indexInstalledShapeTree, or null
+   */
+  _indexedVersion (parent, instance) {
+    const q = this._rdfInterface.zeroOrOne(parent.graph, instance, namedNode(Prefixes.tree + 'shapeTreeVersion'), null);
+    return q ? q.object.value : null;
   }
 
 
@@ -150,7 +223,7 @@ class SimpleApps {
     const apps = await new this.shapeTree.Container(this.appsUrl, 'Applications Directory', null, null).ready;
     funcDetails(`new Container(${new URL(appData.name + '/', this.appsUrl).pathname}, ${appData.name + ' Directory'}, null, null).ready`);
     const app = await new this.shapeTree.Container(new URL(appData.name + '/', this.appsUrl), appData.name + ' Directory', null, null).ready;
-    apps.addMember(app.url, shapeTreeUrl);
+    apps.addMember(app.url.href, shapeTreeUrl);
     funcDetails('apps.write');
     await apps.write();
     const prefixes = {
@@ -175,6 +248,60 @@ class SimpleApps {
     return [toAdd, prefixes];
   }
 
+  /** unregisterInstance - remove the registration of a ShapeTree instance
+   * Apps with no remaining registrations are removed from the apps Container.
+   * @param {URL} shapeTreeUrl - the ShapeTree the instance was planted from
+   * @param {URL} instanceUrl - location of the ShapeTree instance
+   * @param {URL[]} affected - resources removed by unplanting
+   * @param {boolean} retainData - whether affected resources were kept (but no longer managed)
+   * @returns [RDFJS Store, prefixes] - report of removed registrations and resources
+   */
+  async unregisterInstance(shapeTreeUrl, instanceUrl, affected, retainData) {
+    const funcDetails = Details.extend(`unregisterInstance(<${shapeTreeUrl.href}> <${instanceUrl.pathname}>)`);
+    funcDetails('');
+    const prefixes = {
+      ldp: Prefixes.ldp,
+      tree: Prefixes.tree,
+    }
+    const report = await this._rdfInterface.parseTurtle('', instanceUrl, {});
+    const installedIn = namedNode(Prefixes.tree + 'installedIn');
+    const apps = await new this.shapeTree.Container(this.appsUrl, 'Applications Directory', null, null).ready;
+    for (const appUrl of await apps.getMembers()) {
+      funcDetails(`new Container(${appUrl.pathname}).ready`);
+      const app = await new this.shapeTree.Container(appUrl, 'unused Directory title', null, null).ready;
+      const registrations = app.graph.getQuads(namedNode(app.url.href), installedIn, null).filter(
+        q => app.graph.getQuads(q.object, namedNode(Prefixes.tree + 'shapeTreeRoot'), namedNode(shapeTreeUrl.href)).length === 1
+          && app.graph.getQuads(q.object, namedNode(Prefixes.tree + 'shapeTreeInstancePath'), namedNode(instanceUrl.href)).length === 1
+      );
+      if (registrations.length === 0)
+        continue;
+      const removeUs = registrations.reduce(
+        (acc, q) => acc.concat([q], app.graph.getQuads(q.object, null, null)), []
+      );
+      const remaining = app.graph.getQuads(namedNode(app.url.href), installedIn, null).length - registrations.length;
+      if (remaining === 0) {
+        // Nothing else installed for this app so remove it and its name.
+        registrations.forEach(q => app.graph.getQuads(q.object, namedNode(Prefixes.tree + 'app'), null).forEach(
+          a => removeUs.push(...app.graph.getQuads(a.object, null, null))
+        ));
+        funcDetails('app.remove');
+        await app.remove();
+        apps.removeMember(app.url.href, shapeTreeUrl);
+        funcDetails('apps.write');
+        await apps.write();
+      } else {
+        app.graph.removeQuads(removeUs);
+        funcDetails('app.write');
+        await app.write();
+      }
+      report.addQuads(removeUs);
+    }
+    const status = namedNode(Prefixes.tree + (retainData ? 'unmanaged' : 'removed'));
+    report.addQuad(namedNode(instanceUrl.href), namedNode(Prefixes.tree + 'shapeTreeRoot'), namedNode(shapeTreeUrl.href));
+    affected.forEach(url => report.addQuad(namedNode(instanceUrl.href), status, namedNode(url.href)));
+    return [report, prefixes];
+  }
+
   /** parse payload when planting a ShapeTree
    * @param graph: RDFJS Store
    */
@@ -188,59 +315,271 @@ class SimpleApps {
   }
 
   /** a caching wrapper for fetch
+   * Honors Cache-Control (max-age, no-cache, no-store), Expires, and revalidates
+   * stale entries with If-None-Match/If-Modified-Since. Stale entries are served
+   * if the origin can't be reached. With cachePolicy.store false, the cache is
+   * read but never written.
    */
   async cachingFetch (url, /* istanbul ignore next */options = {}) {
     // const funcDetails = Details.extend(`cachingFetch(<${url.href}>, ${JSON.stringify(options)})`);
     const funcDetails = require('debug')('						cachingFetch').extend('details').extend(`cachingFetch(<${url.href}>, ${JSON.stringify(options)})`);
     funcDetails('');
-    const prefixes = {};
-    const cacheUrl = new URL(cacheName(url.href), this.cacheUrl);
-    funcDetails('this.storage.rstat(<%s>)', cacheUrl.pathname);
-    if (new URL('/', this.cacheUrl).href === new URL('/', url).href) {
+    if (new URL('/', this.cacheUrl).href === new URL('/', url).href)
       return Fetch(url, options);
-    } else if (!await this.storage.rstat(cacheUrl).then(stat => true, e => false)) {
-      // The first time this url was seen, put the mime type and payload in the cache.
-
-      Log('cache miss on', url.href, '/', cacheUrl.href)
-      funcDetails('Errors.getOrThrow(Fetch, <%s>)', url.pathname);
-      const resp = await Errors.getOrThrow(Fetch, url, options);
-      const text = await resp.text();
-      const headers = Array.from(resp.headers).filter(
-        // Hack: remove date and time to reduce visible churn in cached contents.
-        pair => !pair[0].match(/date|time/),
-      ).reduce(
-        (map, pair) => map.set(pair[0], pair[1]),
-        new Map()
-      );
-      // Is there any real return on treating the cacheDir as a Container?
 
-      // const image = `${mediaType}\n\n${text}`;
-      const image = Array.from(headers).map(
-        pair => `${escape(pair[0])}: ${escape(pair[1])}`
-      ).join('\n')+'\n\n' + text;
-      funcDetails('storage.write(<%s>, "%s...")', cacheUrl.pathname, image.substr(0, 60).replace(/\n/g, '\\n'));
-      await this.storage.write(cacheUrl, image);
-      Log('cached', url.href, 'size:', text.length, 'type:', headers.get('content-type'), 'in', cacheUrl.href)
-      // return resp;
-      return new FakeResponse(url, headers, text);
-    } else {
-      // Pull mime type and payload from cache.
+    const index = await this._loadCacheIndex();
+    const key = cacheKey(url);
+    const cacheUrl = new URL(cacheName(url.href), this.cacheUrl);
+    const requestDirectives = parseCacheControl(headerValue(options.headers, 'cache-control'));
+    const entry = index.get(key);
+    const now = Date.now();
 
+    if (entry && entry.expires > now && !('no-cache' in requestDirectives)) {
       funcDetails('storage.read(<%s>)', cacheUrl.pathname);
-      const image = await this.storage.read(cacheUrl);
-      // const [mediaType, text] = image.match(/([^\n]+)\n\n(.*)/s).slice(1);
-      const eoh = image.indexOf('\n\n');
-      const text = image.substr(eoh + 2);
-      const headers = image.substr(0, eoh).split(/\n/).reduce((map, line) => {
-        const [key, val] = line.match(/^([^:]+): (.*)$/).map(decodeURIComponent).slice(1);
-        return map.set(key, val);
-      }, new Map());
+      const [headers, text] = parseImage(await this.storage.read(cacheUrl));
       Log('cache hit on ', url.href, 'size:', text.length, 'type:', headers.get('content-type'), 'in', cacheUrl.href)
-      return new FakeResponse(url, headers, text);
+      return cachedResponse(url, headers, text);
+    }
+
+    // Miss or stale: fetch, conditionally if we have validators.
+    const conditional = {};
+    if (entry && entry.etag)
+      conditional['if-none-match'] = entry.etag;
+    if (entry && entry.lastModified)
+      conditional['if-modified-since'] = entry.lastModified;
+    Log('cache %s on', entry ? 'stale' : 'miss', url.href, '/', cacheUrl.href)
+    funcDetails('Fetch(<%s>, %s)', url.href, JSON.stringify(conditional));
+    let resp;
+    try {
+      resp = await Fetch(url, Object.assign({}, options, {
+        headers: Object.assign({}, options.headers, conditional)
+      }));
+    } catch (e) {
+      const image = entry ? await this.storage.read(cacheUrl).catch(e => null) : null;
+      if (image !== null) {
+        Log('serving stale', url.href, 'after', e.message);
+        const [headers, text] = parseImage(image);
+        return cachedResponse(url, headers, text);
+      }
+      throw await Errors.makeHttpError('GET', url.href, 'schema', {
+        status: -1, statusText: e.message, text: () => Promise.resolve(e.message)
+      });
+    }
+
+    if (resp.status === 304 && entry) {
+      // Still valid; refresh stored headers and freshness.
+      const [oldHeaders, text] = parseImage(await this.storage.read(cacheUrl));
+      const headers = Array.from(resp.headers).reduce((map, [k, v]) => map.set(k, v), oldHeaders);
+      if (this.cachePolicy.store)
+        await this._storeCached(index, key, cacheUrl, headers, text);
+      Log('revalidated', url.href);
+      return cachedResponse(url, headers, text);
+    }
+    if (!resp.ok)
+      throw await Errors.makeHttpError('GET', url.href, 'schema', resp);
+
+    const text = await resp.text();
+    const headers = Array.from(resp.headers).reduce((map, [k, v]) => map.set(k, v), new Map());
+    if (entry) {
+      const old = await this.storage.read(cacheUrl).then(image => parseImage(image)[1], e => null);
+      if (old !== text)
+        this._invalidateParsed(url);
+    }
+    if (!this.cachePolicy.store) {
+      Log('not caching', url.href, 'per cachePolicy');
+    } else if ('no-store' in parseCacheControl(headers.get('cache-control')) || 'no-store' in requestDirectives) {
+      if (entry)
+        await this.invalidateCache(url);
+      Log('not caching', url.href, 'per no-store');
+    } else {
+      await this._storeCached(index, key, cacheUrl, headers, text);
+      Log('cached', url.href, 'size:', text.length, 'type:', headers.get('content-type'), 'in', cacheUrl.href)
     }
+    return cachedResponse(url, headers, text);
+  }
+
+  /** invalidateCache - remove url from the cache.
+   * @param {URL} url - cached URL; fragments are ignored
+   * @returns {boolean} - whether url was cached
+   */
+  async invalidateCache (url) {
+    const index = await this._loadCacheIndex();
+    return this._mutex.withLock(async () => {
+      const key = cacheKey(url);
+      if (!index.delete(key))
+        return false;
+      await this.storage.remove(new URL(cacheName(key), this.cacheUrl)).catch(e => null);
+      await this._saveCacheIndex(index);
+      this._invalidateParsed(url);
+      Log('invalidated', key);
+      return true;
+    }, { holder: 'invalidateCache' });
+  }
+
+  /** clearCache - remove everything from the cache.
+   */
+  async clearCache () {
+    const index = await this._loadCacheIndex();
+    return this._mutex.withLock(async () => {
+      for (const key of Array.from(index.keys())) {
+        await this.storage.remove(new URL(cacheName(key), this.cacheUrl)).catch(e => null);
+        this._invalidateParsed(new URL(key));
+      }
+      index.clear();
+      await this._saveCacheIndex(index);
+      Log('cleared cache');
+    }, { holder: 'clearCache' });
+  }
+
+  /** listCache - describe cached URLs, least recently used first.
+   * @returns {object[]} - list of { url, size, storedAt, expires, etag, lastModified }
+   */
+  async listCache () {
+    const index = await this._loadCacheIndex();
+    return Array.from(index.entries()).map(([url, entry]) => Object.assign({ url }, entry));
+  }
+
+  /* private: write a cache image and record it in the index, evicting as needed.
+   */
+  async _storeCached (index, key, cacheUrl, headers, text) {
+    const image = Array.from(headers).map(
+      pair => `${escape(pair[0])}: ${escape(pair[1])}`
+    ).join('\n')+'\n\n' + text;
+    const now = Date.now();
+    return this._mutex.withLock(async () => {
+      Details('storage.write(<%s>, "%s...")', cacheUrl.pathname, image.substr(0, 60).replace(/\n/g, '\\n'));
+      await this.storage.write(cacheUrl, image);
+      const evicted = index.set(key, {
+        size: image.length,
+        storedAt: now,
+        expires: now + freshnessLifetime(headers, now, this.cachePolicy),
+        etag: headers.get('etag') || null,
+        lastModified: headers.get('last-modified') || null,
+      });
+      for (const [oldKey] of evicted) {
+        Log('evicting', oldKey);
+        await this.storage.remove(new URL(cacheName(oldKey), this.cacheUrl)).catch(e => null);
+      }
+      await this._saveCacheIndex(index);
+    }, { holder: 'storeCached' });
+  }
+
+  /* private: drop ShapeTrees and schemas parsed from url's old content.
+   */
+  _invalidateParsed (url) {
+    const parsed = this.shapeTree && this.shapeTree.RemoteShapeTree.cache;
+    if (parsed)
+      parsed.invalidate(url);
+  }
+
+  /* private: load the persisted cache index once.
+   */
+  _loadCacheIndex () {
+    if (!this._cacheIndex)
+      this._cacheIndex = this.storage.read(new URL(SimpleApps.CacheIndexName, this.cacheUrl)).then(
+        text => JSON.parse(text),
+        e => [] // no index yet
+      ).then(entries => {
+        const index = new LruCache({ maxSize: this.cachePolicy.maxSize, sizeOf: entry => entry.size });
+        entries.forEach(([key, entry]) => index.set(key, entry));
+        return index;
+      });
+    return this._cacheIndex;
+  }
+
+  /* private: persist the cache index.
+   */
+  _saveCacheIndex (index) {
+    return this.storage.write(new URL(SimpleApps.CacheIndexName, this.cacheUrl),
+                              JSON.stringify(Array.from(index.entries()), null, 2));
   }
 };
 
+/** default cache policy:
+ * maxSize: total bytes of cached images before least-recently-used entries are evicted.
+ * defaultMaxAge: seconds to consider responses fresh when they have no expiry information.
+ * store: whether cachingFetch adds and refreshes entries; false leaves storage untouched.
+ */
+SimpleApps.DefaultCachePolicy = {
+  maxSize: 10 * 1024 * 1024,
+  defaultMaxAge: 0,
+  store: true,
+};
+SimpleApps.CacheIndexName = 'cache-index.json';
+
+/* IRI identifying all versions of a ShapeTree: its tree:versionOf, else its URL
+ */
+function lineage (shapeTreeUrl, rootStep) {
+  return (rootStep.versionOf || shapeTreeUrl).href;
+}
+
+function cacheKey (url) {
+  const copy = new URL(url);
+  copy.hash = '';
+  return copy.href;
+}
+
+/** private function to make a Response from cached headers and text.
+ * The text was decoded when it was fetched so its encoding and length headers don't apply.
+ */
+function cachedResponse (url, headers, text) {
+  const kept = Array.from(headers).filter(
+    ([name]) => ['content-encoding', 'content-length', 'transfer-encoding'].indexOf(name.toLowerCase()) === -1
+  );
+  return makeResponse(url, text, { headers: kept });
+}
+
+/** private function to parse a cache image into [headers Map, text].
+ */
+function parseImage (image) {
+  // const [mediaType, text] = image.match(/([^\n]+)\n\n(.*)/s).slice(1);
+  const eoh = image.indexOf('\n\n');
+  const text = image.substr(eoh + 2);
+  const headers = image.substr(0, eoh).split(/\n/).filter(line => line).reduce((map, line) => {
+    const [key, val] = line.match(/^([^:]+): (.*)$/).map(decodeURIComponent).slice(1);
+    return map.set(key, val);
+  }, new Map());
+  return [headers, text];
+}
+
+/** private function to get a header from a fetch options.headers object.
+ */
+function headerValue (headers, name) {
+  if (!headers)
+    return null;
+  if (typeof headers.get === 'function')
+    return headers.get(name);
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+/** private function to parse Cache-Control into e.g. { "max-age": "60", "no-cache": true }.
+ */
+function parseCacheControl (value) {
+  return (value || '').split(',').map(d => d.trim()).filter(d => d).reduce((acc, d) => {
+    const [name, arg] = d.split('=');
+    acc[name.toLowerCase()] = arg === undefined ? true : arg.replace(/^"(.*)"$/, '$1');
+    return acc;
+  }, {});
+}
+
+/** private function to calculate milliseconds a response is fresh, per RFC 7234 section 4.2.1.
+ */
+function freshnessLifetime (headers, now, policy) {
+  const cc = parseCacheControl(headers.get('cache-control'));
+  const age = (parseInt(headers.get('age')) || 0) * 1000;
+  if ('no-cache' in cc)
+    return 0;
+  if ('max-age' in cc)
+    return Math.max(0, parseInt(cc['max-age']) * 1000 - age);
+  const date = Date.parse(headers.get('date')) || now;
+  if (headers.get('expires'))
+    return Math.max(0, (Date.parse(headers.get('expires')) || 0) - date - age);
+  if (headers.get('last-modified')) // heuristic: 10% of time since modification
+    return Math.max(0, (date - (Date.parse(headers.get('last-modified')) || date)) / 10);
+  return policy.defaultMaxAge * 1000;
+}
+
 /** private function to calculate cache names.
  */
 function cacheName (url) {
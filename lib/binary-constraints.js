@@ -0,0 +1,80 @@
+/** BinaryConstraints - limits on NonRDFSources from their ShapeTree step.
+ *
+ * A step may restrict the NonRDFSources it accepts with
+ *   tree:mediaType - allowed media types, e.g. "image/png" or "image/*" (415)
+ *   tree:maxByteSize - largest allowed body in bytes (413)
+ *   tree:requiresChecksum - true if requests must carry an RFC 9530
+ *     Content-Digest (sha-256 or sha-512) which matches the body (400)
+ *
+ * This library provides:
+ * * check - throw a BinaryConstraintError if a body violates a step's constraints.
+ * * contentDigest - a Content-Digest header value for a body.
+ * @module BinaryConstraints
+ */
+
+const Crypto = require('crypto');
+const Errors = require('./rdf-errors');
+
+// Content-Digest algorithms we can verify, by RFC 9530 name.
+const Algorithms = { 'sha-256': 'sha256', 'sha-512': 'sha512' };
+const DefaultMediaType = 'application/octet-stream';
+
+/**
+ * enforce a step's NonRDFSource constraints
+ * @param {object} step - parsed ShapeTree step with optional mediaType, maxByteSize and requiresChecksum
+ * @param {Buffer} body - request body
+ * @param {string} [mediaType] - Content-Type of body
+ * @param {string} [digest] - Content-Digest request header
+ * @param {URL} url - resource being created or replaced, for error messages
+ * @throws {BinaryConstraintError}
+ */
+function check (step, body, mediaType, digest, url) {
+  const type = (mediaType || DefaultMediaType).split(';')[0].trim().toLowerCase();
+  if (step.mediaType && !step.mediaType.find(range => mediaTypeMatches(range, type)))
+    throw new Errors.BinaryConstraintError(url.href, 'tree:mediaType', `${type} is not one of ${step.mediaType.join(', ')}`, 415);
+  if ('maxByteSize' in step && body.length > step.maxByteSize)
+    throw new Errors.BinaryConstraintError(url.href, 'tree:maxByteSize', `${body.length} bytes exceeds ${step.maxByteSize}`, 413);
+  if (step.requiresChecksum) {
+    const digests = parseDigest(digest || '').filter(([alg]) => alg in Algorithms);
+    if (digests.length === 0)
+      throw new Errors.BinaryConstraintError(url.href, 'tree:requiresChecksum', `no Content-Digest with one of ${Object.keys(Algorithms).join(', ')}`, 400);
+    const wrong = digests.find(([alg, value]) => hash(alg, body) !== value);
+    if (wrong)
+      throw new Errors.BinaryConstraintError(url.href, 'tree:requiresChecksum', `${wrong[0]} digest doesn't match the ${body.length} byte body`, 400);
+  }
+}
+
+/**
+ * Content-Digest header value for body
+ * @param {Buffer|string} body
+ * @param {string} [alg] - RFC 9530 algorithm name
+ * @returns {string} e.g. "sha-256=:47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU=:"
+ */
+function contentDigest (body, alg = 'sha-256') {
+  return `${alg}=:${hash(alg, body)}:`;
+}
+
+/* [[alg, base64], ...] from an RFC 8941 dictionary of byte sequences
+ */
+function parseDigest (value) {
+  return value.split(',').map(member => member.trim().match(/^([a-z0-9_*-]+)=:([A-Za-z0-9+/=]*):$/i))
+    .filter(m => m)
+    .map(m => [m[1].toLowerCase(), m[2]]);
+}
+
+function hash (alg, body) {
+  return Crypto.createHash(Algorithms[alg]).update(body).digest('base64');
+}
+
+/* true if type (no parameters) is in range, e.g. "image/*"
+ */
+function mediaTypeMatches (range, type) {
+  range = range.toLowerCase();
+  return range === '*/*' || range === type || (range.endsWith('/*') && type.startsWith(range.slice(0, -1)));
+}
+
+const BinaryConstraints = {
+  check,
+  contentDigest,
+};
+module.exports = BinaryConstraints;
@@ -0,0 +1,86 @@
+/** DocumentCache - bounded in-memory cache of objects parsed from remote documents.
+ *
+ * Entries are keyed by kind (e.g. "RemoteShapeTree", "schema") and document URL
+ * (without fragment). Concurrent requests for the same entry share one load.
+ * cachingFetch invalidates entries when it sees new content and shapeTreeFetch
+ * when it changes a document. Entries also expire after maxAge so that
+ * documents changed some other way are eventually re-parsed.
+ * @module DocumentCache
+ */
+
+const Log = require('debug')('				document-cache');
+const LruCache = require('./lru-cache');
+
+class DocumentCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries] - entries to keep before evicting least-recently-used
+   * @param {number} [options.maxAge] - milliseconds before an entry is reloaded
+   */
+  constructor ({ maxEntries = 256, maxAge = 60 * 1000 } = {}) {
+    this.maxAge = maxAge;
+    this._entries = new LruCache({ maxSize: maxEntries });
+    this._stats = { hits: 0, misses: 0, invalidations: 0, evictions: 0 };
+  }
+
+  /** get:Promise - get the kind of object parsed from url, calling load() on a miss.
+   * @param kind:string - what's parsed from the document, e.g. "RemoteShapeTree"
+   * @param url:URL - document URL; fragments are ignored
+   * @param load:function - returns a Promise of the parsed object
+   */
+  get (kind, url, load) {
+    const key = kind + ' ' + docUrl(url);
+    const entry = this._entries.get(key);
+    if (entry && entry.loaded + this.maxAge > Date.now()) {
+      ++this._stats.hits;
+      return entry.value;
+    }
+    ++this._stats.misses;
+    const value = load();
+    const evicted = this._entries.set(key, { value, loaded: Date.now() });
+    this._stats.evictions += evicted.length;
+    // Don't cache failures.
+    value.catch(e => {
+      if (this._entries.peek(key) && this._entries.peek(key).value === value)
+        this._entries.delete(key);
+    });
+    return value;
+  }
+
+  /** invalidate:number - forget everything parsed from url.
+   * @returns: number of entries removed
+   */
+  invalidate (url) {
+    const suffix = ' ' + docUrl(url);
+    const keys = Array.from(this._entries.keys()).filter(key => key.endsWith(suffix));
+    keys.forEach(key => this._entries.delete(key));
+    if (keys.length) {
+      Log('invalidated %d entries for <%s>', keys.length, docUrl(url));
+      this._stats.invalidations += keys.length;
+    }
+    return keys.length;
+  }
+
+  clear () {
+    this._stats.invalidations += this._entries.size;
+    this._entries.clear();
+  }
+
+  /** stats:object - { hits, misses, invalidations, evictions, size }
+   */
+  stats () {
+    return Object.assign({ size: this._entries.size }, this._stats);
+  }
+}
+
+function docUrl (url) {
+  const copy = new URL(url);
+  copy.hash = '';
+  return copy.href;
+}
+
+/** shared instance used by RemoteShapeTree.cache
+ */
+DocumentCache.shared = new DocumentCache();
+
+module.exports = DocumentCache;
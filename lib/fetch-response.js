@@ -0,0 +1,97 @@
+/** FetchResponse - WHATWG fetch Response and Headers for responses we make ourselves.
+ *
+ * shapeTreeFetch, cachingFetch and the LDP server answer some requests without
+ * calling fetch(). Their callers may use any of the fetch API (json(),
+ * arrayBuffer(), clone(), body streams, iterating headers) so those responses
+ * are real Responses: the platform's where there is one (browsers, Node 18+),
+ * else node-fetch's, whose bodies are Node Readables (as from node-fetch's fetch()).
+ *
+ * This library provides:
+ * * Response - Response which also takes a url in its init, like node-fetch's.
+ * * Headers - the same implementation's Headers.
+ * * makeResponse - a Response for url with a string, bytes or a stream.
+ * @module FetchResponse
+ */
+
+const { Readable } = require('stream');
+const NodeFetch = require('node-fetch');
+const ResponseCodes = require('statuses').STATUS_CODES;
+
+const HasPlatformResponse = typeof globalThis.Response === 'function' && typeof globalThis.Headers === 'function';
+// Statuses whose responses can't have a body.
+const NullBodyStatuses = [101, 103, 204, 205, 304];
+
+/* Platform Responses constructed by scripts have url "". Record the one we
+ * answered so they look like those fetch() returns.
+ */
+const Response = HasPlatformResponse
+      ? class Response extends globalThis.Response {
+        constructor (body, init = {}) {
+          super(body, init);
+          this._url = init.url ? String(init.url) : '';
+        }
+        get url () { return this._url; }
+        clone () {
+          const ret = super.clone();
+          Object.defineProperty(ret, 'url', { value: this._url });
+          return ret;
+        }
+      }
+      : NodeFetch.Response;
+const Headers = HasPlatformResponse ? globalThis.Headers : NodeFetch.Headers;
+
+/**
+ * make a response to a request for url
+ * @param {URL|string} url - requested URL
+ * @param {string|Buffer|Uint8Array|ArrayBuffer|Readable|ReadableStream} [body] - null for no body
+ * @param {object} [init]
+ * @param {number} [init.status] - defaults to 200; bodies of 204s and 304s are dropped
+ * @param {string} [init.statusText] - defaults to the status's reason phrase
+ * @param {string} [init.type] - Content-Type of body, if headers don't give one
+ * @param {object|Headers|Map} [init.headers]
+ * @returns {Response} with Content-Length set if body's size is known
+ */
+function makeResponse (url, body = null, { status = 200, statusText = ResponseCodes[status] || '', type = 'text/plain', headers = {} } = {}) {
+  headers = new Headers(headers instanceof Map ? Array.from(headers) : headers);
+  if (NullBodyStatuses.indexOf(status) !== -1)
+    body = null;
+  if (body !== null) {
+    if (!headers.has('content-type'))
+      headers.set('content-type', type);
+    const length = byteLength(body);
+    if (length !== null)
+      headers.set('content-length', String(length));
+    if (HasPlatformResponse && typeof body.pipe === 'function')
+      body = Readable.toWeb(body);
+    else if (!HasPlatformResponse && typeof body.pipe !== 'function')
+      body = Readable.from([toBuffer(body)], { objectMode: false }); // else node-fetch's body is a Buffer
+  }
+  return new Response(body, { url: String(url), status, statusText, headers });
+}
+
+/* size in bytes of body, or null for streams
+ */
+function byteLength (body) {
+  if (typeof body === 'string')
+    return Buffer.byteLength(body, 'utf8');
+  if (typeof body.byteLength === 'number') // Buffer, other ArrayBufferViews, ArrayBuffer
+    return body.byteLength;
+  return null;
+}
+
+/* string or bytes as a Buffer
+ */
+function toBuffer (body) {
+  if (typeof body === 'string')
+    return Buffer.from(body, 'utf8');
+  if (ArrayBuffer.isView(body))
+    return Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+  return Buffer.from(body); // ArrayBuffer
+}
+
+const FetchResponse = {
+  Response,
+  Headers,
+  makeResponse,
+};
+module.exports = FetchResponse;
@@ -0,0 +1,386 @@
+/** LdpServer - serve a document root as LDP with ShapeTree enforcement.
+ *
+ * Requests go through shapeTreeFetch, which enforces ShapeTrees and hands
+ * what it allows to a minimal LDP server over the same Storage (makeLdpFetch).
+ * ShapeTrees and schemas outside the server are fetched with node-fetch.
+ *
+ * This library provides:
+ * * start - listen on a port and serve an FsPromise document root.
+ * * makeLdpFetch - LDP over a Storage, as a fetch function.
+ * @module LdpServer
+ *
+ * @example <caption>an LDP server for integration tests</caption>
+ *   const server = await LdpServer.start({ documentRoot: '/tmp/www', port: 0 });
+ *   const resp = await fetch(new URL('Data/', server.url));
+ *   await server.close();
+ */
+
+const Http = require('http');
+const Fetch = require('node-fetch');
+const Log = require('debug')('LdpServer');
+const Details = Log.extend('details');
+const { namedNode } = require('n3').DataFactory;
+const RdfSerializer = require('./rdf-serialization');
+const Errors = require('./rdf-errors');
+const Prefixes = require('./prefixes');
+const RdfPatch = require('./rdf-patch');
+const LinkHeader = require('./link-header');
+const MediaTypes = require('./media-types');
+const { makeResponse } = require('./fetch-response');
+const ValidationReport = require('./validation-report');
+const ShapeTreeMiddleware = require('./shape-tree-middleware');
+const makeShapeTreeFetch = require('./shape-tree-fetch');
+const FsPromise = require('../storage/fs-promises');
+const SimpleApps = require('../ecosystems/simple-apps');
+
+// Served resources without a (known) file extension are Turtle.
+const DefaultMediaType = 'text/turtle';
+const Allowed = 'OPTIONS, GET, HEAD, PUT, POST, PATCH, DELETE';
+// methods allowed on ShapeTree metadata
+const ReadOnly = ['GET', 'HEAD'];
+
+const Defaults = {
+  host: 'localhost',
+  port: 0,
+  indexFile: '.index.ttl',
+  metaDataSuffix: '.meta',
+  apps: 'Apps',
+  cache: 'Cache',
+  shared: 'Data',
+};
+
+/**
+ * start an LDP server on an FsPromise document root
+ * @param {object} config
+ * @param {string} config.documentRoot - directory to serve
+ * @param {number} [config.port] - port to listen on; 0 (the default) picks a free one
+ * @param {string} [config.host] - interface to listen on; default: localhost
+ * @param {string} [config.baseUrl] - public URL of the document root, e.g. behind a proxy; default: http://host:port/
+ * @param {string} [config.apps] - path of the applications Container; default: Apps
+ * @param {string} [config.cache] - path of the ShapeTree cache Container; default: Cache
+ * @param {string} [config.shared] - path of the shared data Container; default: Data
+ * @param {string} [config.indexFile] - see FsPromise; default: .index.ttl
+ * @param {string} [config.metaDataSuffix] - see FsPromise; default: .meta
+ * @param {string} [config.journal] - path of a Container for transaction journals, which isn't served; default: FsPromise's journalDirectory, outside documentRoot
+ * @param {number} [config.pageSize] - see makeShapeTreeFetch
+ * @returns {Promise<object>} {url, server, storage, shapeTreeFetch, close()}
+ */
+async function start (config) {
+  config = Object.entries(config || {}).reduce( // unset (undefined) options get defaults
+    (acc, [key, value]) => value === undefined ? acc : Object.assign(acc, { [key]: value }),
+    Object.assign({}, Defaults)
+  );
+  if (!config.documentRoot)
+    throw Error('usage: LdpServer.start({documentRoot, port?, host?, baseUrl?, apps?, cache?, shared?})');
+
+  const server = Http.createServer();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(config.port, config.host, () => {
+      server.removeListener('error', reject);
+      resolve();
+    });
+  });
+  const url = new URL(config.baseUrl || `http://${config.host}:${server.address().port}/`);
+
+  const storage = new FsPromise({
+    documentRoot: config.documentRoot,
+    indexFile: config.indexFile,
+    metaDataSuffix: config.metaDataSuffix,
+  }, RdfSerializer);
+  const journal = config.journal;
+  const hide = journal ? [new URL(journal + '/', url)] : [];
+  const isHidden = hiddenUrls(storage, hide);
+  const isMetaData = metaDataUrls(storage);
+  const isBookkeeping = u => isHidden(u) || isMetaData(u);
+  const ldpFetch = makeLdpFetch(storage, RdfSerializer, url, { hide });
+  const ShapeTree = require('./shape-tree')(storage, RdfSerializer, ldpFetch);
+  await new SimpleApps(storage, ShapeTree, RdfSerializer).createSystemHierarchy(url, config);
+  const shapeTreeFetch = makeShapeTreeFetch(storage, RdfSerializer, ldpFetch, url, {
+    apps: config.apps,
+    cache: config.cache,
+    journal,
+    pageSize: config.pageSize,
+    enforce: true,
+  });
+
+  server.on('request', (req, res) => handle(req, res).catch(e => {
+    console.warn(`unable to respond to ${req.method} ${req.url}: ${e.stack || e.message}`);
+    res.destroy(e);
+  }));
+  Log('serving %s at %s', config.documentRoot, url.href);
+
+  return {
+    url,
+    server,
+    storage,
+    shapeTreeFetch,
+    close: () => new Promise((resolve, reject) => server.close(e => e ? reject(e) : resolve())),
+  };
+
+  async function handle (req, res) {
+    const requestUrl = new URL(req.url, url);
+    Details('%s %s', req.method, requestUrl.pathname);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { allow: Allowed });
+      return res.end();
+    }
+    // HEAD is a GET without the body so shapeTreeFetch negotiates the same headers.
+    const options = await ShapeTreeMiddleware.requestOptions(req);
+    if (req.method === 'HEAD')
+      options.method = 'GET';
+    // shapeTreeFetch plants with Storage directly so bookkeeping must be refused before it gets there.
+    const refused = isHidden(requestUrl)
+          || (isMetaData(requestUrl) && ReadOnly.indexOf(options.method) === -1)
+          || (req.method === 'POST' && isHiddenSlug(isBookkeeping, requestUrl, options.headers.slug));
+    const resp = refused
+          ? await ldpFetch(requestUrl, options)
+          : await shapeTreeFetch(requestUrl, options);
+    await ShapeTreeMiddleware.writeResponse(res, resp, req.method);
+  }
+}
+
+/**
+ * LDP over a Storage, as a fetch function suitable as makeShapeTreeFetch's nextFetch.
+ * Resources are served with the media type their file extension implies; POSTed
+ * NonRDFSources get an extension if their Slug doesn't imply their Content-Type.
+ * @param {Storage} storage - where resources are stored
+ * @param {RdfSerializer} rdfInterface
+ * @param {URL} baseUrl - URL of storage's root Container
+ * @param {object} [options]
+ * @param {function} [options.remoteFetch] - fetch for resources not under baseUrl; default: node-fetch
+ * @param {URL[]} [options.hide] - Containers not to serve, e.g. journals
+ * @returns {function} async (url, options) => response
+ */
+function makeLdpFetch (storage, rdfInterface, baseUrl, { remoteFetch = (url, options) => Fetch(url.href, options), hide = [] } = {}) {
+  // Storage bookkeeping is neither served nor writable; ShapeTree metadata is served but not writable.
+  const isHidden = hiddenUrls(storage, hide);
+  const isMetaData = metaDataUrls(storage);
+  const isBookkeeping = u => isHidden(u) || isMetaData(u);
+
+  return async function ldpFetch (url, options = {}) {
+    url = new URL(url);
+    if (!url.href.startsWith(baseUrl.href))
+      return remoteFetch(url, options);
+    const method = options.method || 'GET';
+    const headers = options.headers || {};
+    const resource = new URL(url.pathname, url); // no query or fragment
+    try {
+      if (isHidden(resource))
+        throwIfNotFound(null, resource);
+      if (isMetaData(resource) && ReadOnly.indexOf(method) === -1)
+        throw new Errors.ManagedError(`${resource.pathname} is ShapeTree metadata, which can't be written directly`, 403);
+      const rstat = await storage.rstat(resource).catch(e => null);
+      switch (method) {
+      case 'GET':
+      case 'HEAD':
+        return await read(resource, rstat);
+      case 'PUT':
+        return await put(resource, rstat, headers, options.body);
+      case 'POST':
+        return await post(resource, rstat, headers, options.body);
+      case 'PATCH':
+        return await patch(resource, rstat, headers, options.body);
+      case 'DELETE':
+        return await remove(resource, rstat);
+      default:
+        throw new Errors.ManagedError(`${method} not supported`, 405);
+      }
+    } catch (e) {
+      if (!(e instanceof Errors.ManagedError))
+        console.warn(`LDP ${method} ${url.pathname}: ${e.stack || e.message}`);
+      e.status = e.status || 500;
+      return makeResponse(url, JSON.stringify(ValidationReport.problemDetails(e), null, 2), {
+        status: e.status,
+        type: ValidationReport.MediaTypes.problemJson,
+        headers: e.status === 405 ? { Allow: Allowed } : {}
+      });
+    }
+  };
+
+  async function read (url, rstat) {
+    throwIfNotFound(rstat, url);
+    let resp;
+    if (rstat.isContainer) {
+      const prefixes = {};
+      const graph = await storage.readContainer(url, prefixes);
+      resp = makeResponse(url, await rdfInterface.serializeTurtle(graph, url, prefixes), { type: 'text/turtle' });
+      resp.headers.set('Link', `<${Prefixes.ldp}BasicContainer>; rel="type", <${Prefixes.ldp}Resource>; rel="type"`);
+    } else {
+      const mediaType = MediaTypes.fromPath(url.pathname, DefaultMediaType);
+      // rstat describes metadata whether or not there is any.
+      const body = await storage.read(url, MediaTypes.isText(mediaType) ? 'utf8' : null).catch(e => {
+        if (e.code === 'ENOENT')
+          throwIfNotFound(null, url);
+        throw e;
+      });
+      resp = makeResponse(url, body, { type: mediaType });
+      resp.headers.set('Link', `<${Prefixes.ldp}${isRdf(mediaType) ? 'RDFSource' : 'NonRDFSource'}>; rel="type", <${Prefixes.ldp}Resource>; rel="type"`);
+    }
+    if (rstat.etag)
+      resp.headers.set('ETag', rstat.etag);
+    if (rstat.lastModified)
+      resp.headers.set('Last-Modified', rstat.lastModified.toUTCString());
+    return resp;
+  }
+
+  async function put (url, rstat, headers, body) {
+    const isContainer = url.pathname.endsWith('/');
+    if (rstat && rstat.isContainer !== isContainer)
+      throw new Errors.ManagedError(`${url.pathname} exists as a ${rstat.isContainer ? 'Container' : 'Resource'}`, 409);
+    const parentUrl = new URL(isContainer ? '..' : '.', url);
+    await parentContainer(parentUrl, url);
+    if (isContainer) {
+      await storage.ensureContainer(url, {}, 'PUT Container');
+      if (body && body.length)
+        await replaceContainerBody(url, body.toString('utf8'), headers['content-type'] || DefaultMediaType);
+    } else {
+      await storage.write(url, Buffer.from(body || ''));
+    }
+    if (rstat)
+      return makeResponse(url, null, { status: 204 });
+    await storage.updateMembers(parentUrl, [url]);
+    return created(url);
+  }
+
+  async function post (url, rstat, headers, body) {
+    throwIfNotFound(rstat, url);
+    if (!rstat.isContainer)
+      throw new Errors.ManagedError(`can't POST to non-Container ${url.pathname}`, 405);
+    const links = LinkHeader.parse(headers.link, url);
+    const isContainer = !!links.all('type').find(link => link.target.href.match(/^http:\/\/www\.w3\.org\/ns\/ldp#(Basic|Direct|Indirect)?Container$/));
+    const mediaType = headers['content-type'] || DefaultMediaType;
+    if (isHiddenSlug(isBookkeeping, url, headers.slug))
+      throw new Errors.ManagedError(`Slug ${headers.slug} names storage bookkeeping`, 400);
+    let slug = sanitizeSlug(headers.slug);
+    let location;
+    if (isContainer) {
+      const [name] = await storage.inventContainer(url, slug, 'POSTed Container', {});
+      location = new URL(name, url);
+      if (body && body.length)
+        await replaceContainerBody(location, body.toString('utf8'), mediaType);
+    } else {
+      // Give NonRDFSources an extension that says what they are.
+      const ext = MediaTypes.extensionFor(mediaType);
+      if (ext && MediaTypes.fromPath(slug || '', DefaultMediaType) !== mediaType.split(/ *; */)[0])
+        slug = (slug || 'Resource') + ext;
+      if (isBookkeeping(new URL(slug || 'Resource', url)))
+        throw new Errors.ManagedError(`Slug ${headers.slug} names storage bookkeeping`, 400);
+      const [name] = await storage.invent(url, slug, Buffer.from(body || ''), mediaType);
+      location = new URL(name, url);
+    }
+    await storage.updateMembers(url, [location]);
+    return created(location);
+  }
+
+  async function patch (url, rstat, headers, body) {
+    const mediaType = rstat && rstat.isContainer ? 'text/turtle' : MediaTypes.fromPath(url.pathname, DefaultMediaType);
+    if (!isRdf(mediaType))
+      throw new Errors.ManagedError(`can't PATCH ${mediaType} resource ${url.pathname}`, 415);
+    const prefixes = {};
+    if (rstat && rstat.isContainer) {
+      const graph = await storage.readContainer(url, prefixes, { members: false });
+      RdfPatch.applyPatch(graph, body.toString('utf8'), url, headers['content-type']);
+      await storage.writeContainer(url, graph, prefixes, { members: false });
+      return makeResponse(url, null, { status: 204 });
+    }
+    const parentUrl = new URL('.', url);
+    if (!rstat)
+      await parentContainer(parentUrl, url);
+    const graph = await rdfInterface.parseRdf(rstat ? await storage.read(url) : '', url, mediaType, prefixes);
+    RdfPatch.applyPatch(graph, body.toString('utf8'), url, headers['content-type']);
+    await storage.write(url, await rdfInterface.serializeRdf(graph, url, mediaType, prefixes));
+    if (rstat)
+      return makeResponse(url, null, { status: 204 });
+    await storage.updateMembers(parentUrl, [url]);
+    return created(url);
+  }
+
+  async function remove (url, rstat) {
+    throwIfNotFound(rstat, url);
+    if (url.href === baseUrl.href)
+      throw new Errors.ManagedError(`can't DELETE the root Container`, 405);
+    if (rstat.isContainer) {
+      await storage.removeContainer(url);
+    } else {
+      await storage.remove(url);
+      await storage.removeMetaData(url).catch(e => null);
+    }
+    await storage.updateMembers(new URL(url.pathname.endsWith('/') ? '..' : '.', url), [], [url]);
+    return makeResponse(url, null, { status: 204 });
+  }
+
+  /* throw unless parentUrl is a Container in which to create url
+   */
+  async function parentContainer (parentUrl, url) {
+    const pstat = await storage.rstat(parentUrl).catch(e => null);
+    if (!pstat || !pstat.isContainer)
+      throw new Errors.ManagedError(`${parentUrl.pathname} must be a Container to create ${url.pathname}`, 409);
+  }
+
+  /* replace the body of Container url, keeping its members and ShapeTree bookkeeping
+   */
+  async function replaceContainerBody (url, text, mediaType) {
+    const prefixes = {};
+    const graph = await rdfInterface.parseRdf(text, url, mediaType, prefixes);
+    const old = await storage.readContainer(url, prefixes, { members: false });
+    old.getQuads(namedNode(url.href), null, null)
+      .filter(q => q.predicate.value.startsWith(Prefixes.tree) || q.predicate.value === Prefixes.rdf + 'type')
+      .forEach(q => graph.addQuad(q));
+    await storage.writeContainer(url, graph, prefixes, { members: false });
+  }
+}
+
+/* predicate for URLs of storage bookkeeping: index files (and indexes being
+ * replaced), names of membership logs, and anything in the hide Containers
+ */
+function hiddenUrls (storage, hide) {
+  const hidden = [storage.indexFile, storage.membersFile].filter(name => name);
+  const isHiddenSegment = segment => !!hidden.find(name => segment === name || segment.startsWith(name + '.'));
+  return url => !!url.pathname.split('/').find(isHiddenSegment)
+    || !!hide.find(prefix => new URL(url.pathname.replace(/\/?$/, '/'), url).href.startsWith(prefix.href));
+}
+
+/* predicate for URLs of ShapeTree metadata, including Containers which would
+ * shadow a metadata file
+ */
+function metaDataUrls (storage) {
+  return url => !!storage.metaDataSuffix && url.pathname.replace(/\/$/, '').endsWith(storage.metaDataSuffix);
+}
+
+/* Slugs may not contain '/'s
+ */
+function sanitizeSlug (slug) {
+  return (slug || '').replace(/[/\\]/g, '-') || undefined;
+}
+
+/* whether a POST to Container url with slug would create bookkeeping
+ */
+function isHiddenSlug (isBookkeeping, url, slug) {
+  slug = sanitizeSlug(slug);
+  return !!slug && (isBookkeeping(new URL(slug, url)) || isBookkeeping(new URL(slug + '/', url)));
+}
+
+/* !! semi-redundant against test-suite/servers/LDP.js
+ */
+function throwIfNotFound (rstat, url) {
+  if (rstat)
+    return;
+  const error = new Errors.NotFoundError(url, 'resource', url.pathname);
+  error.status = 404;
+  throw error;
+}
+
+function created (location) {
+  return makeResponse(location, null, { status: 201, headers: { Location: location.href } });
+}
+
+function isRdf (mediaType) {
+  return ['text/turtle', 'application/ld+json', 'application/n-triples', 'application/n-quads'].indexOf(mediaType) !== -1;
+}
+
+const LdpServer = {
+  start,
+  makeLdpFetch,
+};
+module.exports = LdpServer;
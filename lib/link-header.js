@@ -0,0 +1,136 @@
+/** LinkHeader - parse RFC 8288 Link headers.
+ *
+ * parse() returns a Links object. Its lookups only consider links about a
+ * context, by default the resource the header came with (base); a link's
+ * anchor parameter makes it about some other resource.
+ *
+ * Registered relation types (e.g. "type") are compared case-insensitively;
+ * extension relation types (URIs like "http://www.w3.org/ns/json-ld#context")
+ * are compared exactly.
+ * @module LinkHeader
+ */
+
+const Errors = require('./rdf-errors');
+
+/** Link - one link-value
+ * @param href:string - target as written
+ * @param params:object - parameters; names are lower-case
+ * @param base:URL - URL to resolve href and anchor against, or null
+ */
+class Link {
+  constructor (href, params, base) {
+    this.href = href;
+    this.params = params;
+    this.rel = (params.rel || '').split(/\s+/).filter(r => r).map(normalizeRel);
+    this.target = base ? new URL(href, base) : null;
+    this.anchor = 'anchor' in params ? new URL(params.anchor, base || undefined) : null;
+    this.context = this.anchor || base; // what the link is about
+  }
+}
+
+/** Links - the links from one or more Link headers
+ */
+class Links {
+  constructor (list, context) {
+    this.list = list;
+    this.context = context;
+  }
+
+  /** all:Link[] - links with relation type rel about context
+   * @param rel:string - relation type
+   * @param context:URL - resource the links are about; default: where the header came from
+   */
+  all (rel, context = this.context) {
+    rel = normalizeRel(rel);
+    return this.list.filter(link => link.rel.indexOf(rel) !== -1 && (
+      !context || (link.context && link.context.href === context.href)
+    ));
+  }
+
+  /** first:Link - first of all(rel, context) or null
+   */
+  first (rel, context = this.context) {
+    return this.all(rel, context)[0] || null;
+  }
+}
+
+/**
+ * parse Link header values
+ * @param {string|string[]} value - one or more header values; undefined or null for none
+ * @param {URL} [base] - URL the header came with; targets and anchors are resolved against it
+ * @returns {Links}
+ * @throws {ManagedError} 400 if value isn't a Link header
+ */
+function parse (value, base = null) {
+  const list = [];
+  for (const text of [].concat(value || [])) {
+    const scanner = new Scanner(text);
+    while (scanner.skip(/[\s,]*/y) !== null && !scanner.done()) {
+      const href = scanner.expect(/<([^>]*)>/y)[1];
+      const params = {};
+      while (scanner.skip(/\s*;\s*/y) !== null) {
+        const name = scanner.expect(/[^\s=;,]+/y)[0].toLowerCase();
+        let val = '';
+        if (scanner.skip(/\s*=\s*/y) !== null) {
+          const quoted = scanner.skip(/"((?:[^"\\]|\\.)*)"/y);
+          val = quoted
+            ? quoted[1].replace(/\\(.)/g, '$1')
+            : scanner.expect(/[^\s;,]*/y)[0];
+        }
+        if (name.endsWith('*')) { // RFC 8187 ext-value, e.g. title*=UTF-8'de'n%c3%a4chstes
+          params[name.slice(0, -1)] = decodeExtValue(val);
+        } else if (!(name in params)) { // RFC 8288 §3: only the first rel, anchor, etc. counts
+          params[name] = val;
+        }
+      }
+      list.push(new Link(href, params, base));
+    }
+  }
+  return new Links(list, base);
+}
+
+/* sticky-regexp scanner over a header value
+ */
+class Scanner {
+  constructor (text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  done () { return this.pos >= this.text.length; }
+
+  skip (re) {
+    re.lastIndex = this.pos;
+    const m = re.exec(this.text);
+    if (m)
+      this.pos = re.lastIndex;
+    return m;
+  }
+
+  expect (re) {
+    const m = this.skip(re);
+    if (!m)
+      throw new Errors.ManagedError(`malformed Link header at ${this.pos}: ${this.text}`, 400);
+    return m;
+  }
+}
+
+function normalizeRel (rel) {
+  return rel.match(/^[a-z][a-z0-9+.-]*:/i) ? rel : rel.toLowerCase();
+}
+
+function decodeExtValue (val) {
+  const m = val.match(/^[^']*'[^']*'(.*)$/);
+  try {
+    return decodeURIComponent(m ? m[1] : val);
+  } catch (e) {
+    return val;
+  }
+}
+
+const LinkHeader = {
+  Link,
+  Links,
+  parse,
+};
+module.exports = LinkHeader;
@@ -0,0 +1,86 @@
+/** LruCache - size-bounded Map which evicts least-recently-used entries.
+ * @module LruCache
+ */
+
+class LruCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxSize] - maximum total size of entries; default unbounded
+   * @param {function} [options.sizeOf] - size of a value; default 1 so maxSize counts entries
+   */
+  constructor ({ maxSize = Infinity, sizeOf = value => 1 } = {}) {
+    this.maxSize = maxSize;
+    this._sizeOf = sizeOf;
+    this._map = new Map(); // insertion order is recency order, oldest first.
+    this.totalSize = 0;
+  }
+
+  get size () { return this._map.size; }
+
+  has (key) { return this._map.has(key); }
+
+  /** peek:value - get value without marking it as recently used
+   */
+  peek (key) {
+    const entry = this._map.get(key);
+    return entry ? entry.value : undefined;
+  }
+
+  /** get:value - get value and mark it as most recently used
+   */
+  get (key) {
+    const entry = this._map.get(key);
+    if (!entry)
+      return undefined;
+    this._map.delete(key);
+    this._map.set(key, entry);
+    return entry.value;
+  }
+
+  /** set:[[key, value]] - add or replace value, evicting least-recently-used entries to stay under maxSize
+   * @returns: list of evicted [key, value] pairs, which never includes the new entry
+   */
+  set (key, value) {
+    this.delete(key);
+    const size = this._sizeOf(value);
+    this._map.set(key, { value, size });
+    this.totalSize += size;
+    const evicted = [];
+    for (const [oldKey, entry] of this._map) {
+      if (this.totalSize <= this.maxSize || oldKey === key)
+        break;
+      this._map.delete(oldKey);
+      this.totalSize -= entry.size;
+      evicted.push([oldKey, entry.value]);
+    }
+    return evicted;
+  }
+
+  /** delete:boolean - remove key
+   * @returns: whether key was present
+   */
+  delete (key) {
+    const entry = this._map.get(key);
+    if (!entry)
+      return false;
+    this._map.delete(key);
+    this.totalSize -= entry.size;
+    return true;
+  }
+
+  clear () {
+    this._map.clear();
+    this.totalSize = 0;
+  }
+
+  keys () { return this._map.keys(); }
+
+  /** entries:Iterable - [key, value] pairs, least recently used first
+   */
+  * entries () {
+    for (const [key, entry] of this._map)
+      yield [key, entry.value];
+  }
+}
+
+module.exports = LruCache;
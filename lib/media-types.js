@@ -0,0 +1,76 @@
+/** MediaTypes - media types of stored files, by file extension.
+ *
+ * Document roots don't record the Content-Type a resource was stored with so,
+ * like a static file server, we go by its extension.
+ *
+ * This library provides:
+ * * fromPath - the media type for a file name or URL path.
+ * * extensionFor - the extension to give a file of some media type.
+ * * isText - whether a media type's bodies are stored as (UTF-8) text.
+ * @module MediaTypes
+ */
+
+const ByExtension = {
+  '.ttl': 'text/turtle',
+  '.jsonld': 'application/ld+json',
+  '.json': 'application/json',
+  '.nt': 'application/n-triples',
+  '.nq': 'application/n-quads',
+  '.n3': 'text/n3',
+  '.shex': 'text/shex',
+  '.txt': 'text/plain',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.xml': 'application/xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+};
+
+/**
+ * media type for a file name or URL path
+ * @param {string} path - e.g. "pics/cat.png"
+ * @param {string} [dflt] - media type of files with no or an unknown extension
+ * @returns {string}
+ */
+function fromPath (path, dflt = 'application/octet-stream') {
+  const m = path.match(/(\.[^./]+)$/);
+  return m && ByExtension[m[1].toLowerCase()] || dflt;
+}
+
+/**
+ * preferred file extension for a media type
+ * @param {string} mediaType - Content-Type; parameters are ignored
+ * @returns {string} e.g. ".png", or null if there's none
+ */
+function extensionFor (mediaType) {
+  const type = (mediaType || '').split(/ *; */)[0].toLowerCase();
+  const ext = Object.keys(ByExtension).find(ext => ByExtension[ext] === type);
+  return ext || null;
+}
+
+/**
+ * whether bodies of a media type are text
+ * @param {string} mediaType - Content-Type; parameters are ignored
+ * @returns {boolean}
+ */
+function isText (mediaType) {
+  const type = (mediaType || '').split(/ *; */)[0].toLowerCase();
+  return type.startsWith('text/')
+    || ['application/ld+json', 'application/json', 'application/n-triples', 'application/n-quads',
+        'application/javascript', 'application/xml', 'application/sparql-update', 'image/svg+xml'].indexOf(type) !== -1;
+}
+
+const MediaTypes = {
+  ByExtension,
+  fromPath,
+  extensionFor,
+  isText,
+};
+module.exports = MediaTypes;
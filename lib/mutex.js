@@ -1,21 +1,125 @@
+/** Mutex - in-process reader/writer lock.
+ *
+ * lock() resolves to an unlock function once the lock is granted. Requests are
+ * granted in order, so a waiting exclusive request holds back later shared
+ * ones. By default requests wait as long as it takes; those given a timeout
+ * (per Mutex or per request) which aren't granted within it reject with a
+ * LockTimeoutError. withLock() always releases what it acquires.
+ * @module Mutex
+ */
+
+const Log = require('debug')('mutex');
+const Errors = require('./rdf-errors');
+
 class Mutex {
-  constructor() {
-    this._locking = Promise.resolve();
-    this._locks = 0;
+  /**
+   * @param {string} [name] - identifies this Mutex in logs and errors
+   * @param {object} [options]
+   * @param {number} [options.timeout] - default milliseconds to wait for a lock; default: Infinity
+   */
+  constructor (name = 'Mutex', { timeout = Mutex.DefaultTimeout } = {}) {
+    this.name = name;
+    this.timeout = timeout;
+    this._held = new Set(); // granted requests
+    this._waiting = []; // requests in order of arrival
   }
 
-  lock () {
-    this._locks += 1;
-    let unlockNext;
-    let willLock = new Promise(resolve => unlockNext = () => {
-      this._locks -= 1;
-      resolve();
+  /** lock:Promise<function> - acquire the lock
+   * @param {object} [options]
+   * @param {string} [options.mode] - Mutex.Exclusive (default) or Mutex.Shared
+   * @param {number} [options.timeout] - milliseconds to wait; Infinity to wait forever
+   * @param {string} [options.holder] - who's asking, for describe() and errors
+   * @returns: unlock function, which is harmless to call more than once
+   * @throws: LockTimeoutError
+   */
+  lock ({ mode = Mutex.Exclusive, timeout = this.timeout, holder = 'anonymous' } = {}) {
+    if (mode !== Mutex.Exclusive && mode !== Mutex.Shared)
+      throw Error(`unknown lock mode ${mode}`);
+    return new Promise((resolve, reject) => {
+      const request = { mode, holder, since: Date.now(), resolve, timer: null };
+      this._waiting.push(request);
+      if (timeout !== Infinity)
+        request.timer = setTimeout(() => {
+          this._waiting.splice(this._waiting.indexOf(request), 1);
+          const e = new Errors.LockTimeoutError(this.name, `${holder} waited ${timeout}ms for ${mode} lock held by ${this._describeHeld()}`);
+          Log(e.message);
+          reject(e);
+          this._dispatch(); // may unblock shared requests queued behind this one
+        }, timeout);
+      this._dispatch();
     });
-    let willUnlock = this._locking.then(() => unlockNext);
-    this._locking = this._locking.then(() => willLock);
-    return willUnlock;
+  }
+
+  /** lockShared:Promise<function> - acquire the lock alongside other shared holders
+   */
+  lockShared (options = {}) {
+    return this.lock(Object.assign({}, options, { mode: Mutex.Shared }));
+  }
+
+  /** withLock:* - run f while holding the lock
+   * @param f:function - async function to run
+   * @param options:object - as for lock()
+   * @returns: f's return value
+   */
+  async withLock (f, options = {}) {
+    const unlock = await this.lock(options);
+    try {
+      return await f();
+    } finally {
+      unlock();
+    }
+  }
+
+  /** idle:boolean - whether the lock is neither held nor waited for
+   */
+  get idle () { return this._held.size === 0 && this._waiting.length === 0; }
+
+  /** describe:object - who holds and who waits for the lock, for debugging
+   * @returns: { name, held: [{mode, holder, ms}], waiting: [{mode, holder, ms}] }
+   */
+  describe () {
+    const now = Date.now();
+    const summarize = r => ({ mode: r.mode, holder: r.holder, ms: now - r.since });
+    return {
+      name: this.name,
+      held: Array.from(this._held).map(summarize),
+      waiting: this._waiting.map(summarize),
+    };
+  }
+
+  /* private: grant waiting requests in order until one conflicts with a holder.
+   */
+  _dispatch () {
+    while (this._waiting.length && this._compatible(this._waiting[0])) {
+      const request = this._waiting.shift();
+      clearTimeout(request.timer);
+      request.since = Date.now();
+      this._held.add(request);
+      let released = false;
+      request.resolve(() => {
+        if (released)
+          return;
+        released = true;
+        this._held.delete(request);
+        this._dispatch();
+      });
+    }
+  }
+
+  _compatible (request) {
+    return this._held.size === 0 ||
+      request.mode === Mutex.Shared && Array.from(this._held).every(r => r.mode === Mutex.Shared);
+  }
+
+  _describeHeld () {
+    return this._held.size
+      ? Array.from(this._held).map(r => `${r.holder} (${r.mode}, ${Date.now() - r.since}ms)`).join(', ')
+      : 'no one';
   }
 }
 
-module.exports = Mutex;
+Mutex.Exclusive = 'exclusive';
+Mutex.Shared = 'shared';
+Mutex.DefaultTimeout = Infinity; // callers opt in to timeouts
 
+module.exports = Mutex;
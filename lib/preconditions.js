@@ -0,0 +1,75 @@
+/** Preconditions - entity tags and RFC 7232 conditional requests.
+ *
+ * This library provides:
+ * * entityTag - a strong ETag for a stored representation, used by Storages' rstat().
+ * * statTag - a strong ETag for stored files, from their fs.Stats rather than their contents.
+ * * check - throw a PreconditionFailedError if a state-changing request's
+ *   If-Match, If-Unmodified-Since or If-None-Match header fails.
+ * @module Preconditions
+ */
+
+const Crypto = require('crypto');
+const Errors = require('./rdf-errors');
+
+/**
+ * strong entity tag for body
+ * @param {string} body - stored representation
+ * @returns {string} quoted ETag
+ */
+function entityTag (body) {
+  return '"' + Crypto.createHash('sha1').update(body).digest('hex') + '"';
+}
+
+/**
+ * strong entity tag from files' inodes, sizes and modification times, as
+ * Apache and nginx derive them, so rstat() needn't read the files
+ * @param {...fs.BigIntStats} stats - stats (with bigint: true) of the files making up the representation
+ * @returns {string} quoted ETag
+ */
+function statTag (...stats) {
+  return '"' + stats.map(stat => [stat.ino, stat.size, stat.mtimeNs].map(n => n.toString(16)).join('-')).join('.') + '"';
+}
+
+/**
+ * evaluate preconditions in the order given by RFC 7232 §6
+ * @param {object} headers - request headers with lower-case names
+ * @param {object|null} rstat - storage.rstat() of the target; null if it doesn't exist
+ * @param {URL} url - target, for error messages
+ * @throws {PreconditionFailedError}
+ */
+function check (headers, rstat, url) {
+  headers = headers || {};
+  const etag = rstat ? rstat.etag : null;
+  if ('if-match' in headers) {
+    if (!rstat || !matches(headers['if-match'], etag, false))
+      throw new Errors.PreconditionFailedError(url.href, 'If-Match', headers['if-match'], etag);
+  } else if ('if-unmodified-since' in headers && rstat && rstat.lastModified) {
+    const since = Date.parse(headers['if-unmodified-since']);
+    // HTTP dates have one-second resolution.
+    if (!isNaN(since) && Math.floor(rstat.lastModified.getTime() / 1000) * 1000 > since)
+      throw new Errors.PreconditionFailedError(url.href, 'If-Unmodified-Since', headers['if-unmodified-since'], rstat.lastModified.toUTCString());
+  }
+  if ('if-none-match' in headers && rstat && matches(headers['if-none-match'], etag, true))
+    throw new Errors.PreconditionFailedError(url.href, 'If-None-Match', headers['if-none-match'], etag);
+}
+
+/* whether an If-Match or If-None-Match value matches etag
+ * @param weak - use weak comparison (If-None-Match) rather than strong (If-Match)
+ */
+function matches (value, etag, weak) {
+  if (value.trim() === '*')
+    return true;
+  if (!etag)
+    return false;
+  const opaque = tag => tag.replace(/^W\//, '');
+  return (value.match(/(W\/)?"[^"]*"/g) || []).some(tag => weak
+    ? opaque(tag) === opaque(etag)
+    : !tag.startsWith('W/') && !etag.startsWith('W/') && tag === etag);
+}
+
+const Preconditions = {
+  entityTag,
+  statTag,
+  check,
+};
+module.exports = Preconditions;
@@ -9,5 +9,7 @@ module.exports = {
   tree: 'http://www.w3.org/ns/shapetree#',
   xsd: 'http://www.w3.org/2001/XMLSchema#',
   dc: 'http://purl.org/dc/terms/',
+  sh: 'http://www.w3.org/ns/shacl#',
+  jsonld: 'http://www.w3.org/ns/json-ld#',
 };
 
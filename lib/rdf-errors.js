@@ -97,15 +97,17 @@ class ShapeTreeStructureError extends ManagedError {
 }
 
 /** ValidationError - node did not validate as shape.
+ * @param results: list of ValidationResults (see Validators module)
  */
 class ValidationError extends ManagedError {
-  constructor (node, shape, text) {
+  constructor (node, shape, text, results = []) {
     let message = `<${node}> did not validate as <${shape}>:\n` + text;
     super(message, 422);
     this.name = 'Validation';
     this.node = node;
     this.shape = shape;
     this.text = text;
+    this.results = results;
   }
 }
 
@@ -121,6 +123,57 @@ class UriTemplateMatchError extends ManagedError {
   }
 }
 
+/** LockTimeoutError - couldn't get exclusive access to a resource.
+ */
+class LockTimeoutError extends ManagedError {
+  constructor (resource, text) {
+    let message = `unable to lock ${resource}: ${text}`;
+    super(message, 503);
+    this.name = 'LockTimeout';
+    this.resource = resource;
+  }
+}
+
+/** PreconditionFailedError - a conditional request header didn't hold.
+ */
+class PreconditionFailedError extends ManagedError {
+  constructor (resource, header, value, current) {
+    let message = `${header}: ${value} failed for ${resource}` + (current ? ` (currently ${current})` : '');
+    super(message, 412);
+    this.name = 'PreconditionFailed';
+    this.header = header;
+  }
+}
+
+/** BinaryConstraintError - a NonRDFSource violated its step's tree:mediaType,
+ * tree:maxByteSize or tree:requiresChecksum.
+ */
+class BinaryConstraintError extends ManagedError {
+  constructor (resource, constraint, text, status) {
+    let message = `${resource} violates ${constraint}: ${text}`;
+    super(message, status);
+    this.name = 'BinaryConstraint';
+    this.resource = resource;
+    this.constraint = constraint;
+  }
+}
+
+/** CardinalityError - a Container has (or would have) too few or too many
+ * members matching a ShapeTree step's tree:minCount or tree:maxCount.
+ */
+class CardinalityError extends ManagedError {
+  constructor (container, step, constraint, expected, actual) {
+    let message = `${constraint} ${expected} of <${step}> violated by ${actual} members of ${container}`;
+    super(message, 409);
+    this.name = 'Cardinality';
+    this.container = container;
+    this.step = step;
+    this.constraint = constraint;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
 const RdfErrors = {
   ManagedError,
   ParserError,
@@ -132,5 +185,9 @@ const RdfErrors = {
   ShapeTreeStructureError,
   ValidationError,
   UriTemplateMatchError,
+  LockTimeoutError,
+  PreconditionFailedError,
+  BinaryConstraintError,
+  CardinalityError,
 };
 module.exports = RdfErrors;
@@ -0,0 +1,302 @@
+/** RdfPatch - apply SPARQL Update and N3 Patch documents to an RDFJS Store.
+ *
+ * Supports the subset of SPARQL Update used by LDP clients:
+ *   INSERT DATA, DELETE DATA, DELETE WHERE and DELETE/INSERT ... WHERE
+ *   over basic graph patterns (no GRAPH, FILTER, OPTIONAL, etc.)
+ * and Solid N3 Patch (solid:inserts, solid:deletes, solid:where).
+ * @module RdfPatch
+ */
+
+const N3 = require("n3");
+const { DataFactory } = N3;
+const { blankNode, variable, quad } = DataFactory;
+const Errors = require('./rdf-errors');
+const Prefixes = require('./prefixes');
+
+const MediaTypes = {
+  sparqlUpdate: 'application/sparql-update',
+  n3Patch: 'text/n3',
+};
+const Positions = ['subject', 'predicate', 'object'];
+
+/**
+ * apply a patch document to graph
+ * @param {N3.Store} graph - graph to be modified in place
+ * @param {string} body - patch document
+ * @param {URL} base - base IRI for relative IRIs in body
+ * @param {string} contentType - media type of body
+ * @returns {N3.Store} graph after modification
+ * @throws {ManagedError} 415 for unsupported media types, 409 when patch doesn't apply
+ * @throws {ParserError} 422 if the patch can't be parsed
+ */
+function applyPatch (graph, body, base, contentType) {
+  if (!(base instanceof URL)) throw Error(`base ${base} must be an instance of URL`)
+  const mediaType = (contentType || '').split(/; */)[0];
+  switch (mediaType) {
+  case MediaTypes.sparqlUpdate:
+    parseSparqlUpdate(body, base).forEach(op => applyOperation(graph, op, false));
+    break;
+  case MediaTypes.n3Patch:
+    applyOperation(graph, parseN3Patch(body, base), true);
+    break;
+  default:
+    throw new Errors.ManagedError(`unsupported PATCH media type "${contentType}"; expected one of ${Object.values(MediaTypes).join(', ')}`, 415);
+  }
+  return graph;
+}
+
+/**
+ * parse a SPARQL Update request into a list of { deletes, inserts, where } operations
+ * @param {string} text
+ * @param {URL} base
+ * @returns {object[]}
+ * @throws {ParserError}
+ */
+function parseSparqlUpdate (text, base) {
+  const prologue = { base: base, prefixes: {} };
+  const ops = [];
+  let rest = stripComments(text);
+  while (rest.trim().length > 0) {
+    let m;
+    if ((m = rest.match(/^\s*PREFIX\s+([^\s:]*):\s*<([^>]*)>/i))) {
+      prologue.prefixes[m[1]] = new URL(m[2], prologue.base).href;
+    } else if ((m = rest.match(/^\s*BASE\s+<([^>]*)>/i))) {
+      prologue.base = new URL(m[1], prologue.base);
+    } else if ((m = rest.match(/^\s*;/))) {
+      ;
+    } else if ((m = rest.match(/^\s*(INSERT|DELETE)\s+DATA\s*(?={)/i))) {
+      const [block, len] = readBlock(rest, m[0].length);
+      const quads = parsePattern(block, prologue, false);
+      ops.push(m[1].toUpperCase() === 'INSERT'
+               ? { deletes: [], inserts: quads, where: [] }
+               : { deletes: quads, inserts: [], where: [] });
+      m = [rest.substr(0, m[0].length + len)];
+    } else if ((m = rest.match(/^\s*DELETE\s+WHERE\s*(?={)/i))) {
+      const [block, len] = readBlock(rest, m[0].length);
+      const patterns = parsePattern(block, prologue, true);
+      ops.push({ deletes: patterns, inserts: [], where: patterns });
+      m = [rest.substr(0, m[0].length + len)];
+    } else if ((m = rest.match(/^\s*(?=DELETE|INSERT|WHERE)/i))) {
+      const op = { deletes: [], inserts: [], where: [] };
+      let at = m[0].length;
+      for (const [keyword, attr] of [['DELETE', 'deletes'], ['INSERT', 'inserts'], ['WHERE', 'where']]) {
+        const k = rest.substr(at).match(new RegExp(`^\\s*${keyword}\\s*(?={)`, 'i'));
+        if (!k) {
+          if (keyword === 'WHERE')
+            throw parseError(`expected WHERE clause`, rest.substr(at));
+          continue;
+        }
+        const [block, len] = readBlock(rest, at + k[0].length);
+        op[attr] = parsePattern(block, prologue, keyword === 'WHERE');
+        at += k[0].length + len;
+      }
+      ops.push(op);
+      m = [rest.substr(0, at)];
+    } else {
+      throw parseError(`unsupported SPARQL Update operation`, rest);
+    }
+    rest = rest.substr(m[0].length);
+  }
+  return ops;
+}
+
+/**
+ * parse a Solid N3 Patch into a { deletes, inserts, where } operation
+ * @param {string} text
+ * @param {URL} base
+ * @returns {object}
+ * @throws {ParserError}
+ */
+function parseN3Patch (text, base) {
+  let quads;
+  try {
+    quads = new N3.Parser({baseIRI: base.href, format: "text/n3"}).parse(text);
+  } catch (e) {
+    throw new Errors.ParserError(e, text);
+  }
+  const formulaPredicates = ['inserts', 'deletes', 'where'].map(ln => Prefixes.solid + ln);
+  const patches = quads
+        .filter(q => formulaPredicates.indexOf(q.predicate.value) !== -1)
+        .reduce((acc, q) => acc.find(s => s.equals(q.subject)) ? acc : acc.concat([q.subject]), []);
+  if (patches.length !== 1)
+    throw parseError(`expected one patch resource with solid:inserts, solid:deletes or solid:where, got ${patches.length}`, text);
+
+  return {
+    deletes: formula('deletes', false),
+    inserts: formula('inserts', false),
+    where: formula('where', true),
+  };
+
+  function formula (localName, isPattern) {
+    const arcs = quads.filter(q => q.subject.equals(patches[0]) && q.predicate.value === Prefixes.solid + localName);
+    if (arcs.length > 1)
+      throw parseError(`expected at most one solid:${localName} formula`, text);
+    return arcs.length === 0
+      ? []
+      : quads
+      .filter(q => q.graph.equals(arcs[0].object))
+      .map(q => quad(...Positions.map(pos => isPattern ? blankToVariable(q[pos]) : q[pos])));
+  }
+}
+
+/* apply one { deletes, inserts, where } operation
+ * strict: N3 Patch semantics - where must have exactly one solution and deletes must exist.
+ */
+function applyOperation (graph, op, strict) {
+  const solutions = match(graph, op.where);
+  if (strict && solutions.length !== 1)
+    throw new Errors.ManagedError(`patch WHERE clause must match exactly once, matched ${solutions.length} times`, 409);
+  const deletes = solutions.reduce((acc, solution) => acc.concat(instantiate(op.deletes, solution, false)), []);
+  const inserts = solutions.reduce((acc, solution) => acc.concat(instantiate(op.inserts, solution, true)), []);
+  if (strict) {
+    const missing = deletes.filter(q => graph.getQuads(q.subject, q.predicate, q.object, null).length === 0);
+    if (missing.length > 0)
+      throw new Errors.ManagedError(`patch deletes ${missing.length} triples which are not in the target resource`, 409);
+  }
+  deletes.forEach(q => graph.removeQuads(graph.getQuads(q.subject, q.predicate, q.object, null)));
+  graph.addQuads(inserts);
+}
+
+/* evaluate a basic graph pattern against graph
+ * @returns list of solutions mapping variable names to terms
+ */
+function match (graph, patterns) {
+  return patterns.reduce((solutions, pattern) => solutions.reduce((acc, solution) => {
+    const terms = Positions.map(pos => substitute(pattern[pos], solution));
+    const found = graph.getQuads(...terms.map(t => t.termType === 'Variable' ? null : t), null);
+    return acc.concat(found.map(
+      q => Positions.reduce((s, pos, i) => s && bind(s, terms[i], q[pos]), Object.assign({}, solution))
+    ).filter(s => s));
+  }, []), [{}]);
+}
+
+function bind (solution, term, value) {
+  if (term.termType !== 'Variable')
+    return solution;
+  if (term.value in solution)
+    return solution[term.value].equals(value) ? solution : null;
+  solution[term.value] = value;
+  return solution;
+}
+
+function substitute (term, solution) {
+  return term.termType === 'Variable' && term.value in solution
+    ? solution[term.value]
+    : term;
+}
+
+/* fill template with solution, dropping triples with unbound variables
+ * freshBNodes: give template blank nodes new labels for each solution
+ */
+function instantiate (template, solution, freshBNodes) {
+  const bnodes = {};
+  return template.map(q => Positions.map(pos => {
+    const t = substitute(q[pos], solution);
+    return freshBNodes && t.termType === 'BlankNode'
+      ? (bnodes[t.value] = bnodes[t.value] || blankNode())
+      : t;
+  })).filter(
+    terms => !terms.find(t => t.termType === 'Variable')
+  ).map(terms => quad(...terms));
+}
+
+/* parse the contents of a {...} block
+ * isPattern: treat blank nodes as variables
+ */
+function parsePattern (block, prologue, isPattern) {
+  const prefixes = Object.keys(prologue.prefixes).map(p => `@prefix ${p}: <${prologue.prefixes[p]}>.\n`).join('');
+  const body = block.trim().length === 0 || block.trim().endsWith('.')
+        ? block
+        : block + ' .';
+  try {
+    return new N3.Parser({baseIRI: prologue.base.href, format: "text/n3"}).parse(prefixes + body)
+      .map(q => quad(...Positions.map(pos => isPattern ? blankToVariable(q[pos]) : q[pos])));
+  } catch (e) {
+    throw new Errors.ParserError(e, prefixes + body);
+  }
+}
+
+function blankToVariable (term) {
+  return term.termType === 'BlankNode'
+    ? variable('_bnode_' + term.value)
+    : term;
+}
+
+/* read a {...} block starting at text[start], skipping IRIs and string literals
+ * @returns [contents of block, length consumed from start]
+ */
+function readBlock (text, start) {
+  let depth = 0;
+  let i = start;
+  scan(text, start, (c, at) => {
+    if (c === '{') {
+      ++depth;
+    } else if (c === '}' && --depth === 0) {
+      i = at;
+      return true;
+    }
+    return false;
+  });
+  if (depth !== 0)
+    throw parseError(`unbalanced '{'`, text.substr(start));
+  return [text.substring(start + 1, i), i + 1 - start];
+}
+
+/* remove '#' comments which aren't in IRIs or string literals
+ */
+function stripComments (text) {
+  let ret = '';
+  let from = 0;
+  scan(text, 0, (c, at) => {
+    if (c !== '#')
+      return false;
+    const eol = text.indexOf('\n', at);
+    ret += text.substring(from, at);
+    from = eol === -1 ? text.length : eol;
+    return from;
+  });
+  return ret + text.substr(from);
+}
+
+/* call f(char, index) on characters outside of <IRI>s and "string"s.
+ * f returns true to stop scanning or an index from which to resume scanning.
+ */
+function scan (text, start, f) {
+  const iri = /<[^\s<>"{}|^`\\]*>/y;
+  let quote = null;
+  let inIri = false;
+  for (let i = start; i < text.length; ++i) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\')
+        ++i;
+      else if (c === quote)
+        quote = null;
+    } else if (inIri) {
+      if (c === '>')
+        inIri = false;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '<' && (iri.lastIndex = i, iri.test(text))) {
+      inIri = true;
+    } else {
+      const next = f(c, i);
+      if (next === true)
+        return;
+      if (typeof next === 'number')
+        i = next - 1;
+    }
+  }
+}
+
+function parseError (message, text) {
+  return new Errors.ParserError({ message, name: 'PatchParseError' }, text);
+}
+
+const RdfPatch = {
+  MediaTypes,
+  applyPatch,
+  parseSparqlUpdate,
+  parseN3Patch,
+};
+module.exports = RdfPatch;
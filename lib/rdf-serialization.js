@@ -11,7 +11,7 @@ const Jsonld = require('jsonld');
 const Errors = require('./rdf-errors');
 
 /**
- * call parseJsonLD() or parseTurlt() depending on contentType
+ * call parseJsonLD(), parseNTriples(), parseNQuads() or parseTurtle() depending on contentType
  * @param {} body
  * @param {} base
  * @param {} contentType
@@ -21,9 +21,12 @@ const Errors = require('./rdf-errors');
  */
 function parseRdf (body, base, contentType, prefixes = {}) {
   if (!(base instanceof URL)) throw Error(`base ${base} must be an instance of URL`)
-  return contentType.split(/; */)[0] === 'application/ld+json'
-    ? parseJsonLd(body, base, prefixes)
-    : parseTurtle(body, base, prefixes);
+  switch (contentType.split(/; */)[0]) {
+  case 'application/ld+json': return parseJsonLd(body, base, prefixes);
+  case 'application/n-triples': return parseNTriples(body, base);
+  case 'application/n-quads': return parseNQuads(body, base);
+  default: return parseTurtle(body, base, prefixes);
+  }
 }
 
 /**
@@ -52,9 +55,37 @@ function parseTurtleSync (text, base, prefixes) {
  */
 async function parseTurtle (text, base, prefixes) {
   if (!(base instanceof URL)) throw Error(`base ${base} must be an instance of URL`);
+  return readQuads(text, base, prefixes, 'text/turtle');
+}
+
+/**
+ * asynchronously parse N-Triples
+ * @param {} text
+ * @param {} base
+ * @returns {}
+ * @throws {}
+ */
+async function parseNTriples (text, base) {
+  if (!(base instanceof URL)) throw Error(`base ${base} must be an instance of URL`);
+  return readQuads(text, base, null, 'application/n-triples');
+}
+
+/**
+ * asynchronously parse N-Quads, keeping named graphs
+ * @param {} text
+ * @param {} base
+ * @returns {}
+ * @throws {}
+ */
+async function parseNQuads (text, base) {
+  if (!(base instanceof URL)) throw Error(`base ${base} must be an instance of URL`);
+  return readQuads(text, base, null, 'application/n-quads');
+}
+
+function readQuads (text, base, prefixes, format) {
   const store = new N3.Store();
-  return await new Promise((resolve, reject) => {
-    new N3.Parser({baseIRI: base.href, blankNodePrefix: "", format: "text/turtle"}).
+  return new Promise((resolve, reject) => {
+    new N3.Parser({baseIRI: base.href, blankNodePrefix: "", format}).
       parse(text,
             function (error, triple, newPrefixes) {
               if (prefixes) {
@@ -175,12 +206,78 @@ async function parseJsonLd (text, base) {
   try {
     const qz = await Jsonld.toRDF(JSON.parse(text), {format: "application/nquads", base: base.href});
     // I think future minor versions will return an RDFJS list of quads.
-    return parseTurtle(qz, base);
+    return parseNQuads(qz, base);
   } catch(e) {
     throw new Errors.ParserError(e, text)
   }
 }
 
+/**
+ * call serializeTurtle(), serializeJsonLd(), serializeNTriples() or serializeNQuads() depending on contentType
+ * @param {} graph
+ * @param {} base
+ * @param {} contentType
+ * @param {} prefixes
+ * @param {} jsonLdOptions - see serializeJsonLd
+ * @returns {}
+ * @throws {}
+ */
+async function serializeRdf (graph, base, contentType, prefixes = {}, jsonLdOptions = {}) {
+  switch (contentType.split(/; */)[0]) {
+  case 'application/ld+json': return serializeJsonLd(graph, base, prefixes, jsonLdOptions);
+  case 'application/n-triples': return serializeNTriples(graph);
+  case 'application/n-quads': return serializeNQuads(graph);
+  case 'text/turtle': return serializeTurtle(graph, base, prefixes);
+  default: throw Error(`unable to serialize RDF as ${contentType}`);
+  }
+}
+
+/**
+ * asynchronously serialize JSON-LD
+ * @param {} graph
+ * @param {} base
+ * @param {} prefixes - used as the @context for compaction if no context is supplied
+ * @param {} options - { context: JSON-LD context for compaction, frame: JSON-LD frame }
+ * @returns {}
+ * @throws {}
+ */
+async function serializeJsonLd (graph, base, prefixes, { context, frame } = {}) {
+  if (!(base instanceof URL)) throw Error(`base ${base} must be an instance of URL`)
+  const expanded = await Jsonld.fromRDF(await serializeNQuads(graph), {format: "application/n-quads"});
+  const shaped = frame
+        ? await Jsonld.frame(expanded, frame, {base: base.href})
+        : await Jsonld.compact(expanded, context || Object.assign({}, prefixes), {base: base.href});
+  return JSON.stringify(shaped, null, 2);
+}
+
+/**
+ * asynchronously serialize N-Triples
+ * @param {} graph
+ * @returns {}
+ * @throws {}
+ */
+async function serializeNTriples (graph) {
+  return writeQuads(graph, 'N-Triples');
+}
+
+/**
+ * asynchronously serialize N-Quads
+ * @param {} graph
+ * @returns {}
+ * @throws {}
+ */
+async function serializeNQuads (graph) {
+  return writeQuads(graph, 'N-Quads');
+}
+
+function writeQuads (graph, format) {
+  return new Promise((resolve, reject) => {
+    const writer = new N3.Writer({ format });
+    writer.addQuads(graph.constructor === Array ? graph : graph.getQuads());
+    writer.end((error, result) => error ? reject(error) : resolve(result));
+  });
+}
+
 /**
  * Expect exactly one response from a query
  * @param {} g
@@ -231,9 +328,15 @@ const RdfSerializer = {
   parseRdf,
   parseTurtleSync,
   parseTurtle,
+  parseNTriples,
+  parseNQuads,
   serializeTurtleSync,
   serializeTurtle,
   parseJsonLd,
+  serializeRdf,
+  serializeJsonLd,
+  serializeNTriples,
+  serializeNQuads,
   zeroOrOne,
   one,
   renderRdfTerm,
@@ -7,10 +7,27 @@ const Debug = require('debug');
 const Log = Debug('LDP');
 const Details = Log.extend('details');
 
-const ResponseCodes = require('statuses').STATUS_CODES;
+const { makeResponse } = require('./fetch-response');
 const Errors = require('./rdf-errors');
 const Prefixes = require('./prefixes');
-const NoShapeTrees = process.env.SHAPETREE !== 'fetch';
+const RdfPatch = require('./rdf-patch');
+const ValidationReport = require('./validation-report');
+const Preconditions = require('./preconditions');
+const LinkHeader = require('./link-header');
+const LruCache = require('./lru-cache');
+const JournaledStorage = require('../storage/journaled');
+const MemoryStorage = require('../storage/memory');
+const { namedNode } = require('n3').DataFactory;
+// Unless told otherwise (ldpConf.enforce), leave ShapeTrees to the LDP server.
+const LdpEnforces = process.env.SHAPETREE !== 'fetch';
+// RDF representations offered by GET
+const RdfMediaTypes = ['text/turtle', 'application/ld+json', 'application/n-triples', 'application/n-quads'];
+// the RdfMediaTypes which can carry named graphs
+const QuadMediaTypes = ['application/ld+json', 'application/n-quads'];
+// members per Container page if neither the request nor ldpConf.pageSize says
+const DefaultPageSize = 100;
+// members remembered across Container pages, so paging through a Container reads its members once
+const MaxCachedMembers = 100000;
 
 /**
  * make a fetcher for client-side enforcement of ShapeTrees
@@ -18,60 +35,117 @@ const NoShapeTrees = process.env.SHAPETREE !== 'fetch';
  * @param {} rdfInterface
  * @param {} nextFetch
  * @param {} baseUrl
- * @param {} ldpConf
+ * @param {} ldpConf - {apps, cache, journal?, pageSize?, enforce?}; enforce:true makes
+ *   shapeTreeFetch enforce ShapeTrees whatever process.env.SHAPETREE says; journal puts
+ *   rollback journals in that Container of storage rather than storage.journalStorage()
  * @returns {}
  * @throws {}
  */
 function makeShapeTreeFetch (storage, rdfInterface, nextFetch, baseUrl, ldpConf) {
+  // Plants and managed POSTs are all-or-nothing; journals of interrupted ones are rolled back before the first request.
+  // The cache can always be re-fetched so it's left out of transactions.
+  const NoShapeTrees = 'enforce' in ldpConf ? !ldpConf.enforce : LdpEnforces;
+  const cacheUrl = new URL(ldpConf.cache + '/', baseUrl);
+  // Journals are kept out of clients' reach: in ldpConf.journal, a Container the server must hide,
+  // else in the storage's journalStorage(), else only in memory, which can't recover from crashes.
+  const [journals, journalUrl] = ldpConf.journal
+        ? [storage, new URL(ldpConf.journal + '/', baseUrl)]
+        : [storage.journalStorage ? storage.journalStorage() : new MemoryStorage({ metaDataSuffix: storage.metaDataSuffix }, rdfInterface), new URL('/', baseUrl)];
+  storage = new JournaledStorage(storage, rdfInterface, journalUrl, [cacheUrl], { journals });
+  const recovered = storage.recover().then(
+    count => { if (count) Log('rolled back %d interrupted transactions', count); }
+  );
   const ShapeTree = require('./shape-tree')(storage, rdfInterface, nextFetch);
   const Ecosystem = new (require('../ecosystems/simple-apps'))(storage, ShapeTree, rdfInterface);
   Ecosystem.baseUrl = baseUrl;
   Ecosystem.appsUrl = new URL(ldpConf.apps + '/', baseUrl);
-  Ecosystem.cacheUrl = new URL(ldpConf.cache + '/', baseUrl);
+  Ecosystem.cacheUrl = cacheUrl;
+  const MemberLists = new LruCache({ maxSize: MaxCachedMembers, sizeOf: list => list.members.length + 1 }); // hash[Container href, {etag, members}]
 
   return async function shapeTreeFetch (url, options = {}) {
     const funcDetails = Details.extend(`shapeTreeFetch(<${url.href}>, ${JSON.stringify(options)})`);
     if (!('method' in options))
       options.method = 'GET';
-    const resp = new FakeResponse(url);
     try {
+      await recovered;
       const requestUrl = new URL(url.href.replace(/^\//, ''))
-      const rstat = await rstatOrNull(requestUrl)
-      const links = parseLinks(options.headers && options.headers.link ? options.headers.link.join('') : '');
-      switch (options.method) {
-        
-      case 'POST': {
-        // Make sure POSTed URL exists.
-        throwIfNotFound(rstat, requestUrl, options.method);
-        // Store a new resource or create a new ShapeTree
-        funcDetails(`ShapeTree.loadContainer(<${requestUrl.pathname}>)`);
-        const parentContainer = NoShapeTrees
-              ? await new ShapeTree.Container(requestUrl).ready
-              : await ShapeTree.loadContainer(requestUrl);
-
-        const ldpType = links.type.substr(Prefixes.ldp.length); // links.type ? links.type.substr(Prefixes.ldp.length) : null;
-        const requestedName = (options.headers.slug || ldpType) + (ldpType === 'Container' ? '/' : '');
-        const payload = options.body.toString('utf8');
-        const mediaType = options.headers['content-type'];
-
-        const isPlantRequest = !!links.shapeTree;
-        if (isPlantRequest) {
-
-          // Parse payload early so we can throw before creating a ShapeTree instance.
-          const payloadGraph = await rdfInterface.parseRdf(payload, requestUrl, mediaType);
-
-          // Create ShapeTree instance and tell ecosystem about it.
-          const shapeTreeUrl = new URL(links.shapeTree, requestUrl); // !! should respect anchor per RFC5988 §5.2
-          // Ask ecosystem if we can re-use an old ShapeTree instance.
-          let location = Ecosystem.reuseShapeTree(parentContainer, shapeTreeUrl)
+      const links = LinkHeader.parse(options.headers && options.headers.link, requestUrl);
+      if (['POST', 'PUT', 'PATCH', 'DELETE'].indexOf(options.method) === -1)
+        return await respond(url, options, requestUrl, await rstatOrNull(requestUrl), links, funcDetails);
+      // Hold the target's lock so no-one changes it between checking preconditions and acting on them,
+      // and its Container's (the target's own for POST) so no-one changes its members between checkCardinality and commit.
+      const containerUrl = options.method === 'POST' ? requestUrl : new URL(requestUrl.pathname.endsWith('/') ? '..' : '.', requestUrl);
+      return await storage.locks.withLock(containerUrl, () => storage.locks.withLock(requestUrl, async () => {
+        const rstat = await rstatOrNull(requestUrl);
+        Preconditions.check(options.headers, rstat, requestUrl); // throws 412 Precondition Failed
+        const resp = await respond(url, options, requestUrl, rstat, links, funcDetails);
+        // Later requests mustn't validate against ShapeTrees or schemas parsed from what this changed.
+        if (resp.ok && ShapeTree.RemoteShapeTree.cache)
+          ShapeTree.RemoteShapeTree.cache.invalidate(requestUrl);
+        return resp;
+      }));
+    } catch (e) {
+      /* istanbul ignore else */
+      if (e instanceof Errors.ManagedError) {
+        /* istanbul ignore if */
+        if (e.message.match(/^\[object Object\]$/))
+          console.warn('fix up error invocation for:\n', e.stack);
+      } else {
+        console.warn('unmanaged exception: ' + (e.stack || e.message))
+        e.status = e.status || 500;
+      }
+      return errorResponse(e, url, options.headers && options.headers.accept);
+    }
+  }
+
+  /* handle a request whose target's state (rstat) and preconditions have been checked
+   */
+  async function respond (url, options, requestUrl, rstat, links, funcDetails) {
+    switch (options.method) {
+      
+    case 'POST': {
+      // Make sure POSTed URL exists.
+      throwIfNotFound(rstat, requestUrl, options.method);
+      // Store a new resource or create a new ShapeTree
+      funcDetails(`ShapeTree.loadContainer(<${requestUrl.pathname}>)`);
+      const parentContainer = NoShapeTrees
+            ? await new ShapeTree.Container(requestUrl).ready
+            : await ShapeTree.loadContainer(requestUrl);
+
+      const ldpType = ldpTypeOf(links);
+      const requestedName = (options.headers.slug || ldpType) + (ldpType === 'Container' ? '/' : '');
+      const payload = requestPayload(options, ldpType);
+      const mediaType = options.headers['content-type'];
+
+      const isPlantRequest = !!links.first('shapeTree');
+      if (isPlantRequest) {
+
+        // Parse payload early so we can throw before creating a ShapeTree instance.
+        const payloadGraph = await rdfInterface.parseRdf(payload, requestUrl, mediaType);
+
+        // Create ShapeTree instance and tell ecosystem about it.
+        const shapeTreeUrl = links.first('shapeTree').target;
+        const rootStep = (await new ShapeTree.RemoteShapeTree(shapeTreeUrl).fetch()).tree;
+        // Ask ecosystem if we can re-use an old ShapeTree instance.
+        const [location, rebased] = await storage.transaction(async () => {
+          let location = Ecosystem.reuseShapeTree(parentContainer, shapeTreeUrl, rootStep)
+          let migrated = null; // [former ShapeTree, non-conforming resources] if an older instance was migrated
           if (location) {
             Log('plant reused', location.pathname.substr(1));
+            if (Ecosystem.needsMigration(parentContainer, location, rootStep)) {
+              const formerUrl = (await ShapeTree.loadContainer(location)).shapeTreeUrl;
+              funcDetails(`ShapeTree.migrateInstance(<${location.pathname}>, <${shapeTreeUrl.href}>)`);
+              migrated = [formerUrl, await ShapeTree.migrateInstance(location, shapeTreeUrl)];
+              await Ecosystem.reindexMigratedInstance(parentContainer, location, formerUrl, shapeTreeUrl, rootStep);
+              await parentContainer.write();
+              Log('plant migrated', location.pathname.substr(1), 'from', formerUrl.href, 'with', migrated[1].length, 'problems');
+            }
           } else {
-            funcDetails(`ecosystem.plantShapeTreeInstance(<${shapeTreeUrl.href}>, parentContainer(<${parentContainer.url.pathname}>), "${requestedName.replace(/\/$/, '')}", ${links.root || ''})`);
-            location = await parentContainer.plantShapeTreeInstance(shapeTreeUrl, requestedName.replace(/\/$/, ''), links.root || '');
+            funcDetails(`ecosystem.plantShapeTreeInstance(<${shapeTreeUrl.href}>, parentContainer(<${parentContainer.url.pathname}>), "${requestedName.replace(/\/$/, '')}")`);
+            location = await parentContainer.plantShapeTreeInstance(shapeTreeUrl, requestedName.replace(/\/$/, ''));
 
             funcDetails(`indexInstalledShapeTree(parentContainer(<${parentContainer.url.pathname}>), <${location.pathname}>, <${shapeTreeUrl.href}>)`);
-            Ecosystem.indexInstalledShapeTree(parentContainer, location, shapeTreeUrl);
+            Ecosystem.indexInstalledShapeTree(parentContainer, location, shapeTreeUrl, rootStep);
             funcDetails(`parentContainer.write()`);
             await parentContainer.write();
             Log('plant created', location.pathname.substr(1));
@@ -81,111 +155,285 @@ function makeShapeTreeFetch (storage, rdfInterface, nextFetch, baseUrl, ldpConf)
           const appData = Ecosystem.parseInstatiationPayload(payloadGraph);
           funcDetails(`Ecosystem.registerInstance(appData, shapeTreeUrl, location)`);
           const [responseGraph, prefixes] = await Ecosystem.registerInstance(appData, shapeTreeUrl, location);
-          const rebased = await rdfInterface.serializeTurtle(responseGraph, parentContainer.url, prefixes);
-
-          resp.headers.set('Location', location.href);
-          resp.headers.set('Link', `<${(await storage.rstat(location.href)).metaDataLocation}>; rel="metadata"`);
-          resp.status = 201; // Should ecosystem be able to force a 304 Not Modified ?
-          resp.headers.set('Content-type', 'text/turtle');
-          resp._text = rebased;
-          return Promise.resolve(resp);
-        } else {
-          if (!(parentContainer instanceof ShapeTree.ManagedContainer))
-            return nextFetch(url, options);
+          if (migrated) {
+            // Tell the client what no longer conforms.
+            responseGraph.addQuad(namedNode(location.href), namedNode(Prefixes.tree + 'migratedFrom'), namedNode(migrated[0].href));
+            migrated[1].forEach(problem => responseGraph.addQuad(namedNode(location.href), namedNode(Prefixes.tree + 'nonConforming'), namedNode(problem.resource.href)));
+          }
+          return [location, await rdfInterface.serializeTurtle(responseGraph, parentContainer.url, prefixes)];
+        });
+
+        return makeResponse(url, rebased, {
+          status: 201, // Should ecosystem be able to force a 304 Not Modified ?
+          type: 'text/turtle',
+          headers: {
+            Location: location.href,
+            Link: `<${(await storage.rstat(location)).metaDataLocation}>; rel="metadata"`,
+          }
+        });
+      } else {
+        if (!(parentContainer instanceof ShapeTree.ManagedContainer))
+          return nextFetch(url, options);
 
-          // Validate the posted data according to the ShapeTree rules.
-          const approxLocation = new URL(requestedName, requestUrl);
-          const entityUrl = new URL(links.root, approxLocation); // !! should respect anchor per RFC5988 §5.2
-          const [payloadGraph, dirMaker, step] =
-                await parentContainer.validatePayload(payload, approxLocation, mediaType, ldpType, entityUrl);
+        // Validate the posted data according to the ShapeTree rules.
+        const approxLocation = new URL(requestedName, requestUrl);
+        const entityUrl = focusNode(links, approxLocation);
+        const [payloadGraph, dirMaker, step] =
+              await parentContainer.validatePayload(payload, approxLocation, mediaType, ldpType, entityUrl, options.headers['content-digest']);
 
+        // The LDP server creates the resource so journal it by hand.
+        return await storage.transaction(async () => {
           const ret = await nextFetch(url, options);
+          if (!ret.ok)
+            return ret;
           const location = new URL(ret.headers.get('location'));
-          try {
-            if (ldpType === 'Container') {
-              // If it's a Container, instantiate nested Containers
-              const created = await ShapeTree.loadContainer(location);
-              await dirMaker(created);
-              const newShapeTreeInstancePath = parentContainer.shapeTreeInstancePath + location.pathname.substr(parentContainer.url.pathname.length);
-              await created.asManagedContainer(parentContainer.shapeTreeUrl, newShapeTreeInstancePath, new URL(links.root || '', location))
-              await created.write();
-            } else {
-              const added = location.href.substr(parentContainer.url.href.length)
-              await ShapeTree.mergeTreeMetadata(location, new URL(step.node.value), pathAppend(step.shapeTreeInstancePath, added), new URL(links.root, url), {});
-
-function pathAppend () { // export from shape-tree.js?
-  const [base, ...rest] = Array.from(arguments);
-  return [].concat.call([base === '.' ? '' : base], rest).join('');
-}
-
-            }
-          } catch (e) {
-            await nextFetch(location, { method: 'DELETE' });
-            throw e;
+          await storage.created(location);
+          // The server picks the name so count it against the step it actually matches; failing rolls it back.
+          await parentContainer.checkCardinality(location, 1, { counted: true });
+          if (ldpType === 'Container') {
+            // If it's a Container, instantiate nested Containers
+            const created = await ShapeTree.loadContainer(location);
+            await dirMaker(created);
+            const newShapeTreeInstancePath = parentContainer.shapeTreeInstancePath + location.pathname.substr(parentContainer.url.pathname.length);
+            await created.asManagedContainer(parentContainer.shapeTreeUrl, newShapeTreeInstancePath, focusNode(links, location))
+            await created.write();
+          } else {
+            const added = location.href.substr(parentContainer.url.href.length)
+            await ShapeTree.mergeTreeMetadata(location, new URL(step.node.value), pathAppend(parentContainer.shapeTreeInstancePath, added), focusNode(links, location), {});
           }
           return ret;
-        }
+        });
       }
+    }
 
-      case 'PUT': {
-        // Store a new resource or create a new ShapeTree
-        const parentUrl = new URL(requestUrl.pathname.endsWith('/') ? '..' : '.', requestUrl);
-        const pstat = rstatOrNull(parentUrl);
-        await throwIfNotFound(pstat, requestUrl, options.method);
-        const parentContainer = NoShapeTrees
-              ? await new ShapeTree.Container(parentUrl).ready
-              : await ShapeTree.loadContainer(parentUrl);
-        if (!(parentContainer instanceof ShapeTree.ManagedContainer))
-          return nextFetch(url, options);
-
-        const ldpType = requestUrl.pathname.endsWith('/') ? 'Container' : 'Resource';
-        let location = requestUrl;
+    case 'PUT': {
+      // Create or replace a resource in a ManagedContainer.
+      const parentUrl = new URL(requestUrl.pathname.endsWith('/') ? '..' : '.', requestUrl);
+      const pstat = await rstatOrNull(parentUrl);
+      throwIfNotFound(pstat, requestUrl, options.method);
+      const parentContainer = NoShapeTrees
+            ? await new ShapeTree.Container(parentUrl).ready
+            : await ShapeTree.loadContainer(parentUrl);
+      if (!(parentContainer instanceof ShapeTree.ManagedContainer))
+        return nextFetch(url, options);
 
-        {
+      // Link rel="type" says what's being PUT; without one, go by the trailing '/'.
+      const isContainerUrl = requestUrl.pathname.endsWith('/');
+      const ldpType = links.first('type')
+            ? ldpTypeOf(links)
+            : isContainerUrl ? 'Container' : 'Resource';
+      if ((ldpType === 'Container') !== isContainerUrl)
+        throw new Errors.ManagedError(`PUT of a ${ldpType} to ${requestUrl.pathname}; only Container URLs end with '/'`, 400);
+      if (rstat) {
+        const storedType = await storedLdpType(requestUrl, rstat);
+        if (storedType && storedType !== ldpType)
+          throw new Errors.ManagedError(`${requestUrl.pathname} is a ${storedType}; PUT can't replace it with a ${ldpType}`, 409);
+      }
 
-          // Validate the posted data according to the ShapeTree rules.
-          const entityUrl = new URL(links.root, location); // !! should respect anchor per RFC5988 §5.2
-          const payload = options.body.toString('utf8');
-          const mediaType = options.headers['content-type'];
-          const [payloadGraph, dirMaker] =
-                await parentContainer.validatePayload(payload, location, mediaType, ldpType, entityUrl);
-          const ret = await nextFetch(url, options);
-          if (ldpType === 'Container')
-            // If it's a Container, instantiate nested Containers
-            await dirMaker(await ShapeTree.loadContainer(url));
+      // Validate the payload according to the ShapeTree rules.
+      const entityUrl = rstat
+            ? await validationRoot(requestUrl, links)
+            : focusNode(links, requestUrl);
+      const payload = requestPayload(options, ldpType);
+      const mediaType = options.headers['content-type'];
+      const [payloadGraph, dirMaker, step] =
+            await parentContainer.validatePayload(payload, requestUrl, mediaType, ldpType, entityUrl, options.headers['content-digest']);
+
+      // A replaced resource keeps its metadata and nested Containers.
+      if (rstat)
+        return nextFetch(url, options);
 
+      // Like a managed POST, creation is all-or-nothing.
+      return await storage.transaction(async () => {
+        await parentContainer.checkCardinality(requestUrl, 1);
+        const ret = await nextFetch(url, options);
+        if (!ret.ok)
           return ret;
+        await storage.created(requestUrl);
+        const added = requestUrl.href.substr(parentContainer.url.href.length);
+        if (ldpType === 'Container') {
+          // If it's a Container, instantiate nested Containers
+          const created = await ShapeTree.loadContainer(requestUrl);
+          await dirMaker(created);
+          await created.asManagedContainer(parentContainer.shapeTreeUrl, pathAppend(parentContainer.shapeTreeInstancePath, added), entityUrl);
+          await created.write();
+        } else {
+          await ShapeTree.mergeTreeMetadata(requestUrl, new URL(step.node.value), pathAppend(parentContainer.shapeTreeInstancePath, added), entityUrl, {});
         }
-        break;
-      }
+        return ret;
+      });
+    }
 
-      case 'PATCH': {
+    case 'PATCH': {
+      // Find the Container which manages the patched resource.
+      const parentUrl = new URL(requestUrl.pathname.endsWith('/') ? '..' : '.', requestUrl);
+      const parentContainer = NoShapeTrees
+            ? await new ShapeTree.Container(parentUrl).ready
+            : await ShapeTree.loadContainer(parentUrl);
+      if (!(parentContainer instanceof ShapeTree.ManagedContainer))
         return nextFetch(url, options);
+
+      const ldpType = rstat && rstat.isContainer ? 'Container' : 'Resource';
+      const prefixes = {};
+
+      // Get the current state of the resource (empty if it doesn't exist yet).
+      // We hold its lock so it can't change before the patched graph is stored.
+      let graph, mediaType = 'text/turtle';
+      if (rstat) {
+        const current = await nextFetch(url, { method: 'GET', headers: { accept: 'text/turtle' } });
+        if (!current.ok)
+          return current;
+        mediaType = (current.headers.get('content-type') || mediaType).split(/; */)[0];
+        graph = await rdfInterface.parseRdf(await current.text(), requestUrl, mediaType, prefixes);
+      } else {
+        graph = await rdfInterface.parseTurtle('', requestUrl, prefixes);
       }
 
-      case 'DELETE': {
+      // Apply the patch and validate the result according to the ShapeTree rules.
+      RdfPatch.applyPatch(graph, options.body.toString('utf8'), requestUrl, options.headers['content-type']);
+      const entityUrl = await validationRoot(requestUrl, links);
+      const patched = await rdfInterface.serializeTurtle(graph, requestUrl, prefixes);
+      const [payloadGraph, dirMaker, step] =
+            await parentContainer.validatePayload(patched, requestUrl, 'text/turtle', ldpType, entityUrl);
+
+      // Store exactly the graph which validated rather than re-applying the patch downstream.
+      const put = {
+        method: 'PUT',
+        headers: Object.assign({}, options.headers, { 'content-type': mediaType }),
+        body: await rdfInterface.serializeRdf(graph, requestUrl, mediaType, prefixes)
+      };
+      if (rstat)
+        return nextFetch(url, put);
+
+      // A PATCH which creates a resource is all-or-nothing and needs the same metadata as a PUT.
+      return await storage.transaction(async () => {
+        await parentContainer.checkCardinality(requestUrl, 1);
+        const ret = await nextFetch(url, put);
+        if (!ret.ok)
+          return ret;
+        await storage.created(requestUrl);
+        const added = requestUrl.href.substr(parentContainer.url.href.length);
+        await ShapeTree.mergeTreeMetadata(requestUrl, new URL(step.node.value), pathAppend(parentContainer.shapeTreeInstancePath, added), entityUrl, {});
+        return ret;
+      });
+    }
+
+    case 'DELETE': {
+      if (!rstat)
         return nextFetch(url, options);
+      const parentUrl = new URL(requestUrl.pathname.endsWith('/') ? '..' : '.', requestUrl);
+      const parentContainer = NoShapeTrees
+            ? await new ShapeTree.Container(parentUrl).ready
+            : await ShapeTree.loadContainer(parentUrl);
+
+      const isUnplantRequest = !!links.first('shapeTree');
+      if (isUnplantRequest) {
+        // Remove (or with "Prefer: retain-data", stop managing) a ShapeTree instance.
+        const shapeTreeUrl = links.first('shapeTree').target;
+        const retainData = !!(options.headers && options.headers.prefer || '').split(/ *[,;] */).find(p => p === 'retain-data');
+        funcDetails(`parentContainer.unplantShapeTreeInstance(<${requestUrl.pathname}>, <${shapeTreeUrl.href}>, ${retainData})`);
+        const affected = await parentContainer.unplantShapeTreeInstance(requestUrl, shapeTreeUrl, retainData);
+
+        funcDetails(`unindexInstalledShapeTree(parentContainer(<${parentContainer.url.pathname}>), <${requestUrl.pathname}>, <${shapeTreeUrl.href}>)`);
+        Ecosystem.unindexInstalledShapeTree(parentContainer, requestUrl, shapeTreeUrl);
+        await parentContainer.write();
+        Log('unplant', retainData ? 'retained' : 'removed', requestUrl.pathname.substr(1));
+
+        // The ecosystem forgets the instance and reports what was removed.
+        funcDetails(`Ecosystem.unregisterInstance(<${shapeTreeUrl.href}>, <${requestUrl.pathname}>, [${affected.length} resources], ${retainData})`);
+        const [responseGraph, prefixes] = await Ecosystem.unregisterInstance(shapeTreeUrl, requestUrl, affected, retainData);
+        const rebased = await rdfInterface.serializeTurtle(responseGraph, parentContainer.url, prefixes);
+
+        return makeResponse(url, rebased, { type: 'text/turtle' });
       }
 
-      case 'GET': {
+      const mdGraph = await storage.readMetaData(requestUrl, {}).catch(e => null);
+      const isInstanceRoot = metaDataValue(mdGraph, requestUrl, 'shapeTreeInstancePath') === '.';
+      if (!(parentContainer instanceof ShapeTree.ManagedContainer) && !isInstanceRoot)
         return nextFetch(url, options);
+
+      if (!isInstanceRoot) {
+        // Static Containers can only be removed along with the whole instance.
+        const shapeTree = await parentContainer.getRootedShapeTree();
+        await shapeTree.fetch();
+        const name = requestUrl.pathname.substr(parentContainer.url.pathname.length).replace(/\/$/, '');
+        const step = shapeTree.staticStep(shapeTree.getRdfRoot(), name);
+        if (step)
+          throw new Errors.ManagedError(`${requestUrl.pathname} is mandated by ${rdfInterface.renderRdfTerm(step)}; delete the ShapeTree instance root instead`, 409);
+        // Nor can members drop below their step's tree:minCount.
+        await parentContainer.checkCardinality(requestUrl, -1);
       }
 
-      default:
-        console.warn(`shape-tree-fetch would intercept ${options.method} ${url.href} ${JSON.stringify(options)}`);
-        return nextFetch(url, options);
+      const ret = await nextFetch(url, options);
+      if (!ret.ok)
+        return ret;
+
+      // Clean up metadata and parent indexes.
+      await storage.removeMetaData(requestUrl).catch(e => {
+        if (e.code !== 'ENOENT') // Containers' metadata may go with them.
+          throw e;
+      });
+      parentContainer.removeMember(requestUrl.href);
+      if (isInstanceRoot) {
+        const shapeTreeUrl = new URL(metaDataValue(mdGraph, requestUrl, 'shapeTreeRoot'));
+        funcDetails(`unindexInstalledShapeTree(parentContainer(<${parentContainer.url.pathname}>), <${requestUrl.pathname}>, <${shapeTreeUrl.href}>)`);
+        Ecosystem.unindexInstalledShapeTree(parentContainer, requestUrl, shapeTreeUrl);
+        Log('unplanted', requestUrl.pathname.substr(1));
       }
-    } catch (e) {
-      /* istanbul ignore else */
-      if (e instanceof Errors.ManagedError) {
-        /* istanbul ignore if */
-        if (e.message.match(/^\[object Object\]$/))
-          console.warn('fix up error invocation for:\n', e.stack);
-      } else {
-        console.warn('unmanaged exception: ' + (e.stack || e.message))
-        e.status = e.status || 500;
+      await parentContainer.write();
+      return ret;
+    }
+
+    case 'GET': {
+      const accept = options.headers && options.headers.accept;
+      if (rstat && rstat.isContainer) {
+        const paged = await containerPage(requestUrl, options.headers || {}, rstat, links);
+        if (paged)
+          return paged;
+      }
+      const ret = await nextFetch(url, options);
+      const storedType = (ret.headers.get('content-type') || '').split(/; */)[0];
+      if (!ret.ok || RdfMediaTypes.indexOf(storedType) === -1)
+        return ret; // NonRDFSources and errors pass through.
+
+      let mediaType = negotiate(accept, [storedType].concat(RdfMediaTypes.filter(t => t !== storedType)));
+      if (!mediaType)
+        throw new Errors.ManagedError(`${requestUrl.pathname} is not available as ${accept}; try one of ${RdfMediaTypes.join(', ')}`, 406);
+      let body = await ret.text();
+      if (mediaType !== storedType) {
+        const prefixes = {};
+        const graph = await rdfInterface.parseRdf(body, requestUrl, storedType, prefixes);
+        // Turtle and N-Triples would drop or mangle named graphs.
+        if (QuadMediaTypes.indexOf(mediaType) === -1 && graph.getQuads(null, null, null, null).some(q => q.graph.termType !== 'DefaultGraph')) {
+          mediaType = negotiate(accept, [storedType].concat(QuadMediaTypes.filter(t => t !== storedType)));
+          if (!mediaType)
+            throw new Errors.ManagedError(`${requestUrl.pathname} has named graphs so is not available as ${accept}; try one of ${QuadMediaTypes.join(', ')}`, 406);
+        }
+        // Re-serialize, optionally with a JSON-LD context or frame from Link rel="http://www.w3.org/ns/json-ld#context" or "...#frame".
+        if (mediaType !== storedType)
+          body = await rdfInterface.serializeRdf(graph, requestUrl, mediaType, prefixes, await jsonLdOptions(links));
       }
-      return errorResponse(e, url);
+
+      // Response headers may be immutable so copy them into a new response.
+      const negotiated = makeResponse(url, body, { status: ret.status, type: mediaType });
+      const replaced = mediaType === storedType
+            ? ['content-type', 'content-length', 'content-encoding'] // text() decoded the body
+            : ['content-type', 'content-length', 'content-encoding', 'etag']; // the stored representation's ETag
+      for (const [name, value] of ret.headers)
+        if (replaced.indexOf(name.toLowerCase()) === -1)
+          negotiated.headers.set(name, value);
+      negotiated.headers.set('Vary', 'Accept');
+      // Let clients make conditional requests even if the server doesn't send validators.
+      if (mediaType === storedType && !negotiated.headers.get('etag') && rstat && rstat.etag)
+        negotiated.headers.set('ETag', rstat.etag);
+      if (!negotiated.headers.get('last-modified') && rstat && rstat.lastModified)
+        negotiated.headers.set('Last-Modified', rstat.lastModified.toUTCString());
+      return negotiated;
+    }
+
+    default:
+      console.warn(`shape-tree-fetch would intercept ${options.method} ${url.href} ${JSON.stringify(options)}`);
+      return nextFetch(url, options);
     }
   }
 
@@ -209,70 +457,213 @@ async function rstatOrNull (url) {
   }
 }
 
+/* focus node for validating url: recorded tree:validationRoot, else Link rel="root", else url
+ */
+async function validationRoot (url, links) {
+  const mdGraph = await storage.readMetaData(url, {}).catch(e => null);
+  const root = metaDataValue(mdGraph, url, 'validationRoot');
+  return root
+    ? new URL(root)
+    : focusNode(links, url);
 }
 
-class Headers extends Map {
-  get (name) { return super.get(name.toLowerCase()) || null; }
-  set (name, value) { super.set(name.toLowerCase(), value); }
+/* focus node for validating resource: target of the Link rel="root" about
+ * resource (or about the request URL), else resource.
+ * A relative target is resolved against the resource it's about so a POST can
+ * name a node in the resource it creates, e.g. <#me>; rel="root".
+ */
+function focusNode (links, resource) {
+  const link = links.first('root', resource) || links.first('root');
+  return link
+    ? new URL(link.href, link.anchor || resource)
+    : new URL(resource);
 }
 
-/* !! semi-redundant against ecosystems/simple-apps.js
+/* LDP interaction model of an existing resource; null if the server won't say
  */
-class FakeResponse {
-  constructor (url, text = '', type = 'text/plain') {
-    this.url = url;
-    this.headers = new Headers();
-    this.ok = true;
-    this._status = 200;
-    this.statusText = "OK";
-    this.bodyUsed = false;
-    this._text = text;
-    if (text) {
-      this.headers.set('content-length', text.length);
-      this.headers.set('content-type', type);
-    }
+async function storedLdpType (url, rstat) {
+  if (rstat.isContainer)
+    return 'Container';
+  const resp = await nextFetch(url, { method: 'HEAD' });
+  const type = (resp.headers.get('content-type') || '').split(/; */)[0];
+  if (!resp.ok || !type)
+    return null;
+  return RdfMediaTypes.indexOf(type) === -1 ? 'NonRDFSource' : 'Resource';
+}
+
+/* LDP interaction model from the rel="type" Links; Resource if none given
+ */
+function ldpTypeOf (links) {
+  const types = links.all('type').map(link => link.target.href);
+  if (['Container', 'BasicContainer', 'DirectContainer', 'IndirectContainer'].find(t => types.indexOf(Prefixes.ldp + t) !== -1))
+    return 'Container';
+  if (types.indexOf(Prefixes.ldp + 'NonRDFSource') !== -1)
+    return 'NonRDFSource';
+  return 'Resource';
+}
+
+/* LDP Paging-style GET of a Container: a page of its members, a 303 to its
+ * first page, or null if the Container should be sent whole. Pages are
+ * <Container>?page=n&size=m. Clients ask for paging with
+ *   Prefer: return=representation; max-member-count="m"
+ * and ldpConf.pageSize pages Containers with more members than that.
+ */
+async function containerPage (requestUrl, headers, rstat, links) {
+  const containerUrl = new URL(requestUrl.pathname, requestUrl);
+  const query = requestUrl.searchParams;
+  const preferred = parseInt((/max-member-count *= *"?([0-9]+)/.exec(headers.prefer || '') || [])[1]) || null;
+  if (!query.has('page')) {
+    const size = preferred || ldpConf.pageSize;
+    if (!size || (!preferred && !await hasMoreMembers(containerUrl, rstat, size)))
+      return null;
+    const resp = makeResponse(requestUrl, null, { status: 303, headers: { Location: pageUrl(containerUrl, 1, size).href } });
+    if (preferred)
+      resp.headers.set('Preference-Applied', 'return=representation');
+    return resp;
   }
-  get status () { return this._status; }
-  set status (status) { this._status = status; this.statusText = ResponseCodes[status]; }
-  text () { return Promise.resolve(this._text); }
-  get body() { throw Error('FakeResponse.body is not implemented'); }
-};
-
-function errorResponse (e, url) {
-  const json = {
-    message: e.message,
-    error: e,
-    stack: e.stack
+  const page = Number(query.get('page'));
+  const size = Number(query.get('size') || preferred || ldpConf.pageSize || DefaultPageSize);
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(size) || size < 1)
+    throw new Errors.ManagedError(`${requestUrl.pathname}${requestUrl.search} names no page; pages and sizes count from 1`, 400);
+  const mediaType = negotiate(headers.accept, RdfMediaTypes);
+  if (!mediaType)
+    throw new Errors.ManagedError(`${requestUrl.pathname} is not available as ${headers.accept}; try one of ${RdfMediaTypes.join(', ')}`, 406);
+
+  const all = await memberList(containerUrl, rstat);
+  const members = all.slice((page - 1) * size, page * size);
+  const more = all.length > page * size;
+  const prefixes = {};
+  const graph = await storage.readContainer(containerUrl, prefixes, { members: false });
+  members.forEach(member => graph.addQuad(namedNode(containerUrl.href), namedNode(Prefixes.ldp + 'contains'), namedNode(member.href)));
+  const body = await rdfInterface.serializeRdf(graph, containerUrl, mediaType, prefixes, await jsonLdOptions(links));
+
+  const resp = makeResponse(requestUrl, body, { type: mediaType });
+  resp.headers.set('Link', [
+    `<${Prefixes.ldp}Page>; rel="type"`,
+    `<${pageUrl(containerUrl, 1, size).href}>; rel="first"`
+  ].concat(
+    page > 1 ? [`<${pageUrl(containerUrl, page - 1, size).href}>; rel="prev"`] : [],
+    more ? [`<${pageUrl(containerUrl, page + 1, size).href}>; rel="next"`] : []
+  ).join(', '));
+  resp.headers.set('Vary', 'Accept, Prefer');
+  if (rstat.lastModified)
+    resp.headers.set('Last-Modified', rstat.lastModified.toUTCString());
+  return resp;
+}
+
+/* whether Container url has more than count members
+ */
+async function hasMoreMembers (url, rstat, count) {
+  return (await memberList(url, rstat)).length > count;
+}
+
+/* Container url's members, re-read only when its ETag (rstat.etag) changes
+ */
+async function memberList (url, rstat) {
+  const cached = MemberLists.get(url.href);
+  if (cached && rstat.etag && cached.etag === rstat.etag)
+    return cached.members;
+  const members = [];
+  for await (const member of storage.readMembers(url))
+    members.push(member);
+  if (rstat.etag)
+    MemberLists.set(url.href, { etag: rstat.etag, members });
+  return members;
+}
+
+/* JSON-LD serialization options from Link rel="http://www.w3.org/ns/json-ld#context" or "...#frame"
+ */
+async function jsonLdOptions (links) {
+  const ret = {};
+  for (const attr of ['context', 'frame'])
+    if (links.first(Prefixes.jsonld + attr))
+      ret[attr] = await fetchJson(links.first(Prefixes.jsonld + attr).target);
+  return ret;
+}
+
+/* fetch and parse a JSON document, e.g. a JSON-LD context or frame
+ */
+async function fetchJson (url) {
+  const resp = await nextFetch(url, { method: 'GET', headers: { accept: 'application/ld+json, application/json' } });
+  if (!resp.ok)
+    throw await Errors.makeHttpError('GET', url.href, 'JSON-LD context or frame', resp);
+  const text = await resp.text();
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Errors.ParserError(e, text);
+  }
+}
+
+/* describe e in the client's preferred format; ValidationErrors can also be RDF validation reports.
+ * Stack traces stay on the server.
+ */
+async function errorResponse (e, url, accept) {
+  const mediaType = e instanceof Errors.ValidationError
+        ? negotiate(accept, [ValidationReport.MediaTypes.problemJson, 'text/turtle', 'application/ld+json']) || ValidationReport.MediaTypes.problemJson
+        : ValidationReport.MediaTypes.problemJson;
+  let body;
+  if (mediaType === ValidationReport.MediaTypes.problemJson) {
+    body = JSON.stringify(ValidationReport.problemDetails(e), null, 2);
+  } else {
+    const [graph, prefixes] = ValidationReport.reportGraph(e);
+    body = mediaType === 'text/turtle'
+      ? await rdfInterface.serializeTurtle(graph, url, prefixes)
+      : await rdfInterface.serializeJsonLd(graph, url, prefixes);
   }
-  const ret = new FakeResponse(url, JSON.stringify(json))
-  ret.headers.set('Content-type', 'application/json');
-  ret.status = e.status;
+  return makeResponse(url, body, { status: e.status, type: mediaType });
+}
+
+/* value of url's tree:<localName> property in mdGraph, or null
+ */
+function metaDataValue (mdGraph, url, localName) {
+  const q = mdGraph
+        ? rdfInterface.zeroOrOne(mdGraph, namedNode(url.href), namedNode(Prefixes.tree + localName), null)
+        : null;
+  return q ? q.object.value : null;
+}
+
+}
+
+/* request body; NonRDFSources stay bytes so binaries aren't mangled by UTF-8 decoding
+ */
+function requestPayload (options, ldpType) {
+  return ldpType === 'NonRDFSource'
+    ? Buffer.from(options.body)
+    : options.body.toString('utf8');
+}
+
+/* URL of a page of Container url's members
+ */
+function pageUrl (url, page, size) {
+  const ret = new URL(url);
+  ret.search = `?page=${page}&size=${size}`;
   return ret;
 }
 
-/* !! redundant against test-suite/servers/LDP.js
- * returns e.g. {"type": "http://...#Container", "rel": "..."}
+function pathAppend () { // export from shape-tree.js?
+  const [base, ...rest] = Array.from(arguments);
+  return [].concat.call([base === '.' ? '' : base], rest).join('');
+}
+
+
+/* pick the first of offered media types best matching an Accept header.
+ * returns null if nothing is acceptable.
  */
-function parseLinks (linkHeader) {
-  if (!linkHeader) return {};
-  const components = linkHeader.split(/<(.*?)> *; *rel *= *"(.*?)" *,? */);
-  components.shift(); // remove empty match before pattern captures.
-  const ret = {  };
-  for (i = 0; i < components.length; i+=3)
-    ret[components[i+1]] = components[i];
-  return ret
-  /* functional equivalent is tedious to maintain:
-  return linkHeader.split(/(?:<(.*?)> *; *rel *= *"(.*?)" *,? *)/).filter(s => s).reduce(
-    (acc, elt) => {
-      if (acc.val) {
-        acc.map[elt] = acc.val;
-        return {map: acc.map, val: null};
-      } else {
-        return {map: acc.map, val: elt}
-      }
-    }, {map:{}, val:null}
-  ).map
-  */
+function negotiate (accept, offered) {
+  const ranges = (accept || '*/*').split(',').map((range, order) => {
+    const [type, ...params] = range.trim().split(/ *; */);
+    const q = params.map(p => p.match(/^q=([0-9.]+)$/)).find(m => m);
+    return { type: type.toLowerCase(), q: q ? parseFloat(q[1]) : 1, order };
+  }).filter(r => r.q > 0).sort((l, r) => r.q - l.q || l.order - r.order);
+  for (const range of ranges) {
+    const found = offered.find(o => range.type === '*/*'
+                               || range.type === o
+                               || (range.type.endsWith('/*') && o.startsWith(range.type.slice(0, -1))));
+    if (found)
+      return found;
+  }
+  return null;
 }
 
 module.exports = makeShapeTreeFetch;
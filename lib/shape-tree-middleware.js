@@ -0,0 +1,177 @@
+/** ShapeTreeMiddleware - ShapeTree enforcement for servers with their own HTTP stack.
+ *
+ * makeShapeTreeMiddleware() returns Express/Connect-style (req, res, next)
+ * middleware. Requests which plant or unplant ShapeTrees or change resources
+ * in ShapeTree instances go through shapeTreeFetch, which performs the LDP
+ * operations it allows with nextFetch and answers the client itself. Reads
+ * and requests outside of ShapeTree instances are passed on with next(),
+ * their bodies unread.
+ *
+ * This library provides:
+ * * makeShapeTreeMiddleware - (req, res, next) middleware around makeShapeTreeFetch.
+ * * requestOptions - fetch options for a Node request.
+ * * writeResponse - send a fetch response as a Node response.
+ * @module ShapeTreeMiddleware
+ *
+ * @example <caption>Express, with LDP over the pod's document root</caption>
+ *   const storage = new FsPromise({documentRoot: 'www', indexFile: '.index.ttl', metaDataSuffix: '.meta'}, RdfSerializer);
+ *   const ldpFetch = LdpServer.makeLdpFetch(storage, RdfSerializer, baseUrl);
+ *   app.use(ShapeTreeMiddleware.makeShapeTreeMiddleware(storage, RdfSerializer, ldpFetch, baseUrl, {apps: 'Apps', cache: 'Cache'}));
+ *   app.use(podHandlers); // everything else
+ * @example <caption>Koa</caption>
+ *   const middleware = ShapeTreeMiddleware.makeShapeTreeMiddleware(...);
+ *   app.use(async (ctx, next) => {
+ *     let passed = false;
+ *     await middleware(ctx.req, ctx.res, e => { if (e) throw e; passed = true; });
+ *     if (passed)
+ *       return next();
+ *     ctx.respond = false; // already answered
+ *   });
+ */
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Log = require('debug')('ShapeTreeMiddleware');
+const { namedNode } = require('n3').DataFactory;
+const ResponseCodes = require('statuses').STATUS_CODES;
+const Prefixes = require('./prefixes');
+const LinkHeader = require('./link-header');
+const makeShapeTreeFetch = require('./shape-tree-fetch');
+
+// Methods which never change ShapeTree instances.
+const ReadOnly = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * make (req, res, next) middleware which enforces ShapeTrees
+ * @param {Storage} storage - storage behind the server
+ * @param {RdfSerializer} rdfInterface
+ * @param {function} nextFetch - performs allowed LDP operations, e.g. LdpServer.makeLdpFetch(storage, ...)
+ * @param {URL} baseUrl - URL of storage's root Container
+ * @param {object} ldpConf - see makeShapeTreeFetch; enforce defaults to true
+ * @returns {function} async (req, res, next)
+ */
+function makeShapeTreeMiddleware (storage, rdfInterface, nextFetch, baseUrl, ldpConf) {
+  const shapeTreeFetch = makeShapeTreeFetch(storage, rdfInterface, nextFetch, baseUrl, Object.assign({ enforce: true }, ldpConf));
+
+  return async function shapeTreeMiddleware (req, res, next) {
+    try {
+      // Express rewrites req.url in mounted apps; originalUrl is what the client asked for.
+      const url = new URL(req.originalUrl || req.url, baseUrl);
+      const headers = requestHeaders(req);
+      if (!url.href.startsWith(baseUrl.href) || !await isManaged(url, req.method, headers))
+        return next();
+      Log('%s %s', req.method, url.pathname);
+      const resp = await shapeTreeFetch(url, await requestOptions(req, headers));
+      await writeResponse(res, resp, req.method);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /* whether a request plants, unplants or changes a ShapeTree instance
+   */
+  async function isManaged (url, method, headers) {
+    if (ReadOnly.indexOf(method) !== -1)
+      return false;
+    if (LinkHeader.parse(headers.link, url).first('shapeTree'))
+      return true;
+    const parentUrl = method === 'POST'
+          ? url
+          : new URL(url.pathname.endsWith('/') ? '..' : '.', url);
+    return await inInstance(parentUrl) || (method === 'DELETE' && await inInstance(url)); // e.g. an instance root
+  }
+
+  /* whether url's metadata places it in a ShapeTree instance
+   */
+  async function inInstance (url) {
+    const mdGraph = await storage.readMetaData(url, {}).catch(e => null);
+    return !!mdGraph && mdGraph.getQuads(namedNode(url.href), namedNode(Prefixes.tree + 'shapeTreeInstanceRoot'), null).length > 0;
+  }
+}
+
+/**
+ * fetch options for a Node request
+ * @param {http.IncomingMessage} req - request; req.body is used if a body parser left a Buffer or string there
+ * @param {object} [headers] - requestHeaders(req)
+ * @returns {Promise<object>} {method, headers, body}; body is a Buffer for methods which carry one
+ */
+async function requestOptions (req, headers = requestHeaders(req)) {
+  const ret = { method: req.method, headers };
+  if (['POST', 'PUT', 'PATCH'].indexOf(req.method) !== -1)
+    ret.body = await requestBody(req);
+  return ret;
+}
+
+/* lower-cased request headers. Node joins repeated Link headers with ',',
+ * which breaks Links whose parameters hold commas, so those are kept apart.
+ */
+function requestHeaders (req) {
+  const ret = Object.assign({}, req.headers);
+  const links = [];
+  for (let i = 0; i < (req.rawHeaders || []).length; i += 2)
+    if (req.rawHeaders[i].toLowerCase() === 'link')
+      links.push(req.rawHeaders[i + 1]);
+  if (links.length > 1)
+    ret.link = links;
+  return ret;
+}
+
+/* request body as a Buffer
+ */
+async function requestBody (req) {
+  if (Buffer.isBuffer(req.body))
+    return req.body;
+  if (typeof req.body === 'string')
+    return Buffer.from(req.body, 'utf8');
+  if (req.readableEnded)
+    throw Error(`body of ${req.method} ${req.url} was already read; mount ShapeTree middleware before body parsers other than raw or text`);
+  const chunks = [];
+  for await (const chunk of req)
+    chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * send a fetch response
+ * @param {http.ServerResponse} res
+ * @param {Response} resp - e.g. from shapeTreeFetch
+ * @param {string} method - request method; HEAD responses get no body
+ */
+async function writeResponse (res, resp, method) {
+  const headers = {};
+  for (const [name, value] of resp.headers)
+    headers[name.toLowerCase()] = String(value);
+  const statusText = resp.statusText || ResponseCodes[resp.status];
+  if (method === 'HEAD' || resp.status === 204 || resp.status === 304) {
+    res.writeHead(resp.status, statusText, headers);
+    return res.end();
+  }
+  if ('content-encoding' in headers) {
+    // fetch() decompressed the body so its length is unknown.
+    delete headers['content-length'];
+    delete headers['content-encoding'];
+  }
+  res.writeHead(resp.status, statusText, headers);
+  const stream = bodyStream(resp);
+  if (stream)
+    return pipeline(stream, res);
+  res.end(Buffer.from(await resp.arrayBuffer()));
+}
+
+/* resp's body as a Node Readable (node-fetch's already is), or null if it has none
+ */
+function bodyStream (resp) {
+  const body = resp.body;
+  if (body && typeof body.pipe === 'function')
+    return body;
+  if (body && typeof body.getReader === 'function')
+    return Readable.fromWeb(body);
+  return null;
+}
+
+const ShapeTreeMiddleware = {
+  makeShapeTreeMiddleware,
+  requestOptions,
+  writeResponse,
+};
+module.exports = ShapeTreeMiddleware;
@@ -5,6 +5,9 @@
  * * ManagedContainer - an LDPC under ShapeTree control.
  * * loadContainer - loads either a Container or a ManagedContainer.
  * * RemoteShapeTree - a parsed ShapeTree structure.
+ * * lintShapeTree - statically analyze a ShapeTree.
+ * * auditInstance - check data already in a ShapeTree instance.
+ * * migrateInstance - move a ShapeTree instance to another version of its ShapeTree.
  * @module ShapeTree
  */
 function ShapeTreeFunctions (storage, rdfInterface, cachingFetch) {
@@ -21,6 +24,10 @@ const { namedNode, literal, defaultGraph, quad } = N3.DataFactory;
 const Errors = require('./rdf-errors');
 const Mutex = require('./mutex');
 const Prefixes = require('./prefixes');
+const Validators = require('./validators');
+const BinaryConstraints = require('./binary-constraints');
+const DocumentCache = require('./document-cache');
+const MediaTypes = require('./media-types');
 const UriTemplate = require('uri-template-lite').URI.Template;
 const ShExCore = require('@shexjs/core')
 const ShExPath = require('../../../../shexSpec/shex.js/packages/shape-path')
@@ -31,6 +38,8 @@ const ShExParser = require('@shexjs/parser')
 const CMP = (l, r) => l.localeCompare(r) // undefine if you want no sorting
 
 /** Container - an LDPC
+ * graph holds the Container's body without its own ldp:contains arcs; members
+ * are listed by getMembers() and changes to them are appended by write().
  * @param url: URL of Container
  * @param title: dc:title of container | an N3.Store for already-read graphs.
  */
@@ -47,19 +56,22 @@ class Container {
     funcDetails('');
     this.url = url;
     this.prefixes = title instanceof Array ? title[1] : {};
-    this._mutex = new Mutex()
+    this._mutex = new Mutex(`Container(<${url.pathname}>)`);
     this.graph = title instanceof Array ? title[0] : new N3.Store();
+    this._stored = new N3.Store(this.graph.getQuads()); // last known stored state; see write()
+    this._membership = new Map(); // hash[href, boolean] - members added (true) or removed (false) since write()
     this.subdirs = [];
 
     this.ready = title instanceof Array ? Promise.resolve(this) : loadOrCreate.call(this);
 
     async function loadOrCreate () {
-      const unlock = await this._mutex.lock();
-      funcDetails('storage.ensureContainer()', url.pathname);
-      const [newDir, containerGraph] = await storage.ensureContainer(this.url, this.prefixes, title);
-      this.newDir = newDir;
-      this.graph.addQuads(containerGraph.getQuads());
-      unlock();
+      await this._mutex.withLock(async () => {
+        funcDetails('storage.ensureContainer()', url.pathname);
+        const [newDir, containerGraph] = await storage.ensureContainer(this.url, this.prefixes, title, { members: false });
+        this.newDir = newDir;
+        this.graph.addQuads(containerGraph.getQuads());
+        this._stored.addQuads(containerGraph.getQuads());
+      }, { holder: 'load' });
       return /*this*/ new Promise((res, rej) => { // !!DELME sleep for a bit to surface bugs
         setTimeout(() => {
           res(this)
@@ -116,7 +128,7 @@ class Container {
   }
 
   /** PUT or POST to an unmanaged LDPC
-   * @param {string} payload - HTTP request body
+   * @param {string|Buffer} payload - HTTP request body; a Buffer for NonRDFSources
    * @param {URL} location - resource being created or replaced
    * @param {string} mediaType - media type of payload
    * @param {string} ldpType - "Resource"|"Container"|"NonRDFSource"
@@ -139,21 +151,33 @@ class Container {
   }
 
   async write () {
-    const unlock = await this._mutex.lock();
     this._classDetails.extend(`write()`);
-    await storage.writeContainer(this.url, this.graph, this.prefixes).then(
-      x => { unlock(); return x; },
-      e => /* istanbul ignore next */ { unlock(); throw e; }
-    );
+    await this._mutex.withLock(async () => {
+      await storage.locks.withLock(this.url, async () => {
+        // Another process may have changed the Container since we read it so apply our changes to what's there now.
+        const current = await storage.readContainer(this.url, {}, { members: false }).catch(e => null);
+        if (current)
+          rebase(this.graph, this._stored, current);
+        await storage.writeContainer(this.url, this.graph, this.prefixes, { members: false });
+      });
+      this._stored = new N3.Store(this.graph.getQuads());
+      // Membership changes are appended so they needn't be rebased.
+      const changes = Array.from(this._membership);
+      await storage.updateMembers(
+        this.url,
+        changes.filter(([href, isMember]) => isMember).map(([href]) => new URL(href)),
+        changes.filter(([href, isMember]) => !isMember).map(([href]) => new URL(href))
+      );
+      changes.forEach(([href, isMember]) => {
+        if (this._membership.get(href) === isMember)
+          this._membership.delete(href);
+      });
+    }, { holder: 'write' });
     return this
   }
 
   async remove () {
-    const unlock = await this._mutex.lock();
-    return storage.removeContainer(this.url).then(
-      x => { unlock(); return x; },
-      e => /* istanbul ignore next */ { unlock(); throw e; }
-    );
+    return this._mutex.withLock(() => storage.removeContainer(this.url), { holder: 'remove' });
   }
 
   async merge (payload, base) {
@@ -164,15 +188,31 @@ class Container {
   }
 
   addMember (location, shapeTreeUrl) {
-    this.graph.addQuad(namedNode(this.url.href), namedNode(Prefixes.ldp + 'contains'), namedNode(location));
+    this._membership.delete(location); // so the latest change comes last
+    this._membership.set(location, true);
     return this
   }
 
   removeMember (location, shapeTreeUrl) {
-    this.graph.removeQuad(namedNode(this.url.href), namedNode(Prefixes.ldp + 'contains'), namedNode(location));
+    this._membership.delete(location);
+    this._membership.set(location, false);
     return this
   }
 
+  /** getMembers:URL[] - list the ldp:contains members of this Container, including those not yet written
+   */
+  async getMembers () {
+    const ret = new Map(); // hash[href, URL]
+    for await (const member of storage.readMembers(this.url))
+      ret.set(member.href, member);
+    for (const [href, isMember] of this._membership)
+      if (isMember)
+        ret.set(href, new URL(href));
+      else
+        ret.delete(href);
+    return Array.from(ret.values());
+  }
+
   addSubdirs (addUs) {
     this.subdirs.push(...addUs);
     return this
@@ -195,6 +235,7 @@ class Container {
       const tmp = await (await this.nestContainer(requestedName, appContainerTitle));
       funcDetails(`Container(${tmp.url.pathname}).asManagedContainer(${shapeTreeUrl.pathname}, '.')`)
       const newContainer = await tmp.asManagedContainer(shapeTreeUrl, '.', tmp.url); // don't move asMC to RemoteShapeTree.instantiateStatic()
+      await setShapeTreeVersion(newContainer.url, shapeTree.tree.version || null);
       funcDetails('setTitle()');
       newContainer.setTitle(`root of Container for ${shapeTree.url}`);
       await newContainer.write();
@@ -208,6 +249,38 @@ class Container {
     return location;
   }
 
+  /** unplantShapeTreeInstance - remove a ShapeTree instance planted in this Container
+   * @param {URL} instanceUrl - root Container of the ShapeTree instance
+   * @param {URL} shapeTreeUrl - the ShapeTree the instance was planted from
+   * @param {boolean} retainData - leave instance data in place, removing only ShapeTree metadata
+   * @returns {URL[]} - Containers and resources removed (or no longer managed if retainData)
+   */
+  async unplantShapeTreeInstance (instanceUrl, shapeTreeUrl, retainData = false) {
+    Log('unplant', shapeTreeUrl.href)
+    const funcDetails = Details.extend(`unplantShapeTreeInstance(<${instanceUrl.pathname}>, <${shapeTreeUrl.href}>, ${retainData}), Container(<${this.url.pathname}>)`);
+    funcDetails('loadContainer(<%s>)', instanceUrl.pathname);
+    const instance = await loadContainer(instanceUrl);
+    if (!(instance instanceof ManagedContainer) || instance.shapeTreeInstancePath !== '.')
+      throw new Errors.ManagedError(`${instanceUrl.pathname} is not the root of a ShapeTree instance`, 422);
+    if (instance.shapeTreeUrl.href !== shapeTreeUrl.href)
+      throw new Errors.ManagedError(`${instanceUrl.pathname} is an instance of <${instance.shapeTreeUrl.href}>, not <${shapeTreeUrl.href}>`, 422);
+
+    const affected = await listHierarchy(instance);
+    if (retainData) {
+      funcDetails('storage.removeMetaData() for %d resources', affected.length);
+      for (const url of affected)
+        await storage.removeMetaData(url).catch(e => {
+          if (e.code !== 'ENOENT')
+            throw e;
+        });
+    } else {
+      funcDetails('Container(<%s>).remove()', instanceUrl.pathname);
+      await instance.remove();
+      this.removeMember(instanceUrl.href, shapeTreeUrl);
+    }
+    return affected;
+  }
+
   /** asManagedContainer - add necessary triples to make this a ManagedContainer
    * @param shapeTreeUrl: the URL of the ShapeTree that defines this instance.
    * @param shapeTreeInstancePath: the path from the root of this ShapeTree instance.
@@ -222,19 +295,20 @@ class Container {
 
   async function mergeTreeMetadata (describedUrl, shapeTreeUrl, shapeTreeInstancePath, validationRoot, prefixes) {
     const mdUrl = new URL(await storage.getMetaDataFilePath(describedUrl), describedUrl);
-    const fromMd = Relateurl.relate(mdUrl.href, describedUrl.href);
-    const mdGraph = await storage.readMetaData(describedUrl, {});
-    const instanceRootRel = shapeTreeInstancePath.substr(0, shapeTreeInstancePath.lastIndexOf('/'));
-    // const validationRootRel = Relateurl.relate(mdUrl.href, validationRoot.href);
-    const validationRootStr = validationRoot === null ? '' : ` ;
+    return storage.locks.withLock(mdUrl, async () => {
+      const fromMd = Relateurl.relate(mdUrl.href, describedUrl.href);
+      const mdGraph = await storage.readMetaData(describedUrl, {});
+      const instanceRootRel = shapeTreeInstancePath.substr(0, shapeTreeInstancePath.lastIndexOf('/'));
+      // const validationRootRel = Relateurl.relate(mdUrl.href, validationRoot.href);
+      const validationRootStr = validationRoot === null ? '' : ` ;
    tree:validationRoot <${validationRoot.href}>`
-    const mdNode = namedNode(mdUrl.href);
-    (['shapeTreeRoot', 'shapeTreeInstancePath', 'shapeTreeInstanceRoot'])
-      .forEach(
-        ln =>
-          mdGraph.removeQuads(mdGraph.getQuads(mdNode, namedNode(Prefixes.tree + ln), null))
-      )
-    const c = `
+      const mdNode = namedNode(describedUrl.href); // what <${fromMd}> resolves to
+      (['shapeTreeRoot', 'shapeTreeInstancePath', 'shapeTreeInstanceRoot'].concat(validationRoot === null ? [] : ['validationRoot']))
+        .forEach(
+          ln =>
+            mdGraph.removeQuads(mdGraph.getQuads(mdNode, namedNode(Prefixes.tree + ln), null))
+        )
+      const c = `
 @prefix dcterms: <http://purl.org/dc/terms/>.
 @prefix ldp: <http://www.w3.org/ns/ldp#>.
 @prefix tree: <${Prefixes.tree}>.
@@ -244,10 +318,27 @@ class Container {
    tree:shapeTreeInstancePath "${shapeTreeInstancePath}" ;
    tree:shapeTreeInstanceRoot <${instanceRootRel ? Path.relative(instanceRootRel, '') : '.'}>${validationRootStr} .
 `;
-    const s = await rdfInterface.parseTurtle(c, describedUrl, prefixes);
-    mdGraph.addQuads(s.getQuads());
-    storage.writeMetaData(describedUrl, mdGraph, {tree: Prefixes.tree});
-    return mdGraph;
+      const s = await rdfInterface.parseTurtle(c, describedUrl, prefixes);
+      mdGraph.addQuads(s.getQuads());
+      await storage.writeMetaData(describedUrl, mdGraph, {tree: Prefixes.tree});
+      return mdGraph;
+    });
+  }
+
+  /** setShapeTreeVersion - record which version of its ShapeTree an instance root was planted or migrated with.
+   * @param {URL} instanceUrl - root of a ShapeTree instance
+   * @param {string|null} version - tree:version of the ShapeTree; null to remove
+   */
+  async function setShapeTreeVersion (instanceUrl, version) {
+    const mdUrl = new URL(await storage.getMetaDataFilePath(instanceUrl), instanceUrl);
+    return storage.locks.withLock(mdUrl, async () => {
+      const mdGraph = await storage.readMetaData(instanceUrl, {});
+      const versionArc = [namedNode(instanceUrl.href), namedNode(Prefixes.tree + 'shapeTreeVersion')];
+      mdGraph.removeQuads(mdGraph.getQuads(...versionArc, null));
+      if (version)
+        mdGraph.addQuad(...versionArc, literal(version));
+      await storage.writeMetaData(instanceUrl, mdGraph, {tree: Prefixes.tree});
+    });
   }
 
 /** ManagedContainer - an LDPC with shapeTrees
@@ -275,16 +366,16 @@ class ManagedContainer extends Container {
     }
 
     async function loadOrCreate () {
-      const unlock = await this._mutex.lock();
-      if (this.newDir) {
-        funcDetails(`this.asManagedContainer(<${shapeTreeUrl.href}>, "${shapeTreeInstancePath}")`);
-        await this.asManagedContainer(shapeTreeUrl, shapeTreeInstancePath, this.url);
-        funcDetails('storage.writeContainer(<%s>, n3.Store() with %d quads, %s)', this.url.pathname, this.graph.size, JSON.stringify(this.prefixes));
-        await storage.writeContainer(this.url, this.graph, this.prefixes);
-      } else {
-        parseShapeTreeInstance.call(this, await storage.readMetaData(new URL(await storage.getMetaDataFilePath(this.url), this.url), {}));
-      }
-      unlock();
+      await this._mutex.withLock(async () => {
+        if (this.newDir) {
+          funcDetails(`this.asManagedContainer(<${shapeTreeUrl.href}>, "${shapeTreeInstancePath}")`);
+          await this.asManagedContainer(shapeTreeUrl, shapeTreeInstancePath, this.url);
+          funcDetails('storage.writeContainer(<%s>, n3.Store() with %d quads, %s)', this.url.pathname, this.graph.size, JSON.stringify(this.prefixes));
+          await storage.writeContainer(this.url, this.graph, this.prefixes, { members: false });
+        } else {
+          parseShapeTreeInstance.call(this, await storage.readMetaData(new URL(await storage.getMetaDataFilePath(this.url), this.url), {}));
+        }
+      }, { holder: 'load' });
       return /*this*/ new Promise((res, rej) => { // !!DELME sleep for a bit to surface bugs
         setTimeout(() => {
           res(this);
@@ -339,40 +430,52 @@ class ManagedContainer extends Container {
   }
 
   /** Validate member of this Container according to step in ShapeTree.
-   * @param {string} payload - HTTP request body
+   * @param {string|Buffer} payload - HTTP request body; a Buffer for NonRDFSources
    * @param {URL} location - resource being created or replaced
    * @param {string} mediaType - media type of payload
    * @param {string} ldpType - "Resource"|"Container"|"NonRDFSource"
    * @param {URL} entityUrl - initial focus for validation
+   * @param {string} [contentDigest] - Content-Digest request header, for tree:requiresChecksum
    */
-  async validatePayload (payload, location, mediaType, ldpType, entityUrl) {
+  async validatePayload (payload, location, mediaType, ldpType, entityUrl, contentDigest) {
     const _ManagedContainer = this;
     let payloadGraph = null;
     const prefixes = {};
 
-    // Get ShapeTree object from the container we're POSTing to.
-    const shapeTree = await this.getRootedShapeTree();
-    await shapeTree.fetch();
-
-    // Find the corresponding step.
-    const resourceName = location.pathname.substr(this.url.pathname.length);
-    const pathWithinShapeTree = pathAppend(shapeTree.path, resourceName);
-    const step = shapeTree.matchingStep(shapeTree.getRdfRoot(), resourceName);
-    console.assert(!step.name); // can't post to static resources.
-    Log.extend('ManagedContainer')('validate %s payload (%d bytes) with %s', mediaType, payload.length, step.matchesUriTemplate.value);
+    // Validations can run side by side but not during a write().
+    const unlock = await this._mutex.lockShared({ holder: `validatePayload(<${location.pathname}>)` });
+    let shapeTree, pathWithinShapeTree, step;
+    try {
+      // Get ShapeTree object from the container we're POSTing to.
+      shapeTree = await this.getRootedShapeTree();
+      await shapeTree.fetch();
 
-    // Validate the payload
-    if (ldpType !== step.type)
-      throw new Errors.ManagedError(`Resource POSTed with link type=${ldpType} while ${step.node.value} expects a ${step.type}`, 422);
-    if (ldpType == 'NonRDFSource') {
-      // if (step.validatedBy)
-      //   throw new Errors.ShapeTreeStructureError(this.url, `POST of NonRDFSource to ${rdfInterface.renderRdfTerm(step.node)} which has a tree:validatedBy property`);
-    } else {
-      if (!step.validatedBy)
-        // @@issue: is a step allowed to not have a validatedBy?
-        throw new Errors.ShapeTreeStructureError(this.url, `${rdfInterface.renderRdfTerm(step.node)} has no tree:validatedBy property`);
-      payloadGraph = await rdfInterface.parseRdf(payload, location, mediaType, prefixes);
-      await shapeTree.validate(step.validatedBy.value, payloadGraph, entityUrl.href);
+      // Find the corresponding step.
+      const resourceName = location.pathname.substr(this.url.pathname.length);
+      pathWithinShapeTree = pathAppend(shapeTree.path, resourceName);
+      step = shapeTree.matchingStep(shapeTree.getRdfRoot(), resourceName);
+      console.assert(!step.name); // can't post to static resources.
+      Log.extend('ManagedContainer')('validate %s payload (%d bytes) with %s', mediaType, payload.length, (step.matchesUriTemplate || step.node).value);
+
+      // Validate the payload
+      if (ldpType !== step.type)
+        throw new Errors.ManagedError(`Resource POSTed with link type=${ldpType} while ${step.node.value} expects a ${step.type}`, 422);
+      if (ldpType == 'NonRDFSource') {
+        // if (step.validatedBy)
+        //   throw new Errors.ShapeTreeStructureError(this.url, `POST of NonRDFSource to ${rdfInterface.renderRdfTerm(step.node)} which has a tree:validatedBy property`);
+        BinaryConstraints.check(shapeTree.ids[new URL(step.node.value).href] || {}, Buffer.from(payload), mediaType, contentDigest, location);
+      } else if (ldpType === 'Container' && !step.validatedBy) {
+        // Containers' bodies needn't conform to a shape.
+        payloadGraph = await rdfInterface.parseRdf(payload, location, mediaType, prefixes);
+      } else {
+        if (!step.validatedBy)
+          // @@issue: is a step allowed to not have a validatedBy?
+          throw new Errors.ShapeTreeStructureError(this.url, `${rdfInterface.renderRdfTerm(step.node)} has no tree:validatedBy property`);
+        payloadGraph = await rdfInterface.parseRdf(payload, location, mediaType, prefixes);
+        await shapeTree.validate(step.validatedBy.value, payloadGraph, entityUrl.href);
+      }
+    } finally {
+      unlock();
     }
 
     // Return a lambda for creating a containers mandated by the ShapeTree.
@@ -382,6 +485,74 @@ class ManagedContainer extends Container {
       return dir;
     }, step];
   }
+
+  /** checkCardinality - make sure adding or removing a member respects its step's tree:maxCount or tree:minCount.
+   * Callers should hold this Container's lock so its members can't change before they act.
+   * @param {URL} location - member being added or removed; only its name is used
+   * @param {number} delta - 1 for a new member, -1 for a removed one
+   * @param {object} [options]
+   * @param {boolean} [options.counted] - the members already reflect the change, e.g. after the LDP server created location
+   * @throws {CardinalityError}
+   */
+  async checkCardinality (location, delta, { counted = false } = {}) {
+    const shapeTree = await this.getRootedShapeTree();
+    await shapeTree.fetch();
+    const step = matchingStepOrNull(shapeTree, location.href.substr(this.url.href.length));
+    const rules = step ? shapeTree.ids[new URL(step.node.value).href] || {} : {};
+    const constraint = delta > 0 ? 'maxCount' : 'minCount';
+    if (!(constraint in rules))
+      return;
+    const actual = ((await this.countMembersByStep(shapeTree)).get(step.node.value) || 0) + (counted ? 0 : delta);
+    if (delta > 0 ? actual > rules.maxCount : actual < rules.minCount)
+      throw new Errors.CardinalityError(this.url.href, step.node.value, `tree:${constraint}`, rules[constraint], actual);
+  }
+
+  /** cardinalityProblems - check the members of an existing Container against tree:minCount and tree:maxCount.
+   * @returns {CardinalityError[]} - one for each violated constraint
+   */
+  async cardinalityProblems () {
+    const shapeTree = await this.getRootedShapeTree();
+    await shapeTree.fetch();
+    const counts = await this.countMembersByStep(shapeTree);
+    const ret = [];
+    for (const q of shapeTree.graph.getQuads(shapeTree.getRdfRoot(), namedNode(Prefixes.tree + 'contains'), null)) {
+      const rules = shapeTree.ids[new URL(q.object.value).href] || {};
+      const actual = counts.get(q.object.value) || 0;
+      if ('minCount' in rules && actual < rules.minCount)
+        ret.push(new Errors.CardinalityError(this.url.href, q.object.value, 'tree:minCount', rules.minCount, actual));
+      if ('maxCount' in rules && actual > rules.maxCount)
+        ret.push(new Errors.CardinalityError(this.url.href, q.object.value, 'tree:maxCount', rules.maxCount, actual));
+    }
+    return ret;
+  }
+
+  /** countMembersByStep - count this Container's members by the step they match.
+   * @param {RemoteShapeTree} shapeTree - fetched ShapeTree rooted at this Container
+   * @returns {Map} - step IRI (string) to number of members; unmatched members aren't counted
+   */
+  async countMembersByStep (shapeTree) {
+    const ret = new Map();
+    for (const member of await this.getMembers()) {
+      const step = member.href.startsWith(this.url.href)
+            ? matchingStepOrNull(shapeTree, member.href.substr(this.url.href.length))
+            : null;
+      if (step)
+        ret.set(step.node.value, (ret.get(step.node.value) || 0) + 1);
+    }
+    return ret;
+  }
+}
+
+/* step in shapeTree's root matching name, or null if none does
+ */
+function matchingStepOrNull (shapeTree, name) {
+  try {
+    return shapeTree.matchingStep(shapeTree.getRdfRoot(), name);
+  } catch (e) {
+    if (e instanceof Errors.UriTemplateMatchError)
+      return null;
+    throw e;
+  }
 }
 
 /* append ShapeTree instance paths
@@ -392,6 +563,17 @@ function pathAppend () {
   return [].concat.call([base === '.' ? '' : base], rest).join('');
 }
 
+/* rebase - replace graph with current plus the changes made from base to graph
+ */
+function rebase (graph, base, current) {
+  const has = (g, q) => g.countQuads(q.subject, q.predicate, q.object, q.graph) > 0;
+  const added = graph.getQuads().filter(q => !has(base, q));
+  const removed = new N3.Store(base.getQuads().filter(q => !has(graph, q)));
+  graph.removeQuads(graph.getQuads());
+  graph.addQuads(current.getQuads().filter(q => !has(removed, q)));
+  graph.addQuads(added);
+}
+
 function asUrl (g, s, p) {
   const ret = rdfInterface.zeroOrOne(g, namedNode(s.href), namedNode(Prefixes.tree + p), null);
   return ret ? new URL(ret.object.value) : null;
@@ -402,12 +584,25 @@ function asLiteral (g, s, p) {
   return ret ? ret.object.value : null;
 }
 
+/** listHierarchy - recursively list a Container and its members
+ * @param {Container} container
+ * @returns {URL[]} - container's URL followed by those of its members
+ */
+async function listHierarchy (container) {
+  let ret = [container.url];
+  for (const member of await container.getMembers())
+    ret = ret.concat(member.pathname.endsWith('/')
+                     ? await listHierarchy(await loadContainer(member))
+                     : [member]);
+  return ret;
+}
+
 /** loadContainer - read an LDPC from the storage
  * @param url: URL of Container
  */
 async function loadContainer (url) {
   const prefixes = {};
-  const containerGraph = await storage.readContainer(url, prefixes);
+  const containerGraph = await storage.readContainer(url, prefixes, { members: false });
   const mdUrl = new URL(await storage.getMetaDataFilePath(url), url);
   const fromMd = Relateurl.relate(mdUrl.href, url.href);
   const mdGraph = await storage.readMetaData(url, prefixes);
@@ -429,6 +624,8 @@ class RemoteResource {
   async fetch () {
     this._classDetails(`fetch(<${this.url}>)`);
     const resp = await cachingFetch(this.url);
+    if (!resp.ok)
+      throw await Errors.makeHttpError('GET', this.url.href, 'resource', resp);
     const mediaType = resp.headers.get('content-type').split(/; */)[0];
     const text = await resp.text();
 
@@ -482,16 +679,22 @@ class RemoteShapeTree extends RemoteResource {
   }
 
   static async get (url) {
-    const docString = noHash(url).href
-    if (RemoteShapeTree.cache && docString in RemoteShapeTree.cache)
-      return RemoteShapeTree.cache[docString]
-    const ret = await new RemoteShapeTree(url).fetch()
-    if (RemoteShapeTree.cache)
-      RemoteShapeTree.cache[docString] = ret
-    return ret
+    return new RemoteShapeTree(url).fetch()
   }
 
+  /** fetch and parse this ShapeTree, or copy the parse from RemoteShapeTree.cache.
+   */
   async fetch () {
+    if (!RemoteShapeTree.cache)
+      return this.fetchAndParse()
+    const parsed = await RemoteShapeTree.cache.get('RemoteShapeTree', this.url, () => new RemoteShapeTree(this.url).fetchAndParse())
+    for (const attr of ['graph', 'prefixes', 'ids', 'tree', 'hasShapeTreeDecoratorIndex'])
+      if (attr in parsed)
+        this[attr] = parsed[attr]
+    return this
+  }
+
+  async fetchAndParse () {
     await super.fetch()
     this.ids = {} // @id index for entire ShapeTree
     this.tree = await this.parse() // add '@id', 'expectsType', 'contains', 'validatedBy' properties
@@ -509,6 +712,14 @@ class RemoteShapeTree extends RemoteResource {
     const str = sz => one(sz).value
     const url = sz => new URL(one(sz).value)
     const lst = sz => sz.map(s => new URL(s.value))
+    const strs = sz => sz.map(s => s.value)
+    const int = sz => {
+      const n = str(sz)
+      if (!n.match(/^\d+$/))
+        throw new Errors.ShapeTreeStructureError(this.url, `Expected a non-negative integer, got "${n}"`)
+      return parseInt(n)
+    }
+    const bool = sz => ['true', '1'].indexOf(str(sz)) !== -1
     const cnt = (sz, g, p) => {
       return sz.map(r => {
         const child = new URL(r.value)
@@ -530,10 +741,22 @@ class RemoteShapeTree extends RemoteResource {
       // predicates with a domain of tree:ShapeTree :
       { predicate: Prefixes.tree + 'expectsType' , attr: 'expectsType' , f: url },
       { predicate: Prefixes.tree + 'matchesUriTemplate' , attr: 'matchesUriTemplate' , f: str },
+      { predicate: Prefixes.tree + 'minCount'    , attr: 'minCount'    , f: int },
+      { predicate: Prefixes.tree + 'maxCount'    , attr: 'maxCount'    , f: int },
       { predicate: Prefixes.tree + 'validatedBy' , attr: 'validatedBy' , f: url },
       { predicate: Prefixes.tree + 'supports'    , attr: 'supports'    , f: lst },
       { predicate: Prefixes.tree + 'contains'    , attr: 'contains'    , f: cnt },
       { predicate: Prefixes.tree + 'references'  , attr: 'references'  , f: ref },
+
+      // constraints on NonRDFSources (see BinaryConstraints):
+      { predicate: Prefixes.tree + 'mediaType'   , attr: 'mediaType'   , f: strs },
+      { predicate: Prefixes.tree + 'maxByteSize' , attr: 'maxByteSize' , f: int },
+      { predicate: Prefixes.tree + 'requiresChecksum' , attr: 'requiresChecksum' , f: bool },
+
+      // versioning, on the root step (see migrateInstance):
+      { predicate: Prefixes.tree + 'version'     , attr: 'version'     , f: str },
+      { predicate: Prefixes.tree + 'versionOf'   , attr: 'versionOf'   , f: url },
+      { predicate: Prefixes.tree + 'compatibleWith' , attr: 'compatibleWith' , f: str },
     ]
 
     // Look for subjects with any predicate with a domain of tree:ShapeTree.
@@ -642,23 +865,26 @@ class RemoteShapeTree extends RemoteResource {
   }
 
   /** firstChild - return the first contents.
+   * Static steps (rdfs:label) match their label, e.g. a PUT replacing a static Container.
    * @returns: { type, name, matchesUriTemplate, validatedBy, contains }
    */
   matchingStep (shapeTreeNode, slug) {
     const contains = this.graph.getQuads(shapeTreeNode, namedNode(Prefixes.tree + 'contains'))
           .map(q => q.object);
     const choices = contains
-          .filter(
-            step => !slug ||
-              new UriTemplate(
-                this.graph.getQuads(step, namedNode(Prefixes.tree + 'matchesUriTemplate'))
-                  .map(q2 => q2.object.value)[0]
-              ).match(slug)
-          );
+          .filter(step => {
+            if (!slug)
+              return true;
+            const template = this.graph.getQuads(step, namedNode(Prefixes.tree + 'matchesUriTemplate'))
+                  .map(q2 => q2.object.value)[0];
+            return template
+              ? new UriTemplate(template).match(slug)
+              : this.graph.getQuads(step, namedNode(Prefixes.rdfs + 'label'), literal(slug.replace(/\/$/, ''))).length === 1;
+          });
     if (choices.length === 0)
       throw new Errors.UriTemplateMatchError(slug, [], `No match in ${shapeTreeNode.value} ${contains.map(t => t.value).join(', ')}`);
     /* istanbul ignore if */
-    if (choices.length > 1) // @@ Could have been caught by static analysis of ShapeTree.
+    if (choices.length > 1) // lintShapeTree reports these as overlappingTemplates.
       throw new Errors.UriTemplateMatchError(slug, [], `Ambiguous match against ${contains.map(t => t.value).join(', ')}`);
     const g = this.graph;
     const typeNode = obj('expectsType')
@@ -680,6 +906,17 @@ class RemoteShapeTree extends RemoteResource {
     }
   }
 
+  /** staticStep - find the step for a static (rdfs:label) member of shapeTreeNode.
+   * @param {RDFJS:node} shapeTreeNode - step containing the static member
+   * @param {string} name - name of the member without trailing '/'
+   * @returns: RDFJS node of the step or null
+   */
+  staticStep (shapeTreeNode, name) {
+    const q = this.graph.getQuads(shapeTreeNode, namedNode(Prefixes.tree + 'contains'), null).find(
+      q => this.graph.getQuads(q.object, namedNode(Prefixes.rdfs + 'label'), literal(name)).length === 1
+    );
+    return q ? q.object : null;
+  }
 
   /** instantiateStatic - make all containers implied by the ShapeTree.
    * @param {RDFJS:node} stepNode - subject of ldp:contains arcs of the LDP-Cs to be created.
@@ -740,25 +977,23 @@ class RemoteShapeTree extends RemoteResource {
   async validate (shape, payloadGraph, node) {
     // shape is a URL with a fragement. shapeBase is that URL without the fragment.
     const shapeBase = noHash(new URL(shape));
-    let schemaResp = await Errors.getOrThrow(cachingFetch, shapeBase); // throws if unresolvable
-    // const schemaType = schemaResp.headers.get('content-type').split(/; */)[0];
-    const schemaPrefixes = {};
-    const schema = ShExParser.construct(shapeBase.href, schemaPrefixes, {})
-          .parse(await schemaResp.text());
-    const v = ShExCore.Validator.construct(schema);
-    let res
-    try {
-      Log.extend('ShapeTree')('validate graph (%d triples) with ShapeMap <%s>@<%s>', payloadGraph.size, node, shape);
-      res = v.validate(ShExCore.Util.makeN3DB(payloadGraph), node, shape);
-    } catch (e) {
-      throw new Errors.MissingShapeError(shape, e.message);
-    }
-    if ('errors' in res) {
+    const loadSchema = async () => {
+      let schemaResp = await Errors.getOrThrow(cachingFetch, shapeBase); // throws if unresolvable
+      return Validators.loadSchema(
+        await schemaResp.text(), shapeBase, schemaResp.headers.get('content-type'), shape, rdfInterface
+      );
+    };
+    const { validator, schema } = RemoteShapeTree.cache
+          ? await RemoteShapeTree.cache.get('schema', shapeBase, loadSchema)
+          : await loadSchema();
+    Log.extend('ShapeTree')('validate graph (%d triples) with %s ShapeMap <%s>@<%s>', payloadGraph.size, validator.name, node, shape);
+    const res = validator.validate(schema, shape, payloadGraph, node);
+    if (!res.conforms) {
       // We could log this helpful server-side debugging info:
-      //   console.warn(ShExCore.Util.errsToSimple(res).join('\n'));
+      //   console.warn(res.text);
       //   console.warn(`<${node}>@<${shape}>`);
       //   console.warn(payloadGraph.getQuads().map(q => (['subject', 'predicate', 'object']).map(pos => q[pos].value).join(' ')).join('\n'));
-      throw new Errors.ValidationError(node, shape, ShExCore.Util.errsToSimple(res).join('\n'));
+      throw new Errors.ValidationError(node, shape, res.text, res.results);
     }
   }
 
@@ -825,6 +1060,8 @@ class RemoteShapeTree extends RemoteResource {
     }
   }
 }
+// Parsed ShapeTrees and schemas; set to null to re-fetch and re-parse every time.
+RemoteShapeTree.cache = DocumentCache.shared
 RemoteShapeTree.REPORT_CONTAINS = 0x1
 RemoteShapeTree.REPORT_REERENCES = 0x2
 RemoteShapeTree.RECURSE_CONTAINS = 0x4
@@ -907,6 +1144,268 @@ RemoteShapeTree.DEFAULT = 0xE
     }
   }
 
+  /**
+   * check the resources already stored in a ShapeTree instance, e.g. after migrating data.
+   * Walks containerUrl and its nested Containers, matching each member to its
+   * step, checking its metadata and type, re-validating RDF resources and
+   * checking that static Containers exist and member counts are in bounds.
+   * @param {URL} containerUrl - a ManagedContainer, usually an instance root
+   * @returns {AsyncIterable} - { code, resource, step, message, error } for each
+   *   non-conforming resource, where resource is a URL, step is the IRI of the
+   *   ShapeTree step (or null) and error is the ManagedError behind the report, if any.
+   */
+  async function* auditInstance (containerUrl) {
+    const container = await loadContainer(containerUrl);
+    if (!(container instanceof ManagedContainer)) {
+      yield problem('unmanaged', containerUrl, null, `${containerUrl.pathname} is not a ManagedContainer`);
+      return;
+    }
+    yield* auditContainer(container);
+  }
+
+  async function* auditContainer (container) {
+    const shapeTree = await container.getRootedShapeTree();
+    await shapeTree.fetch();
+    const stepNode = shapeTree.getRdfRoot();
+    const members = await container.getMembers();
+    const hrefs = members.map(m => m.href);
+
+    // Static Containers are created with their parent so they must all be there.
+    for (const q of shapeTree.graph.getQuads(stepNode, namedNode(Prefixes.tree + 'contains'), null)) {
+      const label = rdfInterface.zeroOrOne(shapeTree.graph, q.object, namedNode(Prefixes.rdfs + 'label'), null);
+      const staticUrl = label ? new URL(label.object.value + '/', container.url) : null;
+      if (staticUrl && hrefs.indexOf(staticUrl.href) === -1)
+        yield problem('missingStatic', staticUrl, q.object.value, `${staticUrl.pathname} is mandated by <${q.object.value}> but isn't a member of ${container.url.pathname}`);
+    }
+    for (const e of await container.cardinalityProblems())
+      yield problem('cardinality', container.url, e.step, e.message, e);
+
+    for (const member of members) {
+      const name = member.href.substr(container.url.href.length);
+      const step = member.href.startsWith(container.url.href) ? matchingStepOrNull(shapeTree, name) : null;
+      if (!step) {
+        yield problem('unmatchedMember', member, null, `${member.pathname} matches no step in <${stepNode.value}>`);
+        continue;
+      }
+      const stat = await storage.rstat(member).catch(e => null);
+      if (!stat) {
+        yield problem('missingMember', member, step.node.value, `${container.url.pathname} lists ${member.pathname} but it doesn't exist`);
+        continue;
+      }
+      if (stat.isContainer !== (step.type === 'Container')) {
+        yield problem('typeMismatch', member, step.node.value, `${member.pathname} is ${stat.isContainer ? 'a Container' : 'not a Container'} but <${step.node.value}> expects a ${step.type}`);
+        continue;
+      }
+
+      // Metadata must place the member in this instance at this step.
+      const expected = {
+        shapeTreeRoot: step.type === 'Container' ? container.shapeTreeUrl.href : step.node.value,
+        shapeTreeInstancePath: pathAppend(container.shapeTreeInstancePath, name),
+        shapeTreeInstanceRoot: container.shapeTreeInstanceRoot.href,
+      };
+      let metaData;
+      try {
+        metaData = await getMetaData(member, {});
+      } catch (e) {
+        yield problem('missingMetaData', member, step.node.value, `${member.pathname} has no ShapeTree metadata: ${e.message}`);
+        continue;
+      }
+      const wrong = Object.keys(expected).filter(ln => (metaData[ln].href || metaData[ln]) !== expected[ln]);
+      if (wrong.length > 0)
+        yield problem('inconsistentMetaData', member, step.node.value, wrong.map(ln => `tree:${ln} is "${metaData[ln].href || metaData[ln]}", expected "${expected[ln]}"`).join('; '));
+
+      if (step.type === 'Container') {
+        yield* auditContainer(await loadContainer(member));
+      } else if (step.type === 'Resource' && step.validatedBy) {
+        try {
+          // Parse it as what it was stored as, which file-backed storages only record in its extension.
+          const mediaType = stat.mediaType || MediaTypes.fromPath(member.pathname, 'text/turtle');
+          const graph = await rdfInterface.parseRdf(await storage.read(member), member, mediaType, {});
+          await shapeTree.validate(step.validatedBy.value, graph, metaData.validationFocus.href);
+        } catch (e) {
+          if (!(e instanceof Errors.ManagedError))
+            throw e;
+          yield problem(e instanceof Errors.ValidationError ? 'invalid' : 'unparsable', member, step.node.value, e.message, e);
+        }
+      }
+    }
+  }
+
+  function problem (code, resource, step, message, error = null) {
+    return { code, resource, step, message, error };
+  }
+
+  /**
+   * re-target a ShapeTree instance to another (usually newer) version of its ShapeTree.
+   * Metadata of the instance's Containers and resources is pointed at the new
+   * ShapeTree's steps, static Containers the new ShapeTree adds are created and
+   * the instance is audited against the new ShapeTree.
+   * @param {URL} instanceUrl - root Container of the ShapeTree instance
+   * @param {URL} shapeTreeUrl - ShapeTree to migrate to
+   * @returns {object[]} - auditInstance() reports of resources which don't conform to the new ShapeTree
+   */
+  async function migrateInstance (instanceUrl, shapeTreeUrl) {
+    const instance = await loadContainer(instanceUrl);
+    if (!(instance instanceof ManagedContainer) || instance.shapeTreeInstancePath !== '.')
+      throw new Errors.ManagedError(`${instanceUrl.pathname} is not the root of a ShapeTree instance`, 422);
+    Log('migrate', instanceUrl.pathname, 'from', instance.shapeTreeUrl.href, 'to', shapeTreeUrl.href);
+    const shapeTree = await new RemoteShapeTree(shapeTreeUrl).fetch();
+    await retargetContainer(instance, shapeTreeUrl, '.');
+    await setShapeTreeVersion(instanceUrl, shapeTree.tree.version || null);
+
+    const ret = [];
+    for await (const report of auditInstance(instanceUrl))
+      ret.push(report);
+    return ret;
+  }
+
+  /* point container and its members at the steps for path in shapeTreeUrl
+   */
+  async function retargetContainer (container, shapeTreeUrl, path) {
+    await mergeTreeMetadata(container.url, shapeTreeUrl, path, null, {});
+    const shapeTree = await new RemoteShapeTree(shapeTreeUrl, path).fetch();
+    const stepNode = shapeTree.getRdfRoot();
+    const members = await container.getMembers();
+    for (const member of members) {
+      const name = member.href.substr(container.url.href.length);
+      const step = member.href.startsWith(container.url.href) ? matchingStepOrNull(shapeTree, name) : null;
+      if (!step)
+        continue; // left for auditInstance to report
+      if (step.type === 'Container' && member.pathname.endsWith('/')) {
+        const nested = await loadContainer(member);
+        if (nested instanceof ManagedContainer)
+          await retargetContainer(nested, shapeTreeUrl, pathAppend(path, name));
+      } else if (await getMetaData(member, {}).catch(e => null)) {
+        await mergeTreeMetadata(member, new URL(step.node.value), pathAppend(path, name), null, {});
+      }
+    }
+
+    // Add static Containers which are new in this version of the ShapeTree.
+    for (const q of shapeTree.graph.getQuads(stepNode, namedNode(Prefixes.tree + 'contains'), null)) {
+      const label = rdfInterface.zeroOrOne(shapeTree.graph, q.object, namedNode(Prefixes.rdfs + 'label'), null);
+      const staticUrl = label ? new URL(label.object.value + '/', container.url) : null;
+      if (staticUrl && !members.find(m => m.href === staticUrl.href)) {
+        Log('migrate added', staticUrl.pathname);
+        await shapeTree.instantiateStatic(q.object, staticUrl, Path.join(path, label.object.value, '/'), container);
+      }
+    }
+  }
+
+  /**
+   * statically analyze a ShapeTree for problems which would otherwise surface at request time.
+   * @param {URL} url - ShapeTree document
+   * @returns {Diagnostic[]} - list of { level: "error"|"warning", code, node, message }
+   *   where node is the IRI of the offending ShapeTree step.
+   */
+  async function lintShapeTree (url) {
+    // Just the graph; RemoteShapeTree.parse() throws on some of the errors we report.
+    const shapeTree = await new RemoteResource(noHash(url)).fetch();
+    const g = shapeTree.graph;
+    const ret = [];
+    const report = (level, code, node, message) => ret.push({ level, code, node: node.value, message });
+    const objects = (s, p) => g.getQuads(s, namedNode(p), null).map(q => q.object);
+    const tree = ln => Prefixes.tree + ln;
+
+    // Steps are subjects of ShapeTree predicates or objects of tree:contains.
+    const stepPredicates = ['expectsType', 'matchesUriTemplate', 'validatedBy', 'supports', 'contains', 'references', 'mediaType', 'maxByteSize', 'requiresChecksum', 'minCount', 'maxCount'];
+    const steps = stepPredicates.reduce(
+      (acc, ln) => acc.concat(g.getQuads(null, namedNode(tree(ln)), null).map(q => q.subject)),
+      g.getQuads(null, namedNode(tree('contains')), null).map(q => q.object)
+    ).filter((s, i, all) => all.findIndex(t => t.equals(s)) === i);
+
+    const shapesToCheck = [];
+    const treeStepsToCheck = [];
+    for (const step of steps) {
+      if (noHash(new URL(step.value)).href !== noHash(shapeTree.url).href)
+        continue; // contained step in another document
+      ['expectsType', 'matchesUriTemplate', 'validatedBy', 'maxByteSize', 'requiresChecksum', 'minCount', 'maxCount'].forEach(ln => {
+        if (objects(step, tree(ln)).length > 1)
+          report('error', 'multipleValues', step, `expected at most one tree:${ln}, got ${objects(step, tree(ln)).length}`);
+      });
+      const expectsType = objects(step, tree('expectsType'));
+      const validatedBy = objects(step, tree('validatedBy'));
+      if (expectsType.length === 0)
+        report('error', 'missingExpectsType', step, `no tree:expectsType`);
+      else if (expectsType[0].value === Prefixes.ldp + 'Resource' && validatedBy.length === 0)
+        report('error', 'missingValidatedBy', step, `ldp:Resource step has no tree:validatedBy`);
+      validatedBy.forEach(shape => shapesToCheck.push([step, shape]));
+      const binaryConstraints = ['mediaType', 'maxByteSize', 'requiresChecksum'].filter(ln => objects(step, tree(ln)).length > 0);
+      if (binaryConstraints.length > 0 && expectsType.length > 0 && expectsType[0].value !== Prefixes.ldp + 'NonRDFSource')
+        report('warning', 'ignoredBinaryConstraint', step, `${rdfInterface.renderRdfTerm(expectsType[0])} step has tree:${binaryConstraints.join(', tree:')}, which only constrain ldp:NonRDFSource steps`);
+      objects(step, tree('maxByteSize')).filter(o => !o.value.match(/^\d+$/)).forEach(
+        o => report('error', 'badMaxByteSize', step, `tree:maxByteSize "${o.value}" is not a non-negative integer`)
+      );
+      const [minCount, maxCount] = ['minCount', 'maxCount'].map(ln => objects(step, tree(ln))[0]);
+      [minCount, maxCount].filter(o => o && !o.value.match(/^\d+$/)).forEach(
+        o => report('error', 'badCount', step, `tree:minCount and tree:maxCount must be non-negative integers, got "${o.value}"`)
+      );
+      if (minCount && maxCount && parseInt(minCount.value) > parseInt(maxCount.value))
+        report('error', 'unsatisfiableCount', step, `tree:minCount ${minCount.value} exceeds tree:maxCount ${maxCount.value}`);
+
+      // Members of a Container must be unambiguously selectable.
+      const contains = objects(step, tree('contains'));
+      contains.filter(c => noHash(new URL(c.value)).href !== noHash(shapeTree.url).href).forEach(
+        c => treeStepsToCheck.push([step, new URL(c.value), 'tree:contains'])
+      );
+      const labeled = contains.filter(c => objects(c, Prefixes.rdfs + 'label').length > 0);
+      const templated = contains.filter(c => objects(c, tree('matchesUriTemplate')).length > 0);
+      if (labeled.length > 0 && templated.length > 0)
+        report('warning', 'mixedStaticAndTemplate', step, `contains static (rdfs:label) steps [${labeled.map(c => c.value).join(', ')}] and template steps [${templated.map(c => c.value).join(', ')}]`);
+      contains.filter(c => labeled.indexOf(c) === -1 && templated.indexOf(c) === -1 && g.getQuads(c, null, null).length > 0).forEach(
+        c => report('error', 'unmatchableStep', c, `contained in ${step.value} but has neither rdfs:label nor tree:matchesUriTemplate`)
+      );
+      templated.forEach((l, i) => templated.slice(i + 1).forEach(r => {
+        const [lt, rt] = [l, r].map(c => objects(c, tree('matchesUriTemplate'))[0].value);
+        if (templatesOverlap(lt, rt))
+          report('error', 'overlappingTemplates', step, `templates "${lt}" (${l.value}) and "${rt}" (${r.value}) can match the same name`);
+      }));
+
+      // tree:references must point to existing steps.
+      objects(step, tree('references')).forEach(ref => {
+        const treeSteps = objects(ref, tree('treeStep'));
+        if (treeSteps.length !== 1)
+          report('error', 'missingTreeStep', step, `reference ${rdfInterface.renderRdfTerm(ref)} has ${treeSteps.length} tree:treeStep arcs`);
+        else
+          treeStepsToCheck.push([step, new URL(treeSteps[0].value), 'tree:treeStep']);
+      });
+    }
+
+    // Steps in this or other ShapeTree documents.
+    for (const [step, target, via] of treeStepsToCheck) {
+      const where = noHash(target).href === noHash(shapeTree.url).href
+            ? shapeTree
+            : await new RemoteResource(noHash(target)).fetch().catch(e => e);
+      if (where instanceof Error)
+        report('error', 'danglingTreeStep', step, `${via} <${target.href}> is in an unloadable ShapeTree: ${where.message}`);
+      else if (where.graph.getQuads(namedNode(target.href), null, null).length === 0)
+        report('error', 'danglingTreeStep', step, `${via} <${target.href}> is not defined in <${noHash(target).href}>`);
+    }
+
+    // Shapes must be defined in their schemas.
+    const schemas = {};
+    for (const [step, shape] of shapesToCheck) {
+      const schemaUrl = noHash(new URL(shape.value)).href;
+      if (!(schemaUrl in schemas))
+        schemas[schemaUrl] = await Errors.getOrThrow(cachingFetch, new URL(schemaUrl)).then(
+          async resp => Validators.loadSchema(await resp.text(), new URL(schemaUrl), resp.headers.get('content-type'), shape.value, rdfInterface)
+        ).catch(e => e);
+      const schema = schemas[schemaUrl];
+      if (schema instanceof Error) {
+        report('error', 'unloadableSchema', step, `tree:validatedBy <${shape.value}> is in an unloadable schema: ${schema.message}`);
+        continue;
+      }
+      if (schema.validator.shapeLabels(schema.schema).indexOf(shape.value) === -1)
+        report('error', 'missingShape', step, `tree:validatedBy <${shape.value}> is not defined in <${schemaUrl}>`);
+    }
+    return ret;
+
+    // Heuristic: two templates overlap if either matches a sample expansion of the other.
+    function templatesOverlap (l, r) {
+      const sample = t => t.replace(/{[^}]*}/g, 'x');
+      return l === r || !!new UriTemplate(l).match(sample(r)) || !!new UriTemplate(r).match(sample(l));
+    }
+  }
+
   function defaultControl (newValue, oldValue) {
     return newValue === undefined
       ? oldValue
@@ -943,6 +1442,9 @@ RemoteShapeTree.DEFAULT = 0xE
     loadContainer,
     mergeTreeMetadata,
     walkReferencedResources,
+    lintShapeTree,
+    auditInstance,
+    migrateInstance,
   }
 }
 
@@ -0,0 +1,111 @@
+/** ValidationReport - render ManagedErrors for clients.
+ *
+ * This library provides:
+ * * problemDetails - an RFC 7807 application/problem+json object for any ManagedError.
+ * * reportGraph - a SHACL sh:ValidationReport for a ValidationError.
+ * Expected cardinalities are recorded with sh:minCount and sh:maxCount on each
+ * sh:ValidationResult; the observed count is recorded with tree:actualCount.
+ * @module ValidationReport
+ */
+
+const N3 = require("n3");
+const { namedNode, literal, blankNode, quad } = N3.DataFactory;
+const Errors = require('./rdf-errors');
+const Prefixes = require('./prefixes');
+
+const MediaTypes = {
+  problemJson: 'application/problem+json',
+};
+
+/**
+ * describe an error as application/problem+json
+ * @param {ManagedError} e - error to describe; stack traces are never included
+ * @returns {object} problem details
+ */
+function problemDetails (e) {
+  const ret = {
+    type: 'about:blank',
+    title: e.name,
+    status: e.status,
+    detail: e.message,
+  };
+  if (e instanceof Errors.ValidationError)
+    Object.assign(ret, {
+      focusNode: e.node,
+      shape: e.shape,
+      results: e.results.map(r => ({
+        severity: 'Violation',
+        focusNode: jsonTerm(r.focusNode),
+        path: jsonTerm(r.path),
+        value: jsonTerm(r.value),
+        sourceShape: jsonTerm(r.sourceShape),
+        constraint: r.component,
+        message: r.message,
+        expected: r.expected,
+        actual: r.actual,
+      }))
+    });
+  return ret;
+}
+
+/**
+ * describe a ValidationError as a SHACL validation report
+ * @param {ValidationError} e
+ * @returns {[N3.Store, object]} report graph and prefixes for serialization
+ */
+function reportGraph (e) {
+  const sh = ln => namedNode(Prefixes.sh + ln);
+  const ret = new N3.Store();
+  const report = blankNode();
+  ret.addQuads([
+    quad(report, namedNode(Prefixes.rdf + 'type'), sh('ValidationReport')),
+    quad(report, sh('conforms'), literal('false', namedNode(Prefixes.xsd + 'boolean'))),
+  ]);
+  e.results.forEach(r => {
+    const result = blankNode();
+    const arcs = [
+      [namedNode(Prefixes.rdf + 'type'), sh('ValidationResult')],
+      [sh('resultSeverity'), sh('Violation')],
+      [sh('focusNode'), r.focusNode],
+      [sh('resultPath'), r.path],
+      [sh('value'), r.value],
+      [sh('sourceShape'), r.sourceShape],
+      [sh('sourceConstraintComponent'), namedNode(r.component)],
+      [sh('resultMessage'), literal(r.message)],
+    ];
+    if (r.expected) {
+      arcs.push([sh('minCount'), integer(r.expected.min)]);
+      if (r.expected.max !== null)
+        arcs.push([sh('maxCount'), integer(r.expected.max)]);
+    }
+    if (r.actual !== null)
+      arcs.push([namedNode(Prefixes.tree + 'actualCount'), integer(r.actual)]);
+    ret.addQuad(report, sh('result'), result);
+    ret.addQuads(arcs.filter(([p, o]) => o).map(([p, o]) => quad(result, p, o)));
+  });
+  const prefixes = ['sh', 'tree', 'xsd'].reduce((acc, p) => Object.assign(acc, { [p]: Prefixes[p] }), {});
+  return [ret, prefixes];
+}
+
+function integer (n) { return literal(String(n), namedNode(Prefixes.xsd + 'integer')); }
+
+/* IRIs and blank nodes as strings; literals as JSON-LD value objects
+ */
+function jsonTerm (t) {
+  if (!t)
+    return null;
+  switch (t.termType) {
+  case 'BlankNode': return '_:' + t.value;
+  case 'Literal': return t.language
+      ? { '@value': t.value, '@language': t.language }
+      : { '@value': t.value, '@type': t.datatype.value };
+  default: return t.value;
+  }
+}
+
+const ValidationReport = {
+  MediaTypes,
+  problemDetails,
+  reportGraph,
+};
+module.exports = ValidationReport;
@@ -0,0 +1,289 @@
+/** Validators - registry of schema languages which can be used in tree:validatedBy.
+ *
+ * A validator is selected by the media type of the schema document or, for
+ * RDF schemas, by the rdf:type of the shape (e.g. sh:NodeShape).
+ * This library provides:
+ * * ShEx - ShExC schemas, also the default for unregistered media types.
+ * * Shacl - SHACL shapes in Turtle or JSON-LD.
+ * * register - add another validator.
+ * * loadSchema - parse a schema document with the appropriate validator.
+ * @module Validators
+ */
+
+const N3 = require("n3");
+const { namedNode, blankNode, literal } = N3.DataFactory;
+const ShExCore = require('@shexjs/core')
+const ShExParser = require('@shexjs/parser')
+const SHACLValidator = require('rdf-validate-shacl')
+const Errors = require('./rdf-errors');
+const Prefixes = require('./prefixes');
+
+const Log = require('debug')('				validators');
+
+// Media types which rdfInterface.parseRdf() understands.
+const RdfMediaTypes = ['text/turtle', 'application/ld+json'];
+
+/** Validator interface:
+ *   name:string - for logging
+ *   mediaTypes:string[] - schema media types parsed by this validator
+ *   shapeTypes:string[] - rdf:types which identify this validator's shapes in an RDF schema
+ *   parse(text, schemaUrl, mediaType, rdfInterface):schema - parse a schema document
+ *   fromGraph(graph, schemaUrl):schema - (RDF schemas only) use an already-parsed schema graph
+ *   shapeLabels(schema):string[] - IRIs of shapes defined in schema
+ *   validate(schema, shape, payloadGraph, node):{conforms, text, results} - validate node in payloadGraph as shape
+ *
+ * results is a list of validator-independent ValidationResults:
+ *   focusNode:Term - node which failed to validate
+ *   path:Term|null - predicate of the failing constraint
+ *   value:Term|null - offending value
+ *   sourceShape:Term|null - shape containing the failing constraint
+ *   component:string - SHACL constraint component IRI, e.g. sh:MinCountConstraintComponent
+ *   message:string - human-readable explanation
+ *   expected:{min, max}|null - cardinality of the failing constraint (max null if unbounded)
+ *   actual:number|null - number of path arcs from focusNode in the payload
+ */
+
+// constructed ShEx validators, reused for as long as their schema is cached.
+const ShExValidators = new WeakMap();
+
+/** ShEx - validate with @shexjs
+ */
+const ShEx = {
+  name: 'ShEx',
+  mediaTypes: ['text/shex'],
+  shapeTypes: [],
+  parse: async (text, schemaUrl, mediaType, rdfInterface) =>
+    ShExParser.construct(schemaUrl.href, {}, {}).parse(text),
+  shapeLabels: schema => Array.isArray(schema.shapes)
+    ? schema.shapes.map(s => s.id)
+    : Object.keys(schema.shapes || {}),
+  validate: (schema, shape, payloadGraph, node) => {
+    let res
+    try {
+      if (!ShExValidators.has(schema))
+        // noCache: validators otherwise remember results from previous payloads.
+        ShExValidators.set(schema, ShExCore.Validator.construct(schema, { noCache: true }));
+      res = ShExValidators.get(schema).validate(ShExCore.Util.makeN3DB(payloadGraph), node, shape);
+    } catch (e) {
+      throw new Errors.MissingShapeError(shape, e.message);
+    }
+    return 'errors' in res
+      ? { conforms: false, text: ShExCore.Util.errsToSimple(res).join('\n'), results: shexResults(schema, res, payloadGraph) }
+      : { conforms: true, text: '', results: [] }
+  }
+};
+
+/* flatten a ShEx failure tree into ValidationResults
+ */
+function shexResults (schema, res, payloadGraph) {
+  const ret = [];
+  walk(res, null, null);
+  // ShEx reports each alternative it tried so the same failure may appear repeatedly.
+  return ret.filter((r, i) => ret.findIndex(l => sameResult(l, r)) === i);
+
+  function walk (val, focus, shape) {
+    if (typeof val === 'string')
+      return add(component('Node'), focus, shape, null, null, val);
+    if (Array.isArray(val))
+      return val.forEach(e => walk(e, focus, shape));
+    const nested = errors => (Array.isArray(errors) ? errors : [errors]);
+    switch (val.type) {
+    case 'Failure':
+      return nested(val.errors).forEach(e => walk(e, val.node, val.shape));
+    case 'FailureList':
+    case 'ShapeAndFailure':
+    case 'ShapeOrFailure':
+      return nested(val.errors).forEach(e => walk(e, focus, shape));
+    case 'RestrictionError':
+      return nested(val.errors).forEach(e => walk(e, val.focus, shape));
+    case 'TypeMismatch': {
+      const c = val.constraint;
+      const valueShape = typeof c.valueExpr === 'string' ? c.valueExpr : shape;
+      return nested(val.errors).forEach(e => typeof e === 'string'
+        ? add(component(c.valueExpr && c.valueExpr.datatype ? 'Datatype' : 'Node'), val.triple.subject, shape, c.predicate, val.triple.object, e)
+        : walk(e, shexTermToString(val.triple.object), valueShape));
+    }
+    case 'ExcessTripleViolation':
+      return add(component('MaxCount'), val.triple.subject, shape, val.triple.predicate, val.triple.object,
+                 `<${val.triple.predicate}> exceeds cardinality`, val.constraint);
+    case 'MissingProperty':
+      return add(component('MinCount'), focus, shape, val.property, null,
+                 `missing property <${val.property}>`, findTripleConstraint(schema, shape, val.property));
+    case 'NegatedProperty':
+      return add(component('Not'), focus, shape, val.property, null, `unexpected property <${val.property}>`);
+    case 'ClosedShapeViolation':
+      return val.unexpectedTriples.forEach(t => add(component('Closed'), t.subject, shape, t.predicate, t.object,
+                                                     `unexpected property <${t.predicate}> in closed shape`));
+    default:
+      return add(component('Node'), focus, shape, null, null, ShExCore.Util.errsToSimple(val).join('\n'));
+    }
+  }
+
+  function add (component, focus, shape, path, value, message, constraint) {
+    const focusNode = shexTerm(focus);
+    const pathNode = path ? namedNode(path) : null;
+    ret.push({
+      focusNode,
+      path: pathNode,
+      value: value ? shexTerm(value) : null,
+      sourceShape: shape ? namedNode(shape) : null,
+      component,
+      message,
+      expected: constraint ? {
+        min: 'min' in constraint ? constraint.min : 1,
+        max: !('max' in constraint) ? 1 : constraint.max === -1 ? null : constraint.max
+      } : null,
+      actual: focusNode && pathNode ? payloadGraph.getQuads(focusNode, pathNode, null).length : null
+    });
+  }
+}
+
+function component (localName) { return Prefixes.sh + localName + 'ConstraintComponent'; }
+
+function sameResult (l, r) {
+  const same = (a, b) => a === b || (a && b && typeof a.equals === 'function' && a.equals(b));
+  return ['focusNode', 'path', 'value', 'component'].every(k => same(l[k], r[k]));
+}
+
+/* find the TripleConstraint on predicate in the expression of shape
+ */
+function findTripleConstraint (schema, shape, predicate) {
+  const decls = Array.isArray(schema.shapes)
+        ? schema.shapes
+        : Object.keys(schema.shapes || {}).map(id => Object.assign({ id }, schema.shapes[id]));
+  const decl = decls.find(s => s.id === shape);
+  return decl ? search(decl.shapeExpr || decl) : null;
+
+  function search (expr) {
+    if (!expr || typeof expr !== 'object')
+      return null;
+    if (expr.type === 'TripleConstraint')
+      return expr.predicate === predicate ? expr : null;
+    return [expr.expression].concat(expr.expressions || [], expr.shapeExprs || [])
+      .reduce((found, e) => found || search(e), null);
+  }
+}
+
+/* ShEx terms are IRI strings, "_:"-prefixed blank nodes, N3-style literal strings or {value, type, language} objects.
+ */
+function shexTerm (t) {
+  if (t === null || t === undefined)
+    return null;
+  if (typeof t === 'object')
+    return literal(t.value, t.language || (t.type ? namedNode(t.type) : undefined));
+  if (t.startsWith('_:'))
+    return blankNode(t.substr(2));
+  const m = t.match(/^"([^]*)"(?:@([^@"]+)|\^\^(.+))?$/);
+  if (m)
+    return literal(m[1], m[2] || (m[3] ? namedNode(m[3]) : undefined));
+  return namedNode(t);
+}
+
+function shexTermToString (t) {
+  return typeof t === 'object'
+    ? `"${t.value}"` + (t.language ? '@' + t.language : t.type ? '^^' + t.type : '')
+    : t;
+}
+
+/** Shacl - validate with rdf-validate-shacl
+ */
+const ShaclTypes = ['NodeShape', 'PropertyShape'].map(ln => Prefixes.sh + ln);
+const Shacl = {
+  name: 'SHACL',
+  mediaTypes: [],
+  shapeTypes: ShaclTypes,
+  parse: async (text, schemaUrl, mediaType, rdfInterface) =>
+    Shacl.fromGraph(await rdfInterface.parseRdf(text, schemaUrl, mediaType), schemaUrl),
+  fromGraph: (graph, schemaUrl) => ({ url: schemaUrl, graph, validator: new SHACLValidator(graph.getQuads()) }),
+  shapeLabels: schema => schema.graph.getQuads(null, namedNode(Prefixes.rdf + 'type'), null)
+    .filter(q => ShaclTypes.indexOf(q.object.value) !== -1)
+    .map(q => q.subject.value),
+  validate: (schema, shape, payloadGraph, node) => {
+    if (Shacl.shapeLabels(schema).indexOf(shape) === -1)
+      throw new Errors.MissingShapeError(shape, `not a sh:NodeShape or sh:PropertyShape in <${schema.url.href}>`);
+    const v = schema.validator;
+    const report = v.validateNode(v.factory.dataset(payloadGraph.getQuads()), namedNode(node), namedNode(shape));
+    return {
+      conforms: report.conforms,
+      text: report.results.map(renderShaclResult).join('\n'),
+      results: report.results.map(r => shaclResult(schema, r, payloadGraph))
+    }
+  }
+};
+
+/* convert an rdf-validate-shacl ValidationResult into a ValidationResult
+ */
+function shaclResult (schema, r, payloadGraph) {
+  const count = localName => {
+    const q = r.sourceShape ? schema.graph.getQuads(r.sourceShape, namedNode(Prefixes.sh + localName), null) : [];
+    return q.length ? parseInt(q[0].object.value) : null;
+  };
+  const isCardinality = r.sourceConstraintComponent &&
+        [component('MinCount'), component('MaxCount')].indexOf(r.sourceConstraintComponent.value) !== -1;
+  const simplePath = r.path && r.path.termType === 'NamedNode' ? r.path : null;
+  return {
+    focusNode: r.focusNode,
+    path: r.path,
+    value: r.value,
+    sourceShape: r.sourceShape,
+    component: r.sourceConstraintComponent ? r.sourceConstraintComponent.value : component('Node'),
+    message: renderShaclResult(r),
+    expected: isCardinality ? { min: count('minCount') || 0, max: count('maxCount') } : null,
+    actual: simplePath ? payloadGraph.getQuads(r.focusNode, simplePath, null).length : null
+  };
+}
+
+function renderShaclResult (r) {
+  const component = r.sourceConstraintComponent ? r.sourceConstraintComponent.value.replace(Prefixes.sh, 'sh:') : 'violation';
+  const path = r.path ? ` path <${r.path.value}>` : '';
+  const value = r.value ? ` value ${r.value.termType === 'Literal' ? JSON.stringify(r.value.value) : `<${r.value.value}>`}` : '';
+  const message = r.message.length > 0 ? `: ${r.message.map(m => m.value).join('; ')}` : '';
+  return `validating <${r.focusNode.value}>${path}: ${component}${value}${message}`;
+}
+
+const Registry = [ShEx, Shacl];
+
+/** register:undefined - add a validator, taking precedence over those already registered.
+ * @param validator:Validator - see Validator interface above
+ */
+function register (validator) {
+  Registry.unshift(validator);
+}
+
+/** loadSchema:{validator, schema} - parse a schema document with the appropriate validator.
+ * @param text:string - schema document
+ * @param schemaUrl:URL - location of schema document
+ * @param contentType:string - media type of schema document
+ * @param shape:string - IRI of a shape used to identify the schema language in RDF schemas
+ * @param rdfInterface - RdfSerializer to parse RDF schemas
+ */
+async function loadSchema (text, schemaUrl, contentType, shape, rdfInterface) {
+  const mediaType = (contentType || '').split(/; */)[0];
+  const direct = Registry.find(v => v.mediaTypes.indexOf(mediaType) !== -1);
+  if (direct)
+    return { validator: direct, schema: await direct.parse(text, schemaUrl, mediaType, rdfInterface) };
+
+  if (RdfMediaTypes.indexOf(mediaType) !== -1) {
+    // Pick the validator from the type of shape or, failing that, of any node in the schema.
+    const graph = await rdfInterface.parseRdf(text, schemaUrl, mediaType);
+    const typesOf = s => graph.getQuads(s, namedNode(Prefixes.rdf + 'type'), null).map(q => q.object.value);
+    const types = shape ? typesOf(namedNode(shape)) : [];
+    const byType = ts => Registry.find(v => v.fromGraph && v.shapeTypes.find(t => ts.indexOf(t) !== -1));
+    const validator = byType(types) || byType(typesOf(null));
+    if (validator) {
+      Log('%s schema <%s>', validator.name, schemaUrl.href);
+      return { validator, schema: await validator.fromGraph(graph, schemaUrl) };
+    }
+  }
+
+  // Schemas have historically been served as e.g. text/plain, so assume ShEx.
+  return { validator: ShEx, schema: await ShEx.parse(text, schemaUrl, mediaType, rdfInterface) };
+}
+
+const Validators = {
+  ShEx,
+  Shacl,
+  register,
+  loadSchema,
+};
+module.exports = Validators;
@@ -7,6 +7,9 @@ const Fs = require('fs');
 const Path = require('path');
 const Log = require('debug')('								FsPromise');
 const Details = Log.extend('details');
+const { FileLockManager } = require('./lock-managers');
+const { statTag } = require('../lib/preconditions');
+const MembershipLog = require('./membership-log');
 const CfgKeys = ['documentRoot', 'indexFile', 'metaDataSuffix'];
 
 class FsPromise {
@@ -16,15 +19,27 @@ class FsPromise {
     // use a storage to coordinate access.
     if (typeof config !== 'object' || CfgKeys.find(k => !(k in config)))
       throw Error(`usage: FsPromise({${CfgKeys.map(k => `${k}: ...`).join(', ')}}, rdf-serializer, encoding="utf8"`);
-    const key = config.docRoot;
+    const key = config.documentRoot;
     if (FsPromise[key])
       return FsPromise[key];
 
     this.docRoot = config.documentRoot;
     this.indexFile = config.indexFile;
     this.metaDataSuffix = config.metaDataSuffix;
+    this.membersFile = config.membersFile || '.members'; // MembershipLog for each Container
     this._rdfInterface = rdfInterface;
     this._encoding = encoding;
+    // Other processes may share docRoot so lock with files mirroring the locked resources' paths
+    // in lockDirectory, which defaults to a sibling of docRoot so lockfiles aren't served.
+    this.lockDirectory = config.lockDirectory || Path.resolve(this.docRoot) + '.locks';
+    this.locks = new FileLockManager(
+      url => Path.join(this.lockDirectory, url.pathname.endsWith('/') ? this.getIndexFilePath(url) : url.pathname) + '.lock',
+      config.locking
+    );
+    // JournaledStorage's rollback journals go in journalDirectory, also a sibling of docRoot by default.
+    this.journalDirectory = config.journalDirectory || Path.resolve(this.docRoot) + '.journal';
+    // Membership logs go in membersDirectory, mirroring their Containers' paths; indexes list the members as of their last compaction.
+    this.membersDirectory = config.membersDirectory || Path.resolve(this.docRoot) + '.members';
     FsPromise[key] = this;
     this.promises = {}; // hash[path, list[promises]]
     this._hashCode = `FsPromise(${JSON.stringify(key)})`; // Math.floor(Math.random()*2**32).toString(16); // identifies this singleton
@@ -37,6 +52,8 @@ class FsPromise {
   /** rstat:object - Describe existing resource.
    * @returns: {
    *   isContainer - whether the resource is a Container
+   *   etag - strong ETag of the contents (Container body and members for Containers), or null
+   *   lastModified - Date the contents last changed, or null
    * }
    * @throws: resource does not exist
    * to test for existance, use
@@ -52,41 +69,60 @@ class FsPromise {
         size = (await Fs.promises.lstat(Path.join(this.docRoot, url.pathname))).size;
       } catch (e) {
       }
-      return {
+      return Object.assign({
         isContainer: false,
         isMetaData: true,
         metaDataLocation: url,
         size
-      };
+      }, await this._version(url.pathname));
     } else {
       const lstat = await Fs.promises.lstat(Path.join(this.docRoot, url.pathname));
-      return {
+      return Object.assign({
         isContainer: lstat.isDirectory(),
         isMetaData: false,
         metaDataLocation: new URL(await this.getMetaDataFilePath(url), url),
         size: lstat.size
-      };
+      }, lstat.isDirectory()
+         ? await this._version(this.getIndexFilePath(url), this._getMembersLogPath(url))
+         : await this._version(url.pathname));
+    }
+  }
+
+  /* private: {etag, lastModified} of the file at path, nulls if it doesn't exist.
+   * logPath is the full path of a Container's membership log.
+   * ETags come from the files' stats so rstat() doesn't read them.
+   */
+  async _version (path, logPath = null) {
+    try {
+      const stat = await Fs.promises.stat(Path.join(this.docRoot, path), { bigint: true });
+      const log = logPath ? await Fs.promises.stat(logPath, { bigint: true }).catch(e => null) : null;
+      return log
+        ? { etag: statTag(stat, log), lastModified: new Date(Math.max(stat.mtime, log.mtime)) }
+        : { etag: statTag(stat), lastModified: stat.mtime };
+    } catch (e) {
+      return { etag: null, lastModified: null };
     }
   }
 
 
   // R/W/D Resources
 
-  /** read:string - Read contents of resource.
+  /** read:string|Buffer - Read contents of resource.
+   * @param encoding: null to read bytes, e.g. of a NonRDFSource
    * @returns: contents
    * @throws: resource does not exist
    */
-  async read (url) {
+  async read (url, encoding = this._encoding) {
     Details('read(<%s>)', url.pathname);
-    return Fs.promises.readFile(Path.join(this.docRoot, url.pathname), this._encoding);
+    return Fs.promises.readFile(Path.join(this.docRoot, url.pathname), encoding);
   }
 
   /** write:undefined - Write contents to resource.
-   * @param body: contents to be written
+   * @param body: contents to be written; a Buffer is written as is
    * @throws: resource does not exist
    */
   async write (url, body) {
-    Details('write(<%s>, "%s...")', url.pathname, body.substr(0, 60).replace(/\n/g, '\\n'));
+    Details('write(<%s>, "%s...")', url.pathname, String(body.slice(0, 60)).replace(/\n/g, '\\n'));
     return Fs.promises.writeFile(Path.join(this.docRoot, url.pathname), body, {encoding: this._encoding});
   }
 
@@ -99,8 +135,10 @@ class FsPromise {
    */
   async invent (parentUrl, requestedName, body, mediaType) {
     Details('invent(<%s>, "%s", %d characters, "")', parentUrl.pathname, requestedName, body.length, mediaType);
-    return firstAvailable(parentUrl, requestedName, this.docRoot, 'Resource',
-                          url => this.write(url, body));
+    return this.locks.withLock(parentUrl, () => firstAvailable(
+      parentUrl, requestedName, this.docRoot, 'Resource',
+      url => this.write(url, body)
+    ));
   }
 
   /** remove:undefined - Delete resource.
@@ -116,27 +154,130 @@ class FsPromise {
   /** readContainer:RDFJS Store - Read body of Container.
    * @returns: body parsed as RDF
    * @param prefixes: where to capures prefixes from parsing
+   * @param options.members: whether to include the Container's ldp:contains arcs
    * @throws:
    *   resource does not exist
    *   parser failures
    */
-  async readContainer (url, prefixes) {
-    Details('readContainer(<%s>, %s)', url.pathname, JSON.stringify(prefixes))
-    const text = await Fs.promises.readFile(Path.join(this.docRoot, this.getIndexFilePath(url)), this._encoding);
-    return this._rdfInterface.parseTurtle(text, url, prefixes);
+  async readContainer (url, prefixes, { members = true } = {}) {
+    Details('readContainer(<%s>, %s, {members: %s})', url.pathname, JSON.stringify(prefixes), members)
+    if (!members)
+      return (await this._readIndex(url, prefixes))[0];
+    return this._withMembersLog(url, async logPath => {
+      const [index, listed] = await this._readIndex(url, prefixes);
+      return MembershipLog.join(url, index, MembershipLog.replay(url, listed, await this._readMembersLog(logPath)));
+    });
   }
 
   /** writeContainer:undefined - Read body of Container.
    * @param graph: data to be written
    * @param prefixes: prefixes to be used in serialization
+   * @param options.members: whether graph's ldp:contains arcs replace the Container's members
    * @throws:
    *   resource does not exist
    *   serializer failures
    */
-  async writeContainer (url, graph, prefixes) {
-    Details('writeContainer(<%s>, n3.Store() with %d quads, %s)', url.pathname, graph.size, JSON.stringify(prefixes))
-    const body = await this._rdfInterface.serializeTurtle(graph, url, prefixes);
-    return Fs.promises.writeFile(Path.join(this.docRoot, this.getIndexFilePath(url)), body, {encoding: this._encoding});
+  async writeContainer (url, graph, prefixes, { members = true } = {}) {
+    Details('writeContainer(<%s>, n3.Store() with %d quads, %s, {members: %s})', url.pathname, graph.size, JSON.stringify(prefixes), members)
+    const [index, listed] = MembershipLog.split(url, graph);
+    const body = await this._rdfInterface.serializeTurtle(index, url, prefixes);
+    return this._withMembersLog(url, async logPath => {
+      if (members) {
+        await this._replaceIndex(url, MembershipLog.materialize(url, body, listed));
+        await Fs.promises.unlink(logPath).catch(e => null);
+      } else {
+        // Keep the members listed in the index, including any listed in bodies written before there were membership logs.
+        const [_, kept] = await this._readIndex(url, {}).catch(e => [null, []]);
+        await this._replaceIndex(url, MembershipLog.materialize(url, body, kept));
+      }
+    });
+  }
+
+  /** readMembers:AsyncIterable<URL> - List a Container's members in the order they were added.
+   * Members are known only once the log has been replayed over those listed in
+   * the index; compaction in updateMembers keeps that proportional to the number of members.
+   * @throws:
+   *   resource does not exist
+   *   parser failures
+   */
+  async * readMembers (url) {
+    Details('readMembers(<%s>)', url.pathname);
+    const [listed, log] = await this._withMembersLog(url, async logPath => [
+      (await this._readIndex(url, {}))[1],
+      await this._readMembersLog(logPath)
+    ]);
+    for (const member of MembershipLog.replay(url, listed, log))
+      yield new URL(member);
+  }
+
+  /** updateMembers:undefined - Add and remove Container members without rewriting the Container.
+   * Once the log outgrows the index, its changes are folded into the members the index lists.
+   * @param added:URL[] - new members
+   * @param removed:URL[] - former members
+   * @throws:
+   *   resource does not exist
+   */
+  async updateMembers (url, added, removed = []) {
+    Details('updateMembers(<%s>, %d added, %d removed)', url.pathname, added.length, removed.length);
+    if (added.length + removed.length === 0)
+      return;
+    return this._withMembersLog(url, async logPath => {
+      const line = MembershipLog.format(url, added, removed);
+      await Fs.promises.appendFile(logPath, line, {encoding: this._encoding}).catch(async e => {
+        if (e.code !== 'ENOENT')
+          throw e;
+        await Fs.promises.mkdir(Path.dirname(logPath), { recursive: true });
+        await Fs.promises.appendFile(logPath, line, {encoding: this._encoding});
+      });
+      const { size } = await Fs.promises.stat(logPath);
+      const indexPath = Path.join(this.docRoot, this.getIndexFilePath(url));
+      const { size: indexSize } = await Fs.promises.stat(indexPath).catch(e => ({ size: 0 }));
+      if (!MembershipLog.shouldCompact(size, indexSize))
+        return;
+      const prefixes = {};
+      const [index, listed] = await this._readIndex(url, prefixes);
+      const members = MembershipLog.replay(url, listed, await this._readMembersLog(logPath));
+      const body = await this._rdfInterface.serializeTurtle(index, url, prefixes);
+      Log('compacting %s: %d bytes of log into %d members', url.pathname, size, members.length);
+      await this._replaceIndex(url, MembershipLog.materialize(url, body, members));
+      // Replaying the log again would only re-order members so a crash here loses nothing.
+      await Fs.promises.unlink(logPath);
+    });
+  }
+
+  /* private: run f(path of url's membership log) while no other process changes that log or url's index.
+   * Appends and compactions share this lock so a compaction can't drop a concurrent append.
+   */
+  async _withMembersLog (url, f) {
+    return this.locks.withLock(new URL(this.membersFile, url), () => f(this._getMembersLogPath(url)));
+  }
+
+  /* private: atomically replace url's index with text so no-one reads part of it.
+   */
+  async _replaceIndex (url, text) {
+    const path = Path.join(this.docRoot, this.getIndexFilePath(url));
+    const tmp = `${path}.${process.pid}.tmp`;
+    await Fs.promises.writeFile(tmp, text, {encoding: this._encoding});
+    await Fs.promises.rename(tmp, path);
+  }
+
+  /* private: [index graph without its members, members listed in it]
+   */
+  async _readIndex (url, prefixes) {
+    const text = await Fs.promises.readFile(Path.join(this.docRoot, this.getIndexFilePath(url)), this._encoding);
+    const [body, materialized] = MembershipLog.unmaterialize(url, text);
+    const [index, legacy] = MembershipLog.split(url, await this._rdfInterface.parseTurtle(body, url, prefixes));
+    return [index, legacy.concat(materialized)];
+  }
+
+  /* private: contents of the membership log at logPath, "" if there is none.
+   */
+  async _readMembersLog (logPath) {
+    return Fs.promises.readFile(logPath, this._encoding).catch(e => {
+      if (e.code === 'ENOENT')
+        return '';
+      throw e;
+    });
   }
 
   /** inventContainer:[URL, Store] - create a new ldp:Resource
@@ -149,8 +290,10 @@ class FsPromise {
    */
   async inventContainer (parentUrl, requestedName, title, prefixes = {}) {
     Details('inventContainer(<%s>, "%s", "${title}", %s)', parentUrl.pathname, requestedName, JSON.stringify(prefixes));
-    return firstAvailable(parentUrl, requestedName, this.docRoot, 'Container',
-                          async url => (await this.ensureContainer(url, prefixes, title))[1]); // just the Container graph.
+    return this.locks.withLock(parentUrl, () => firstAvailable(
+      parentUrl, requestedName, this.docRoot, 'Container',
+      async url => (await this.ensureContainer(url, prefixes, title))[1] // just the Container graph.
+    ));
   }
 
   /** remove:undefined - Recursively remove a Container.
@@ -172,12 +315,14 @@ class FsPromise {
       }
     }
     await Fs.promises.rmdir(path);
+    await Fs.promises.rm(Path.join(this.membersDirectory, url.pathname), { recursive: true, force: true });
   }
 
 
   /** ensureContainer:object - Make Container with invented contents if it doesn't already exist.
    * @param prefixes: prefixes helpful for serialization.
    * @param title: dc:title property to add to invented contents.
+   * @param options: passed to readContainer()
    * @returns: [
    *   boolean - whether Container is new (didn't exist),
    *   RDFJS Store - data either read from Container or written to Container
@@ -186,7 +331,7 @@ class FsPromise {
    *   resource does not exist
    *   serializer failures
    */
-  async ensureContainer (url, prefixes, title) {
+  async ensureContainer (url, prefixes, title, options = {}) {
     const funcDetails = Details.extend(`ensureContainer(<${url.pathname}>, ${JSON.stringify(prefixes)}, "title")`);
     funcDetails('');
     const _FsPromise = this;
@@ -200,7 +345,7 @@ class FsPromise {
         if (e.code === 'EEXIST') {
           try {
             funcDetails('this.readContainer(<%s>, %s)', url.pathname, JSON.stringify(prefixes));
-            const g = await this.readContainer(url, prefixes);
+            const g = await this.readContainer(url, prefixes, options);
             return [false, g];
           } catch (e) {
             const g = await makeContainer();
@@ -222,7 +367,7 @@ class FsPromise {
 `;
       const graph = await _FsPromise._rdfInterface.parseTurtle(body, url, prefixes);
       funcDetails('writeContainer(<%s>, n3.Store() with %d quads, %s)', url.pathname, graph.size, JSON.stringify(prefixes));
-      _FsPromise.writeContainer(url, graph, prefixes);
+      await _FsPromise.writeContainer(url, graph, prefixes, { members: false }); // keep any members already logged
       return graph;
     }
   }
@@ -261,6 +406,24 @@ class FsPromise {
     return Fs.promises.writeFile(Path.join(this.docRoot, mdUrl), body, {encoding: this._encoding});
   }
 
+  /** removeMetaData:undefined - Delete a metadata resource.
+   * @throws: metadata resource does not exist
+   */
+  async removeMetaData (url) {
+    Details('removeMetaData(<%s>)', url.pathname);
+    return Fs.promises.unlink(Path.join(this.docRoot, await this.getMetaDataFilePath(url)));
+  }
+
+  /** journalStorage:FsPromise - Storage for rollback journals, in journalDirectory.
+   */
+  journalStorage () {
+    return new FsPromise({
+      documentRoot: this.journalDirectory,
+      indexFile: this.indexFile,
+      metaDataSuffix: this.metaDataSuffix,
+    }, this._rdfInterface, this._encoding);
+  }
+
   /** getIndexFilePath:string - Get the index Resource for a given Container.
    */
   getIndexFilePath (url) { // This is in the public API 'cause the static file server needs it.
@@ -278,6 +441,12 @@ class FsPromise {
         : url.pathname + this.metaDataSuffix
     );
   }
+
+  /* private: path of the MembershipLog for a given Container.
+   */
+  _getMembersLogPath (url) {
+    return Path.join(this.membersDirectory, url.pathname, this.membersFile);
+  }
 }
 
 async function exists (path) {
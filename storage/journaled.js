@@ -0,0 +1,440 @@
+/** Make groups of Storage operations all-or-nothing with a write-ahead journal
+ * @module JournaledStorage
+ * @implements Storage
+ *
+ * Wraps another Storage. Inside transaction(f), the first change to any
+ * resource, Container or metadata resource records its prior state in a
+ * journal resource before the change is made. If f throws, the recorded
+ * states are restored in reverse order. Journals left behind by a crash are
+ * rolled back by recover(), which should be called on startup.
+ *
+ * Several processes may share a Storage so journals are named for the process
+ * which owns them: <started>-<random>-<pid>@<host>.json. recover() leaves
+ * journals of live owners alone.
+ *
+ * Journals are JSON resources listed (ldp:contains) in the journal Container,
+ * which is in the wrapped Storage unless another is given, e.g. one which isn't
+ * served (see FsPromise.journalStorage).
+ * Each entry is one of:
+ *   { url, kind: "absent", parent? } - url didn't exist; if parent is given,
+ *     url was made a member of Container parent when it was created
+ *   { url, kind: "resource", body } - url held body
+ *   { url, kind: "container", body, members? } - url was a Container with Turtle
+ *     body ("" if none), not including its members. Its members are only listed
+ *     if they were about to be replaced or removed wholesale.
+ *   { url, kind: "members", added, removed } - members were added to and removed
+ *     from Container url; rollback removes and re-adds them, leaving other changes
+ *     to its members alone.
+ *   { url, kind: "metadata", body } - url's metadata held Turtle body ("" if none)
+ */
+
+const Os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
+const Log = require('debug')('								JournaledStorage');
+const Details = Log.extend('details');
+const Mutex = require('../lib/mutex');
+const MembershipLog = require('./membership-log');
+const { isLiveProcess } = require('./lock-managers');
+
+// URLs of this process's journals of transactions in progress.
+const InFlight = new Set();
+// <started>-<random>-<pid>@<host>.json
+const JournalName = /^[0-9]+-[0-9a-f]+-([0-9]+)@([^/]+)\.json$/;
+
+class JournaledStorage {
+  /**
+   * @param {Storage} storage - Storage to wrap
+   * @param rdfInterface - RdfSerializer for Container and metadata bodies
+   * @param {URL} journalUrl - Container in options.journals for journals
+   * @param {URL[]} [untracked] - Containers whose contents aren't journaled, e.g. caches
+   * @param {object} [options]
+   * @param {number} [options.staleAfter] - milliseconds after which recover() presumes the
+   *   owner of an unchanged journal on another host is dead
+   * @param {Storage} [options.journals] - Storage holding the journal Container; default: storage
+   */
+  constructor (storage, rdfInterface, journalUrl, untracked = [], { staleAfter = 10 * 60 * 1000, journals = storage } = {}) {
+    this._storage = storage;
+    this._journals = journals;
+    this._rdfInterface = rdfInterface;
+    this.journalUrl = journalUrl;
+    this._untracked = untracked.map(u => u.href);
+    this.staleAfter = staleAfter;
+    this._current = new AsyncLocalStorage(); // the Journal of the transaction in progress
+    this._journalContainer = null; // Promise that the journal Container exists
+    this._hashCode = `JournaledStorage(${storage.hashCode()})`;
+  }
+
+  hashCode () { return this._hashCode; }
+
+  /** locks:LockManager - the wrapped Storage's locks
+   */
+  get locks () { return this._storage.locks; }
+
+  // Transactions
+
+  /** transaction:* - Run f so that its changes are either all applied or all rolled back.
+   * Nested transactions join the enclosing one.
+   * @param f:function - async function performing Storage operations
+   * @returns: f's return value
+   * @throws: whatever f threw, after rolling back
+   */
+  async transaction (f) {
+    if (this._current.getStore())
+      return f();
+    const name = `${Date.now()}-${Math.floor(Math.random() * 2**32).toString(16)}-${process.pid}@${encodeURIComponent(Os.hostname())}.json`;
+    const journal = new Journal(this, new URL(name, this.journalUrl));
+    InFlight.add(journal.url.href);
+    try {
+      await this._addJournal(journal.url);
+      let ret;
+      try {
+        ret = await this._current.run(journal, f);
+      } catch (e) {
+        Log('rolling back %s after %s', journal.url.pathname, e.message);
+        await journal.rollback();
+        await this._removeJournal(journal.url);
+        throw e;
+      }
+      await this._removeJournal(journal.url);
+      return ret;
+    } finally {
+      InFlight.delete(journal.url.href);
+    }
+  }
+
+  /** preserve:undefined - Record url's current state so the current transaction can restore it.
+   * Use for changes made outside of this Storage, e.g. by an LDP server.
+   * @param url:URL - resource or Container; Containers' members are recorded too
+   */
+  async preserve (url) {
+    return this._preserve(url, { members: true });
+  }
+
+  /** created:undefined - Record that url, created outside of this Storage, didn't exist before the current transaction.
+   * Whatever created url (e.g. an LDP server) is presumed to have made it a member of its parent Container
+   * so rollback removes that membership along with url.
+   * @param url:URL - new resource or Container
+   */
+  async created (url) {
+    const parent = new URL(url.pathname.endsWith('/') ? '..' : '.', url);
+    return this._created(url, { parent: parent.href });
+  }
+
+  /** recover:number - Roll back transactions whose owners died before completing them, e.g. in a crash.
+   * Journals of transactions in progress in live processes are left alone. Whether a
+   * process on another host is alive can't be checked so its journals are rolled back
+   * once they've been unchanged for staleAfter. Recovery holds the journal Container's
+   * lock so concurrent recoveries don't both roll back a journal.
+   * @returns: number of journals rolled back
+   */
+  async recover () {
+    await this._ensureJournalContainer();
+    return this._journals.locks.withLock(this.journalUrl, async () => {
+      const journals = [];
+      for await (const url of this._journals.readMembers(this.journalUrl))
+        journals.push(url);
+      let count = 0;
+      for (const url of journals) {
+        if (await this._ownerIsLive(url)) {
+          Details('leaving %s to its owner', url.pathname);
+          continue;
+        }
+        Log('recovering %s', url.pathname);
+        const entries = await this._journals.read(url).then(text => JSON.parse(text), e => []);
+        await new Journal(this, url, entries).rollback();
+        await this._removeJournal(url);
+        ++count;
+      }
+      return count;
+    });
+  }
+
+  // Status
+
+  async rstat (url) { return this._storage.rstat(url); }
+  async getMetaDataFilePath (url) { return this._storage.getMetaDataFilePath(url); }
+
+  // R/W/D Resources
+
+  async read (url, encoding) { return this._storage.read(url, encoding); }
+
+  async write (url, body) {
+    await this._preserve(url);
+    return this._storage.write(url, body);
+  }
+
+  async invent (parentUrl, requestedName, body, mediaType) {
+    // invent* picks the name so its absence can only be recorded after the fact.
+    const ret = await this._storage.invent(parentUrl, requestedName, body, mediaType);
+    await this._created(new URL(ret[0], parentUrl));
+    return ret;
+  }
+
+  async remove (url) {
+    await this._preserve(url);
+    return this._storage.remove(url);
+  }
+
+  // R/W/D Containers
+
+  async readContainer (url, prefixes, options) { return this._storage.readContainer(url, prefixes, options); }
+
+  async writeContainer (url, graph, prefixes, options = {}) {
+    await this._preserve(url, { members: options.members !== false });
+    return this._storage.writeContainer(url, graph, prefixes, options);
+  }
+
+  readMembers (url) { return this._storage.readMembers(url); }
+
+  async updateMembers (url, added, removed = []) {
+    const journal = this._journalFor(url);
+    if (journal)
+      await journal.recordMembers(url, added, removed);
+    return this._storage.updateMembers(url, added, removed);
+  }
+
+  async inventContainer (parentUrl, requestedName, title, prefixes) {
+    const ret = await this._storage.inventContainer(parentUrl, requestedName, title, prefixes);
+    await this._created(new URL(ret[0], parentUrl));
+    return ret;
+  }
+
+  async removeContainer (url) {
+    await this._preserve(url, { members: true });
+    return this._storage.removeContainer(url);
+  }
+
+  async ensureContainer (url, prefixes, title, options) {
+    await this._preserve(url);
+    return this._storage.ensureContainer(url, prefixes, title, options);
+  }
+
+  // Metadata
+
+  async readMetaData (url, prefixes) { return this._storage.readMetaData(url, prefixes); }
+
+  async writeMetaData (url, graph, prefixes) {
+    await this._preserveMetaData(url);
+    return this._storage.writeMetaData(url, graph, prefixes);
+  }
+
+  async removeMetaData (url) {
+    await this._preserveMetaData(url);
+    return this._storage.removeMetaData(url);
+  }
+
+  /* private: record that url didn't exist before the current transaction.
+   */
+  async _created (url, extra = {}) {
+    const journal = this._journalFor(url);
+    if (journal)
+      await journal.record(Object.assign({ url: url.href, kind: 'absent' }, extra));
+  }
+
+  /* private: record url's state in the current transaction's Journal.
+   * options.members: whether to list a Container's members, which is O(members)
+   */
+  async _preserve (url, options) {
+    const journal = this._journalFor(url);
+    if (journal)
+      await journal.preserve(url, options);
+  }
+
+  async _preserveMetaData (url) {
+    const journal = this._journalFor(url);
+    if (journal)
+      await journal.preserveMetaData(url);
+  }
+
+  /* private: the current transaction's Journal if url should be journaled.
+   */
+  _journalFor (url) {
+    const journal = this._current.getStore();
+    return journal && !this._untracked.find(prefix => url.href.startsWith(prefix))
+      ? journal
+      : null;
+  }
+
+  /* private: create the journal Container once.
+   */
+  _ensureJournalContainer () {
+    if (!this._journalContainer)
+      this._journalContainer = this._journals.ensureContainer(this.journalUrl, {}, 'Journals', { members: false }).catch(e => {
+        this._journalContainer = null; // try again next time
+        throw e;
+      });
+    return this._journalContainer;
+  }
+
+  /* private: list/unlist a journal in the journal Container.
+   * Membership updates are appends so processes sharing the Container don't lose each other's journals.
+   */
+  async _addJournal (url) {
+    await this._ensureJournalContainer();
+    await this._journals.write(url, '[]');
+    await this._journals.updateMembers(this.journalUrl, [url]);
+  }
+
+  async _removeJournal (url) {
+    await this._journals.updateMembers(this.journalUrl, [], [url]);
+    await this._journals.remove(url).catch(e => null);
+  }
+
+  /* private: whether the process which owns journal url may still be using it.
+   */
+  async _ownerIsLive (url) {
+    const m = url.pathname.substr(this.journalUrl.pathname.length).match(JournalName);
+    if (!m)
+      return false; // journals from before their owners were recorded
+    const [pid, host] = [Number(m[1]), decodeURIComponent(m[2])];
+    if (host === Os.hostname())
+      return pid === process.pid
+        ? InFlight.has(url.href)
+        : isLiveProcess(pid);
+    const stat = await this._journals.rstat(url).catch(e => null);
+    return !!stat && !!stat.lastModified && Date.now() - stat.lastModified < this.staleAfter;
+  }
+}
+
+/** Journal - prior states recorded by one transaction.
+ */
+class Journal {
+  constructor (journaled, url, entries = []) {
+    this._journaled = journaled;
+    this.url = url;
+    this.entries = entries;
+    this._mutex = new Mutex(`journal <${url.pathname}>`);
+  }
+
+  /** preserve:undefined - record url's state if it hasn't been recorded yet.
+   * @param options.members: whether to list a Container's members too
+   */
+  async preserve (url, { members: listMembers = false } = {}) {
+    if (this._has(url.href, ['absent', 'resource', 'container']))
+      return;
+    const storage = this._journaled._storage;
+    const stat = await storage.rstat(url).catch(e => null);
+    if (!stat)
+      return this.record({ url: url.href, kind: 'absent' });
+    if (stat.isContainer) {
+      const prefixes = {};
+      const graph = await storage.readContainer(url, prefixes, { members: false }).catch(e => null); // null if it has no body
+      const entry = {
+        url: url.href,
+        kind: 'container',
+        body: graph === null ? '' : await this._journaled._rdfInterface.serializeTurtle(graph, url, prefixes),
+      };
+      if (listMembers && graph !== null) {
+        entry.members = [];
+        for await (const member of storage.readMembers(url))
+          entry.members.push(member.href);
+      }
+      return this.record(entry);
+    }
+    return this.record({ url: url.href, kind: 'resource', body: await storage.read(url) });
+  }
+
+  /** preserveMetaData:undefined - record url's metadata if it hasn't been recorded yet.
+   */
+  async preserveMetaData (url) {
+    if (this._has(url.href, ['metadata']))
+      return;
+    const prefixes = {};
+    const graph = await this._journaled._storage.readMetaData(url, prefixes);
+    return this.record({
+      url: url.href,
+      kind: 'metadata',
+      body: graph.size === 0 ? '' : await this._journaled._rdfInterface.serializeTurtle(graph, url, prefixes)
+    });
+  }
+
+  /** recordMembers:undefined - record a change to Container url's members.
+   */
+  async recordMembers (url, added, removed) {
+    if (added.length + removed.length === 0 || this._has(url.href, ['absent']))
+      return; // rollback removes the whole Container
+    return this.record({
+      url: url.href,
+      kind: 'members',
+      added: added.map(member => member.href || member),
+      removed: removed.map(member => member.href || member)
+    });
+  }
+
+  /** record:undefined - add an entry and write the journal before the caller changes anything.
+   * Only the first state of a resource is recorded; every change to members is.
+   */
+  async record (entry) {
+    return this._mutex.withLock(async () => {
+      if (entry.kind !== 'members' && this._has(entry.url, entry.kind === 'metadata' ? ['metadata'] : ['absent', 'resource', 'container']))
+        return;
+      Details('journal %s %s', entry.kind, entry.url);
+      this.entries.push(entry);
+      await this._journaled._journals.write(this.url, JSON.stringify(this.entries, null, 2));
+    }, { holder: 'record' });
+  }
+
+  /** rollback:undefined - restore recorded states, most recent first.
+   * Keeps going after failures so as much as possible is restored.
+   */
+  async rollback () {
+    const storage = this._journaled._storage;
+    const rdf = this._journaled._rdfInterface;
+    for (const entry of this.entries.slice().reverse()) {
+      const url = new URL(entry.url);
+      try {
+        switch (entry.kind) {
+        case 'absent': {
+          const stat = await storage.rstat(url).catch(e => null);
+          if (stat && stat.isContainer)
+            await storage.removeContainer(url);
+          else if (stat)
+            await storage.remove(url);
+          if (entry.parent)
+            await storage.updateMembers(new URL(entry.parent), [], [url]);
+          break;
+        }
+        case 'resource':
+          await storage.write(url, entry.body);
+          break;
+        case 'container':
+          if (!await storage.rstat(url).catch(e => null))
+            await storage.ensureContainer(url, {}, '');
+          if (entry.body !== '') {
+            const [graph, prefixes] = await parseWithPrefixes(rdf, entry.body, url);
+            if (entry.members)
+              await storage.writeContainer(url, MembershipLog.join(url, graph, entry.members), prefixes);
+            else
+              await storage.writeContainer(url, graph, prefixes, { members: false });
+          }
+          break;
+        case 'members':
+          await storage.updateMembers(url, entry.removed.map(m => new URL(m)), entry.added.map(m => new URL(m)));
+          break;
+        case 'metadata':
+          if (entry.body === '')
+            await storage.removeMetaData(url).catch(e => null);
+          else
+            await storage.writeMetaData(url, ...await parseWithPrefixes(rdf, entry.body, url));
+          break;
+        }
+      } catch (e) {
+        Log('unable to restore %s %s: %s', entry.kind, entry.url, e.message);
+      }
+    }
+  }
+
+  _has (url, kinds) {
+    return !!this.entries.find(e => e.url === url && kinds.indexOf(e.kind) !== -1);
+  }
+}
+
+/* [graph, prefixes] from Turtle, so restored bodies keep their prefixes
+ */
+async function parseWithPrefixes (rdfInterface, text, base) {
+  const prefixes = {};
+  const graph = await rdfInterface.parseTurtle(text, base, prefixes);
+  return [graph, prefixes];
+}
+
+module.exports = JournaledStorage;
@@ -8,6 +8,9 @@ const Path = require('path');
 const Log = require('debug')('ldp-proxy');
 const Details = Log.extend('details');
 const Prefixes = require('../lib/prefixes');
+const LinkHeader = require('../lib/link-header');
+const { ETagLockManager, conflictError } = require('./lock-managers');
+const MembershipLog = require('./membership-log');
 const { DataFactory } = require("n3");
 const { namedNode, literal, defaultGraph, quad } = DataFactory;
 
@@ -23,6 +26,8 @@ class LdpProxy {
     this.ldpServer = ldpServer;
     this.fetch = fetch;
     this._rdfInterface = rdfInterface;
+    // The server may have other clients so rely on its ETags to detect lost updates.
+    this.locks = new ETagLockManager();
     LdpProxy[key] = this;
     this.promises = {}; // hash[path, list[promises]]
     this._hashCode = `LdpProxy(${JSON.stringify(key)})`; // Math.floor(Math.random()*2**32).toString(16); // identifies this singleton
@@ -35,6 +40,9 @@ class LdpProxy {
   /** rstat:object - Describe existing resource.
    * @returns: {
    *   isContainer - whether the resource is a Container
+   *   etag - the server's ETag, or null
+   *   lastModified - the server's Last-Modified Date, or null
+   *   mediaType - the server's Content-Type, without parameters, or null
    * }
    * @throws: resource does not exist
    * to test for existance, use
@@ -42,7 +50,8 @@ class LdpProxy {
    */
   async rstat (url) {
     Details('rstat(<%s>)', url.pathname);
-    const resp = await this.fetch(new URL(url, this.ldpServer));
+    const resolved = new URL(url, this.ldpServer);
+    const resp = await this.fetch(resolved);
     if (resp.status !== 200) {
       // Simulate a require('fs').lstat('doesNotExist') error.
       const e = Error(`ENOENT: no such file or directory, lstat '${url}'`);
@@ -54,13 +63,17 @@ class LdpProxy {
       });
       throw e;
     }
-    const links = parseLinks(resp);
+    const links = LinkHeader.parse(resp.headers.get('link'), resolved);
+    const types = links.all('type').map(link => link.target.href);
+    const metadata = links.first('metadata');
     return {
-      isContainer: links.type
-        ? links.type.substr(Prefixes.ldp.length) === 'Container'
-        : false,
-      isMetaData: new URL(links.metadata, url) === url, // @@ sensitive to "http://mydomain..." !== "http://MyDoMaIn..." ?
-      metaDataLocation: new URL(links.metadata, url)
+      isContainer: ['Container', 'BasicContainer', 'DirectContainer', 'IndirectContainer']
+        .some(t => types.indexOf(Prefixes.ldp + t) !== -1),
+      isMetaData: !!metadata && metadata.target.href === resolved.href,
+      metaDataLocation: metadata ? metadata.target : null,
+      etag: resp.headers.get('etag'),
+      lastModified: resp.headers.get('last-modified') ? new Date(resp.headers.get('last-modified')) : null,
+      mediaType: (resp.headers.get('content-type') || '').split(/ *; */)[0] || null
     };
   }
 
@@ -135,32 +148,67 @@ class LdpProxy {
   /** readContainer:RDFJS Store - Read body of Container.
    * @returns: body parsed as RDF
    * @param prefixes: where to capures prefixes from parsing
+   * @param options.members: whether to include the Container's ldp:contains arcs
    * @throws:
    *   resource does not exist
    *   parser failures
    */
-  async readContainer (url, prefixes) {
-    Details('readContainer(<%s>, %s)', url.pathname, JSON.stringify(prefixes))
+  async readContainer (url, prefixes, { members = true } = {}) {
+    Details('readContainer(<%s>, %s, {members: %s})', url.pathname, JSON.stringify(prefixes), members)
     const resp = await this.fetch(new URL(url, this.ldpServer));
+    this.locks.observe(new URL(url, this.ldpServer), resp.headers.get('etag'));
     const text = await resp.text();
-    return this._rdfInterface.parseTurtle(text, url, prefixes);
+    const graph = await this._rdfInterface.parseTurtle(text, url, prefixes);
+    return members
+      ? graph
+      : MembershipLog.split(url, graph)[0];
   }
 
   /** writeContainer:undefined - Read body of Container.
    * @param graph: data to be written
    * @param prefixes: prefixes to be used in serialization
+   * @param options.members: ignored; the server maintains containment triples
    * @throws:
    *   resource does not exist
    *   serializer failures
    */
-  async writeContainer (url, graph, prefixes) {
+  async writeContainer (url, graph, prefixes, options = {}) {
     Details('writeContainer(<%s>, n3.Store() with %d quads, %s)', url.pathname, graph.size, JSON.stringify(prefixes))
-    const body = await this._rdfInterface.serializeTurtle(graph, url, prefixes);
-    return await this.fetch(new URL(url, this.ldpServer), {
+    const body = await this._rdfInterface.serializeTurtle(MembershipLog.split(url, graph)[0], url, prefixes);
+    const resp = await this.fetch(new URL(url, this.ldpServer), {
       method: 'PUT',
-      headers: {'content-type': 'text/turtle'},
+      headers: Object.assign({'content-type': 'text/turtle'}, this.locks.preconditions(new URL(url, this.ldpServer))),
       body
     });
+    if (resp.status === 412)
+      throw conflictError(url, resp);
+    return resp;
+  }
+
+  /** readMembers:AsyncIterable<URL> - List a Container's members, following the server's Link rel="next" pages.
+   * @throws:
+   *   resource does not exist
+   *   parser failures
+   */
+  async * readMembers (url) {
+    Details('readMembers(<%s>)', url.pathname);
+    const containerUrl = new URL(url, this.ldpServer);
+    for (let page = containerUrl; page; ) {
+      const resp = await this.fetch(page);
+      if (!resp.ok)
+        throw Error(`failed to read members of <${url.href}> from <${page.href}>: ${resp.status}`);
+      const graph = await this._rdfInterface.parseTurtle(await resp.text(), page, {});
+      for (const member of MembershipLog.split(containerUrl, graph)[1])
+        yield new URL(member);
+      const next = LinkHeader.parse(resp.headers.get('link'), page).first('next');
+      page = next ? next.target : null;
+    }
+  }
+
+  /** updateMembers:undefined - Nothing to do; the server maintains containment triples.
+   */
+  async updateMembers (url, added, removed = []) {
+    Details('updateMembers(<%s>, %d added, %d removed) left to the server', url.pathname, added.length, removed.length);
   }
 
   /** inventContainer:[URL, Store] - create a new ldp:Resource
@@ -173,6 +221,7 @@ class LdpProxy {
    */
   async inventContainer (parentUrl, requestedName, title, prefixes = {}) {
     Details('inventContainer(<%s>, "%s", "${title}", %s)', parentUrl.pathname, requestedName, JSON.stringify(prefixes));
+    // No lock needed; the server picks a unique name.
     const reqOpts = {
       method: 'POST',
       headers: {
@@ -227,6 +276,7 @@ class LdpProxy {
   /** ensureContainer:object - Make Container with invented contents if it doesn't already exist.
    * @param prefixes: prefixes helpful for serialization.
    * @param title: dc:title property to add to invented contents.
+   * @param options: passed to readContainer()
    * @returns: [
    *   boolean - whether Container is new (didn't exist),
    *   RDFJS Store - data either read from Container or written to Container
@@ -235,7 +285,7 @@ class LdpProxy {
    *   resource does not exist
    *   serializer failures
    */
-  async ensureContainer (url, prefixes, title) {
+  async ensureContainer (url, prefixes, title, options = {}) {
     const funcDetails = Details.extend(`ensureContainer(<${url.pathname}>, ${JSON.stringify(prefixes)}, "title")`);
     const _LdpProxy = this;
     const dummy = new URL('.DUMMY', new URL(url, this.ldpServer));
@@ -245,7 +295,7 @@ class LdpProxy {
       body: '<#I> <#shouldNot> <#exist>.'
     });
     await this.remove(dummy);
-    return [true, await this.readContainer(url, prefixes)];
+    return [true, await this.readContainer(url, prefixes, options)];
   }
 
   /** readMetaData:RDFJS Store - Read metadata resoure.
@@ -258,6 +308,7 @@ class LdpProxy {
     Details('readMetaData(<%s>, %s)', url.pathname, JSON.stringify(prefixes));
     const rstat = await this.rstat(url);
     const resp = await this.fetch(rstat.metaDataLocation);
+    this.locks.observe(rstat.metaDataLocation, resp.headers.get('etag'));
     let text = await resp.text();
     if (!resp.ok)
       throw Error(`failed to fetch metadata for ${url.href}`);
@@ -277,13 +328,28 @@ class LdpProxy {
     const rstat = await this.rstat(url);
     const resp = await this.fetch(rstat.metaDataLocation, {
       method: 'PUT',
-      headers: {'content-type': 'text/turtle'},
+      headers: Object.assign({'content-type': 'text/turtle'}, this.locks.preconditions(rstat.metaDataLocation)),
       body
     });
+    if (resp.status === 412)
+      throw conflictError(rstat.metaDataLocation, resp);
     if (!resp.ok)
       throw Error(`Failed to write metadata graph of ${graph.size} quads to <${url.href}>.`);
   }
 
+  /** removeMetaData:undefined - Delete a metadata resource.
+   * @throws: resource does not exist (LDP servers remove metadata with the resource)
+   */
+  async removeMetaData (url) {
+    Details('removeMetaData(<%s>)', url.pathname);
+    const rstat = await this.rstat(url);
+    const resp = await this.fetch(rstat.metaDataLocation, {
+      method: 'DELETE'
+    });
+    if (!resp.ok && resp.status !== 404)
+      throw Error(`Failed to remove metadata of <${url.href}>.`);
+  }
+
   /** getMetaDataFilePath:string - Get the metaData Resource path for a given Container. @@ return a URL
    */
   async getMetaDataFilePath (url) {
@@ -292,30 +358,4 @@ class LdpProxy {
   }
 }
 
-/* !! redundant against test-suite/servers/LDP.js
- * returns e.g. {"type": "http://...#Container", "rel": "..."}
- */
-function parseLinks (resp) {
-  const linkHeader = resp.headers.get('link');
-  if (!linkHeader) return {};
-  const components = linkHeader.split(/<(.*?)> *; *rel *= *"(.*?)" *,? */);
-  components.shift(); // remove empty match before pattern captures.
-  const ret = {  };
-  for (i = 0; i < components.length; i+=3)
-    ret[components[i+1]] = components[i];
-  return ret
-  /* functional equivalent is tedious to maintain:
-  return linkHeader.split(/(?:<(.*?)> *; *rel *= *"(.*?)" *,? *)/).filter(s => s).reduce(
-    (acc, elt) => {
-      if (acc.val) {
-        acc.map[elt] = acc.val;
-        return {map: acc.map, val: null};
-      } else {
-        return {map: acc.map, val: elt}
-      }
-    }, {map:{}, val:null}
-  ).map
-  */
-}
-
 module.exports = LdpProxy;
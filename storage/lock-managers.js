@@ -0,0 +1,291 @@
+/** Serialize read-modify-write cycles on stored resources
+ * @module LockManagers
+ *
+ * Each Storage has a lock manager in storage.locks with one method:
+ *   withLock(url, f) - run async f() with exclusive access to url
+ * f may be called more than once (optimistic managers retry it after a
+ * conflict) so it should (re-)read whatever it modifies.
+ * Locks may be nested, e.g. a request handler holding a Container's lock while
+ * the storage locks it again to add a member; a withLock for a URL which the
+ * calling async context already holds runs f without waiting. Nested locks
+ * should be taken in Container-before-member order so holders can't deadlock.
+ *
+ * This library provides:
+ * * MutexLockManager - in-process locks, for storages which aren't shared.
+ * * FileLockManager - lockfiles, for processes sharing a filesystem.
+ * * ETagLockManager - If-Match preconditions, for LDP servers.
+ */
+
+const Crypto = require('crypto');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const Log = require('debug')('								locks');
+const Details = Log.extend('details');
+const Errors = require('../lib/rdf-errors');
+const Mutex = require('../lib/mutex');
+
+/** MutexLockManager - one Mutex per locked URL
+ */
+class MutexLockManager {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeout] - milliseconds to wait for a lock; default: Infinity
+   */
+  constructor ({ timeout = Infinity } = {}) {
+    this.timeout = timeout;
+    this._mutexes = new Map(); // hash[href, Mutex]
+    this._held = new HeldLocks();
+  }
+
+  async withLock (url, f) {
+    if (this._held.has(url))
+      return f();
+    if (!this._mutexes.has(url.href))
+      this._mutexes.set(url.href, new Mutex(url.href, { timeout: this.timeout }));
+    const mutex = this._mutexes.get(url.href);
+    try {
+      return await mutex.withLock(() => this._held.run(url, f), { holder: 'withLock' });
+    } finally {
+      if (mutex.idle)
+        this._mutexes.delete(url.href);
+    }
+  }
+
+  /** describe:object[] - Mutex.describe() for each URL that's locked or waited for
+   */
+  describe () {
+    return Array.from(this._mutexes.values()).map(mutex => mutex.describe());
+  }
+}
+
+/** FileLockManager - lockfiles created with O_EXCL
+ * A lockfile records its holder's host, pid and acquisition time, and its
+ * holder touches it every staleAfter/3 while it works. It's stale if its
+ * holder was on this host and has exited, or if it hasn't been touched for
+ * staleAfter. A stale lock is taken over by renaming it to a name no-one
+ * else uses; only the process whose rename moved the stale lock removes it,
+ * so two waiters can't both take it over.
+ */
+class FileLockManager {
+  /**
+   * @param {function} pathFor - filesystem path of the lockfile for a URL; missing directories are created
+   * @param {object} [options]
+   * @param {number} [options.timeout] - milliseconds to wait for a lock
+   * @param {number} [options.staleAfter] - milliseconds after which an untouched lock is presumed abandoned
+   */
+  constructor (pathFor, { timeout = 10 * 1000, staleAfter = 30 * 1000 } = {}) {
+    this._pathFor = pathFor;
+    this.timeout = timeout;
+    this.staleAfter = staleAfter;
+    this._mutexes = new MutexLockManager({ timeout }); // so this process doesn't poll against itself
+    this._held = new HeldLocks();
+  }
+
+  async withLock (url, f) {
+    if (this._held.has(url))
+      return f();
+    return this._mutexes.withLock(url, async () => {
+      const path = this._pathFor(url);
+      const token = await this._acquire(url, path);
+      const heartbeat = setInterval(() => this._refresh(path, token), this.staleAfter / 3);
+      heartbeat.unref();
+      try {
+        return await this._held.run(url, f);
+      } finally {
+        clearInterval(heartbeat);
+        await this._release(path, token);
+      }
+    });
+  }
+
+  /* private: create lockfile at path, waiting for other holders.
+   * @returns: token identifying this acquisition
+   */
+  async _acquire (url, path) {
+    const token = JSON.stringify({ host: Os.hostname(), pid: process.pid, acquired: Date.now(), nonce: Crypto.randomBytes(8).toString('hex') });
+    const started = Date.now();
+    for (let delay = 10; ; delay = Math.min(delay * 2, 250)) {
+      try {
+        await Fs.promises.writeFile(path, token, { flag: 'wx' });
+        Details('locked %s', path);
+        return token;
+      } catch (e) {
+        if (e.code === 'ENOENT') {
+          await Fs.promises.mkdir(Path.dirname(path), { recursive: true });
+          continue;
+        }
+        if (e.code !== 'EEXIST')
+          throw e;
+      }
+      const holder = await Fs.promises.readFile(path, 'utf8').catch(e => null);
+      const stat = await Fs.promises.stat(path).catch(e => null);
+      if (holder !== null && stat !== null && this._isStale(holder, stat)) {
+        if (await this._takeOver(path, holder, token))
+          Log('removed stale lock %s held by %s', path, holder);
+        continue;
+      }
+      if (Date.now() - started > this.timeout)
+        throw new Errors.LockTimeoutError(url.href, `waited ${this.timeout}ms for lock held by ${holder}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /* private: remove the stale lockfile at path if it still holds holder.
+   * @returns: whether this call removed it
+   */
+  async _takeOver (path, holder, token) {
+    const moved = `${path}.${JSON.parse(token).nonce}.stale`;
+    try {
+      await Fs.promises.rename(path, moved);
+    } catch (e) {
+      if (e.code === 'ENOENT')
+        return false; // someone else took it over
+      throw e;
+    }
+    const removed = await Fs.promises.readFile(moved, 'utf8');
+    if (removed !== holder) {
+      // Another waiter took the stale lock over and locked it again first; put theirs back.
+      await Fs.promises.link(moved, path).catch(e => Log('lost lock %s held by %s when taking over %s', path, removed, holder));
+    }
+    await Fs.promises.unlink(moved);
+    return removed === holder;
+  }
+
+  /* private: touch lockfile at path so it's not taken for stale while we hold it.
+   */
+  async _refresh (path, token) {
+    try {
+      if (await Fs.promises.readFile(path, 'utf8') === token) {
+        const now = new Date();
+        await Fs.promises.utimes(path, now, now);
+      }
+    } catch (e) {
+      Log('failed to refresh lock %s: %s', path, e.message);
+    }
+  }
+
+  /* private: remove lockfile at path unless it was declared stale and taken by someone else.
+   */
+  async _release (path, token) {
+    const holder = await Fs.promises.readFile(path, 'utf8').catch(e => null);
+    if (holder === token) {
+      await Fs.promises.unlink(path).catch(e => null);
+      Details('unlocked %s', path);
+    } else {
+      Log('lost lock %s to %s', path, holder);
+    }
+  }
+
+  _isStale (holder, stat) {
+    let parsed;
+    try {
+      parsed = JSON.parse(holder);
+    } catch (e) {
+      return false; // probably still being written
+    }
+    if (Date.now() - stat.mtimeMs > this.staleAfter)
+      return true;
+    if (parsed.host !== Os.hostname() || parsed.pid === process.pid)
+      return false;
+    return !isLiveProcess(parsed.pid);
+  }
+}
+
+/** ETagLockManager - optimistic concurrency with If-Match
+ * Within withLock, the storage reports the ETags it reads with observe() and
+ * sends preconditions() with its writes. A write which fails its precondition
+ * throws an error with code "ECONFLICT", after which f is retried.
+ */
+class ETagLockManager {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.retries] - attempts after the first before giving up
+   */
+  constructor ({ retries = 5 } = {}) {
+    this.retries = retries;
+    this._etags = new AsyncLocalStorage(); // hash[href, ETag] for the current attempt
+  }
+
+  async withLock (url, f) {
+    for (let attempt = 0; attempt <= this.retries; ++attempt) {
+      try {
+        return await this._etags.run(new Map(), f);
+      } catch (e) {
+        if (e.code !== 'ECONFLICT')
+          throw e;
+        Log('retrying update of <%s> after %s', url.href, e.message);
+      }
+    }
+    throw new Errors.LockTimeoutError(url.href, `still conflicting after ${this.retries} retries`);
+  }
+
+  /** observe:undefined - record the ETag of a representation read within withLock
+   */
+  observe (url, etag) {
+    const etags = this._etags.getStore();
+    if (etags && etag)
+      etags.set(url.href, etag);
+  }
+
+  /** preconditions:object - request headers for writing url
+   */
+  preconditions (url) {
+    const etags = this._etags.getStore();
+    return etags && etags.has(url.href)
+      ? { 'if-match': etags.get(url.href) }
+      : {};
+  }
+}
+
+/* HeldLocks - the URLs locked by the current async context, so nested withLocks don't wait for themselves
+ */
+class HeldLocks {
+  constructor () {
+    this._held = new AsyncLocalStorage(); // Set[href]
+  }
+
+  has (url) {
+    const held = this._held.getStore();
+    return !!held && held.has(url.href);
+  }
+
+  /* run f() in a context which also holds url
+   */
+  run (url, f) {
+    return this._held.run(new Set(this._held.getStore()).add(url.href), f);
+  }
+}
+
+/** isLiveProcess - whether process pid on this host exists
+ */
+function isLiveProcess (pid) {
+  try {
+    process.kill(pid, 0); // signal 0 only checks that the process exists
+    return true;
+  } catch (e) {
+    return e.code !== 'ESRCH'; // EPERM: it exists but belongs to someone else
+  }
+}
+
+/** conflictError - simulate an fs error for a failed precondition
+ */
+function conflictError (url, resp) {
+  const e = Error(`ECONFLICT: ${resp.status} ${resp.statusText}, write '${url}'`);
+  Object.assign(e, {
+    code: 'ECONFLICT',
+    syscall: 'write',
+    path: url
+  });
+  return e;
+}
+
+const LockManagers = {
+  MutexLockManager,
+  FileLockManager,
+  ETagLockManager,
+  conflictError,
+  isLiveProcess,
+};
+module.exports = LockManagers;
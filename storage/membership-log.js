@@ -0,0 +1,152 @@
+/** Keep Containers' ldp:contains arcs in an append-only log
+ * @module MembershipLog
+ *
+ * Storages keep changes to a Container's own ldp:contains arcs out of its body
+ * so that adding or removing a member appends a line rather than re-serializing
+ * every member. Each line is "+" (added) or "-" (removed) followed by the
+ * member's name relative to the Container, or its URL if it isn't in the
+ * Container. Replaying the log after the members listed with the body gives
+ * the members in the order they were added. Once a log has grown well past
+ * what it would be compacted into, storages fold it into that list (see
+ * compact and materialize) so reading members costs O(members) rather than
+ * O(history).
+ *
+ * Storages whose indexes are served as they are keep the list in the index,
+ * after the body (see materialize), so the index lists every member as of the
+ * last compaction.
+ */
+
+const N3 = require('n3');
+const { namedNode } = N3.DataFactory;
+const Prefixes = require('../lib/prefixes');
+
+const Contains = namedNode(Prefixes.ldp + 'contains');
+
+/** split:[N3.Store, string[]] - separate a Container's members from the rest of its graph
+ * @param url:URL - Container
+ * @param graph:RDFJS Store - Container graph; not modified
+ * @returns: [graph without url's ldp:contains arcs, member URLs (strings) in graph order]
+ */
+function split (url, graph) {
+  const arcs = graph.getQuads(namedNode(url.href), Contains, null);
+  const index = new N3.Store(graph.getQuads());
+  index.removeQuads(arcs);
+  return [index, arcs.map(q => q.object.value)];
+}
+
+/** join:RDFJS Store - add ldp:contains arcs for members to graph
+ * @param url:URL - Container
+ * @param graph:RDFJS Store - Container graph to modify
+ * @param members:string[] - member URLs
+ * @returns: graph
+ */
+function join (url, graph, members) {
+  for (const member of members)
+    graph.addQuad(namedNode(url.href), Contains, namedNode(member));
+  return graph;
+}
+
+/** format:string - log lines recording a change in membership
+ * @param url:URL - Container
+ * @param added:(URL|string)[] - new members
+ * @param removed:(URL|string)[] - former members
+ */
+function format (url, added, removed = []) {
+  const line = (op, member) => op + relative(url, member.href || member) + '\n';
+  return removed.map(m => line('-', m)).join('') + added.map(m => line('+', m)).join('');
+}
+
+/** replay:string[] - apply a log to a list of members
+ * @param url:URL - Container
+ * @param members:string[] - members before the log, e.g. from split()
+ * @param text:string - log contents
+ * @returns: member URLs (strings) in order of addition
+ */
+function replay (url, members, text) {
+  const ret = new Set(members);
+  for (const line of text.split('\n')) {
+    if (!line)
+      continue;
+    const member = new URL(line.substr(1), url).href;
+    ret.delete(member); // re-adding moves a member to the end
+    if (line[0] === '+')
+      ret.add(member);
+  }
+  return Array.from(ret);
+}
+
+/** compact:string - a log giving the same members as listed followed by text
+ * @param url:URL - Container
+ * @param listed:string[] - members before the log, e.g. from split()
+ * @param text:string - log contents
+ * @returns: "-" lines for listed members since removed, then a "+" line per member
+ */
+function compact (url, listed, text) {
+  const members = replay(url, listed, text);
+  return format(url, members, listed.filter(m => members.indexOf(m) === -1));
+}
+
+/** shouldCompact:boolean - whether a log has outgrown what it would be compacted into
+ * @param size:number - current length of the log
+ * @param compacted:number - length of what it would be compacted into, e.g. the log
+ *   after its last compaction or an index listing the members
+ */
+function shouldCompact (size, compacted) {
+  return size > 2 * compacted + CompactionSlack;
+}
+const CompactionSlack = 4096; // so small logs aren't rewritten on every change
+
+/** materialize:string - an index: a Container's body followed by its members
+ * Members follow a marker line, one per line, so storages can separate them
+ * from the body without parsing either.
+ * @param url:URL - Container
+ * @param body:string - Turtle body without url's ldp:contains arcs
+ * @param members:string[] - member URLs
+ */
+function materialize (url, body, members) {
+  if (members.length === 0)
+    return body;
+  return body.replace(/\n*$/, '\n\n') + Materialized + '\n'
+    + `<> <${Contains.value}>\n`
+    + members.map((member, i) => `  <${relative(url, member)}>${i === members.length - 1 ? '.' : ','}\n`).join('');
+}
+const Materialized = '# ldp:contains as of the last compaction of this Container\'s membership log';
+
+/** unmaterialize:[string, string[]] - separate an index written by materialize
+ * @param url:URL - Container
+ * @param text:string - index contents
+ * @returns: [body, member URLs (strings) in order]; indexes without members are all body
+ */
+function unmaterialize (url, text) {
+  const at = text.indexOf('\n' + Materialized + '\n');
+  if (at === -1)
+    return [text, []];
+  const members = [];
+  for (const line of text.substr(at + Materialized.length + 2).split('\n')) {
+    const m = line.match(/^ +<(.*)>[,.]$/);
+    if (m)
+      members.push(new URL(m[1], url).href);
+  }
+  return [text.substr(0, at + 1), members];
+}
+
+/* member's name relative to url if it's in url, e.g. "bob.ttl" or "notes/"
+ */
+function relative (url, member) {
+  if (!member.startsWith(url.href))
+    return member;
+  const name = member.substr(url.href.length);
+  return name.match(/^[^/]*:/) ? './' + name : name; // so "a:b" isn't read as a URL
+}
+
+const MembershipLog = {
+  split,
+  join,
+  format,
+  replay,
+  compact,
+  shouldCompact,
+  materialize,
+  unmaterialize,
+};
+module.exports = MembershipLog;
@@ -0,0 +1,381 @@
+/** Store LDPRs and LDPCs in memory, e.g. for browsers or unit tests
+ * @module MemoryStorage
+ * @implements Storage
+ */
+
+const Log = require('debug')('								MemoryStorage');
+const Details = Log.extend('details');
+const { MutexLockManager } = require('./lock-managers');
+const { entityTag } = require('../lib/preconditions');
+const MembershipLog = require('./membership-log');
+const CfgKeys = ['metaDataSuffix'];
+
+class MemoryStorage {
+  constructor (config, rdfInterface) {
+    // Unlike the other storages, every MemoryStorage is independent.
+    if (typeof config !== 'object' || CfgKeys.find(k => !(k in config)))
+      throw Error(`usage: MemoryStorage({${CfgKeys.map(k => `${k}: ...`).join(', ')}}, rdf-serializer)`);
+    this.metaDataSuffix = config.metaDataSuffix;
+    this._rdfInterface = rdfInterface;
+    this._entries = new Map(); // hash[pathname, {isContainer, body, members, modified}]
+    this._entries.set('/', { isContainer: true, body: null, members: '', compacted: 0 }); // like an empty document root
+    this.locks = new MutexLockManager(); // nothing outside this process can see _entries
+    MemoryStorage._count = (MemoryStorage._count || 0) + 1;
+    this._hashCode = `MemoryStorage(${MemoryStorage._count})`; // identifies this instance
+  }
+
+  hashCode () { return this._hashCode; }
+
+  // Status
+
+  /** rstat:object - Describe existing resource.
+   * @returns: {
+   *   isContainer - whether the resource is a Container
+   *   etag - strong ETag of the contents (Container body and members for Containers), or null
+   *   lastModified - Date the contents last changed, or null
+   * }
+   * @throws: resource does not exist
+   * to test for existance, use
+   *     rstat(myUrl).then(stat => true, e => false)
+   */
+  async rstat (url) {
+    Details('rstat(<%s>)', url.pathname);
+    if (url.pathname.endsWith(this.metaDataSuffix)) {
+      const origUrl = new URL(url.href.substr(0, url.href.length - this.metaDataSuffix.length), url);
+      this._get(origUrl, 'lstat');
+      const md = this._entries.get(url.pathname);
+      return Object.assign({
+        isContainer: false,
+        isMetaData: true,
+        metaDataLocation: url,
+        size: md ? md.body.length : 0
+      }, version(md));
+    } else {
+      const entry = this._get(url, 'lstat');
+      return Object.assign({
+        isContainer: entry.isContainer,
+        isMetaData: false,
+        metaDataLocation: new URL(await this.getMetaDataFilePath(url), url),
+        size: entry.body ? entry.body.length : 0
+      }, version(entry));
+    }
+  }
+
+
+  // R/W/D Resources
+
+  /** read:string|Buffer - Read contents of resource.
+   * @param encoding: null to read bytes, e.g. of a NonRDFSource
+   * @returns: contents
+   * @throws: resource does not exist
+   */
+  async read (url, encoding = 'utf8') {
+    Details('read(<%s>)', url.pathname);
+    const entry = this._get(url, 'open');
+    if (entry.isContainer)
+      throw fsError('EISDIR', 'illegal operation on a directory', 'read', url.pathname);
+    if (encoding === null)
+      return Buffer.from(entry.body);
+    return typeof entry.body === 'string' ? entry.body : entry.body.toString(encoding);
+  }
+
+  /** write:undefined - Write contents to resource.
+   * @param body: contents to be written; a Buffer is stored as is
+   * @throws: parent Container does not exist
+   */
+  async write (url, body) {
+    Details('write(<%s>, "%s...")', url.pathname, String(body.slice(0, 60)).replace(/\n/g, '\\n'));
+    this._getParent(url, 'open');
+    this._entries.set(url.pathname, { isContainer: false, body, modified: Date.now() });
+  }
+
+  /** invent:[URL, undefined] - create a new ldp:Resource
+   * @param parentUrl:URL - URL of parent Container
+   * @param requestedName:string - suggested name for created Container
+   * @param body:string - contents of Resource
+   * @param mediaType:string - media type of Resource
+   * @returns: [newly-minuted name, undefined]
+   */
+  async invent (parentUrl, requestedName, body, mediaType) {
+    Details('invent(<%s>, "%s", %d characters, "")', parentUrl.pathname, requestedName, body.length, mediaType);
+    return this.locks.withLock(parentUrl, () => this._firstAvailable(
+      parentUrl, requestedName, 'Resource',
+      url => this.write(url, body)
+    ));
+  }
+
+  /** remove:undefined - Delete resource.
+   * @throws: resource does not exist
+   */
+  async remove (url) {
+    Details('remove(<%s>)', url.pathname);
+    this._get(url, 'unlink');
+    this._entries.delete(url.pathname);
+  }
+
+  // R/W/D Containers
+
+  /** readContainer:RDFJS Store - Read body of Container.
+   * @returns: body parsed as RDF
+   * @param prefixes: where to capures prefixes from parsing
+   * @param options.members: whether to include the Container's ldp:contains arcs
+   * @throws:
+   *   resource does not exist
+   *   parser failures
+   */
+  async readContainer (url, prefixes, { members = true } = {}) {
+    Details('readContainer(<%s>, %s, {members: %s})', url.pathname, JSON.stringify(prefixes), members)
+    const [entry, index, listed] = await this._readIndex(url, prefixes);
+    return members
+      ? MembershipLog.join(url, index, MembershipLog.replay(url, listed, entry.members))
+      : index;
+  }
+
+  /** writeContainer:undefined - Read body of Container.
+   * @param graph: data to be written
+   * @param prefixes: prefixes to be used in serialization
+   * @param options.members: whether graph's ldp:contains arcs replace the Container's members
+   * @throws:
+   *   resource does not exist
+   *   serializer failures
+   */
+  async writeContainer (url, graph, prefixes, { members = true } = {}) {
+    Details('writeContainer(<%s>, n3.Store() with %d quads, %s, {members: %s})', url.pathname, graph.size, JSON.stringify(prefixes), members)
+    const entry = this._get(url, 'open');
+    const [index, listed] = MembershipLog.split(url, graph);
+    if (members) {
+      entry.members = MembershipLog.format(url, listed);
+      entry.compacted = entry.members.length;
+    }
+    entry.body = await this._rdfInterface.serializeTurtle(index, url, prefixes);
+    entry.modified = Date.now();
+  }
+
+  /** readMembers:AsyncIterable<URL> - List a Container's members in the order they were added.
+   * Members are known only once the whole log has been replayed; compaction
+   * in updateMembers keeps that proportional to the number of members.
+   * @throws:
+   *   resource does not exist
+   *   parser failures
+   */
+  async * readMembers (url) {
+    Details('readMembers(<%s>)', url.pathname);
+    const [entry, _, listed] = await this._readIndex(url, {});
+    for (const member of MembershipLog.replay(url, listed, entry.members))
+      yield new URL(member);
+  }
+
+  /** updateMembers:undefined - Add and remove Container members without rewriting the Container.
+   * @param added:URL[] - new members
+   * @param removed:URL[] - former members
+   * @throws:
+   *   resource does not exist
+   */
+  async updateMembers (url, added, removed = []) {
+    Details('updateMembers(<%s>, %d added, %d removed)', url.pathname, added.length, removed.length);
+    const entry = this._get(url, 'open');
+    if (added.length + removed.length === 0)
+      return;
+    entry.members += MembershipLog.format(url, added, removed);
+    entry.modified = Date.now();
+    if (MembershipLog.shouldCompact(entry.members.length, entry.compacted)) {
+      const [_, __, listed] = await this._readIndex(url, {}).catch(e => [null, null, []]);
+      entry.members = MembershipLog.compact(url, listed, entry.members);
+      entry.compacted = entry.members.length;
+    }
+  }
+
+  /* private: [entry, body graph without its members, members listed in it]
+   */
+  async _readIndex (url, prefixes) {
+    const entry = this._get(url, 'open');
+    if (!entry.isContainer || entry.body === null)
+      throw fsError('ENOENT', 'no such file or directory', 'open', url.pathname);
+    return [entry, ...MembershipLog.split(url, await this._rdfInterface.parseTurtle(entry.body, url, prefixes))];
+  }
+
+  /** inventContainer:[URL, Store] - create a new ldp:Resource
+   * @param parentUrl:URL - URL of parent Container
+   * @param requestedName:string - suggested name for created Container
+   *   requestedName is expected to include a trailing '/'
+   * @param title:string - suggsted title for created Container
+   * @param prefixes:object - where to place prefixes parsed from Container body
+   * @returns: [newly-minuted URL, Container graph]
+   */
+  async inventContainer (parentUrl, requestedName, title, prefixes = {}) {
+    Details('inventContainer(<%s>, "%s", "${title}", %s)', parentUrl.pathname, requestedName, JSON.stringify(prefixes));
+    return this.locks.withLock(parentUrl, () => this._firstAvailable(
+      parentUrl, requestedName, 'Container',
+      async url => (await this.ensureContainer(url, prefixes, title))[1] // just the Container graph.
+    ));
+  }
+
+  /** remove:undefined - Recursively remove a Container.
+   * @throws: resource does not exist
+   */
+  async removeContainer (url) {
+    Details('removeContainer(<%s>)', url.pathname);
+    this._get(url, 'rmdir');
+    for (const path of Array.from(this._entries.keys()))
+      if (path.startsWith(url.pathname))
+        this._entries.delete(path);
+  }
+
+
+  /** ensureContainer:object - Make Container with invented contents if it doesn't already exist.
+   * @param prefixes: prefixes helpful for serialization.
+   * @param title: dc:title property to add to invented contents.
+   * @param options: passed to readContainer()
+   * @returns: [
+   *   boolean - whether Container is new (didn't exist),
+   *   RDFJS Store - data either read from Container or written to Container
+   * ]
+   * @throws:
+   *   parent Container does not exist
+   *   serializer failures
+   */
+  async ensureContainer (url, prefixes, title, options = {}) {
+    const funcDetails = Details.extend(`ensureContainer(<${url.pathname}>, ${JSON.stringify(prefixes)}, "title")`);
+    funcDetails('');
+    const entry = this._entries.get(url.pathname);
+    if (entry && entry.body !== null) {
+      funcDetails('this.readContainer(<%s>, %s)', url.pathname, JSON.stringify(prefixes));
+      return [false, await this.readContainer(url, prefixes, options)];
+    }
+    if (!entry) {
+      this._getParent(url, 'mkdir');
+      this._entries.set(url.pathname, { isContainer: true, body: null, members: '', compacted: 0 });
+    }
+    const body = `
+@prefix dcterms: <http://purl.org/dc/terms/>.
+@prefix ldp: <http://www.w3.org/ns/ldp#>.
+
+<> a ldp:BasicContainer;
+   dcterms:title "${title}".
+`;
+    const graph = await this._rdfInterface.parseTurtle(body, url, prefixes);
+    funcDetails('writeContainer(<%s>, n3.Store() with %d quads, %s)', url.pathname, graph.size, JSON.stringify(prefixes));
+    await this.writeContainer(url, graph, prefixes, { members: false }); // keep any members already logged
+    return [true, graph];
+  }
+
+  /** readMetaData:RDFJS Store - Read metadata resoure.
+   * @returns: body parsed as RDF or empty store if non-existent
+   * @param prefixes: where to capure prefixes from parsing
+   * @throws:
+   *   parser failures
+   */
+  async readMetaData (url, prefixes) {
+    Details('readMetaData(<%s>, %s)', url.pathname, JSON.stringify(prefixes))
+    const md = this._entries.get(await this.getMetaDataFilePath(url));
+    return this._rdfInterface.parseTurtle(md ? md.body : '', url, prefixes);
+  }
+
+  /** writeMetaData:undefined - Write a metadata resource.
+   * @param graph: (meta)data to be written
+   * @param prefixes: prefixes to be used in serialization
+   * @throws:
+   *   parent Container does not exist
+   *   serializer failures
+   */
+  async writeMetaData (url, graph, prefixes) {
+    Details('writeMetaData(<%s>, n3.Store() with %d quads, %s)', url.pathname, graph.size, JSON.stringify(prefixes))
+    const mdUrl = new URL(await this.getMetaDataFilePath(url), url);
+    this._getParent(mdUrl, 'open');
+    const body = await this._rdfInterface.serializeTurtle(graph, mdUrl, prefixes);
+    this._entries.set(mdUrl.pathname, { isContainer: false, body, modified: Date.now() });
+  }
+
+  /** removeMetaData:undefined - Delete a metadata resource.
+   * @throws: metadata resource does not exist
+   */
+  async removeMetaData (url) {
+    Details('removeMetaData(<%s>)', url.pathname);
+    return this.remove(new URL(await this.getMetaDataFilePath(url), url));
+  }
+
+  /** getMetaDataFilePath:string - Get the metaData Resource path for a given Container. @@ return a URL
+   */
+  async getMetaDataFilePath (url) {
+    return Promise.resolve(
+      url.pathname.endsWith(this.metaDataSuffix)
+        ? url.pathname
+        : url.pathname + this.metaDataSuffix
+    );
+  }
+
+  // Snapshots
+
+  /** snapshot:object - Capture the current contents of this storage.
+   * @returns: opaque, JSON-serializable image to pass to restore()
+   */
+  snapshot () {
+    return Array.from(this._entries).map(([path, entry]) => [path, Object.assign({}, entry)]);
+  }
+
+  /** restore:undefined - Replace the contents of this storage with a snapshot.
+   * @param image: value returned by snapshot()
+   */
+  restore (image) {
+    this._entries = new Map(image.map(([path, entry]) => [path, Object.assign({}, entry)]));
+  }
+
+  /* private: get an existing entry or throw like fs would
+   */
+  _get (url, syscall) {
+    const entry = this._entries.get(url.pathname);
+    if (!entry)
+      throw fsError('ENOENT', 'no such file or directory', syscall, url.pathname);
+    return entry;
+  }
+
+  /* private: get the Container which would hold url or throw like fs would
+   */
+  _getParent (url, syscall) {
+    const parent = this._entries.get(new URL(url.pathname.endsWith('/') ? '..' : '.', url).pathname);
+    if (!parent || !parent.isContainer)
+      throw fsError('ENOENT', 'no such file or directory', syscall, url.pathname);
+    return parent;
+  }
+
+  /** firstAvailable:string|* - find a name for a new container member
+   * @returns: [name, f(new URL(name, parentUrl))]
+   */
+  async _firstAvailable (parentUrl, slug, type, f) {
+    let unique = 0;
+    let name;
+    while (this._entries.has(
+      new URL(
+        name = (slug || type) + (
+          unique > 0
+            ? '-' + unique
+            : ''
+        ) + (type === 'Container' ? '/' : ''), parentUrl).pathname
+    ))
+      ++unique;
+    return [name, await f(new URL(name, parentUrl))];
+  }
+}
+
+/* {etag, lastModified} of an entry, nulls if it has no body.
+ */
+function version (entry) {
+  return entry && entry.body !== null
+    ? { etag: entityTag(entry.body + (entry.members || '')), lastModified: new Date(entry.modified) }
+    : { etag: null, lastModified: null };
+}
+
+/* Simulate a require('fs') error.
+ */
+function fsError (code, message, syscall, path) {
+  const e = Error(`${code}: ${message}, ${syscall} '${path}'`);
+  Object.assign(e, {
+    errno: code === 'ENOENT' ? -2 : -21,
+    code,
+    syscall,
+    path
+  });
+  return e;
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { literal } = require('n3').DataFactory;
+const { makeLdp, plant, post } = require('./helpers/ldp');
+
+describe('auditInstance', () => {
+  let ldp;
+  const audit = async path => {
+    const ret = [];
+    for await (const report of ldp.ShapeTree.auditInstance(ldp.url(path)))
+      ret.push(report);
+    return ret;
+  };
+  const summarize = reports => reports.map(r => `${r.code} ${r.resource.pathname}`).sort();
+  const sneak = async (path, body) => {
+    const url = ldp.url(path);
+    await ldp.storage.write(url, body);
+    await ldp.storage.updateMembers(new URL('.', url), [url]);
+  };
+
+  beforeEach(async () => {
+    ldp = await makeLdp();
+    assert.strictEqual((await plant(ldp, 'Data/', 'app')).status, 201);
+    assert.strictEqual((await post(ldp, 'Data/app/people/', 'bob.ttl', '<#me> <http://ex.example/#name> "Bob".')).status, 201);
+  });
+  afterEach(() => ldp.close());
+
+  it('finds nothing wrong with data stored through shapeTreeFetch', async () => {
+    assert.deepStrictEqual(await audit('Data/app/'), []);
+  });
+
+  it('reports Containers which aren\'t managed', async () => {
+    assert.deepStrictEqual(summarize(await audit('Data/')), ['unmanaged /Data/']);
+  });
+
+  it('reports resources changed behind its back', async () => {
+    await ldp.storage.write(ldp.url('Data/app/people/bob.ttl'), '<#me> <http://ex.example/#age> 7.');
+    await sneak('Data/app/people/junk.txt', 'junk');
+    await sneak('Data/app/people/carol.ttl', '<#me> <http://ex.example/#name> "Carol".');
+    await ldp.storage.updateMembers(ldp.url('Data/app/people/'), [ldp.url('Data/app/people/gone.ttl')]);
+    const reports = await audit('Data/app/');
+    assert.deepStrictEqual(summarize(reports), [
+      'invalid /Data/app/people/bob.ttl',
+      'missingMember /Data/app/people/gone.ttl',
+      'missingMetaData /Data/app/people/carol.ttl',
+      'unmatchedMember /Data/app/people/junk.txt',
+    ]);
+    const invalid = reports.find(r => r.code === 'invalid');
+    assert.strictEqual(invalid.step, 'http://st.example/tree#person');
+    assert.strictEqual(invalid.error.status, 422);
+  });
+
+  it('reports missing static Containers', async () => {
+    await ldp.storage.removeContainer(ldp.url('Data/app/notes/'));
+    await ldp.storage.updateMembers(ldp.url('Data/app/'), [], [ldp.url('Data/app/notes/')]);
+    const reports = await audit('Data/app/');
+    assert.deepStrictEqual(summarize(reports), ['missingStatic /Data/app/notes/']);
+    assert.strictEqual(reports[0].step, 'http://st.example/tree#notes');
+  });
+
+  it('reports metadata which places a resource elsewhere', async () => {
+    const bob = ldp.url('Data/app/people/bob.ttl');
+    const meta = await ldp.storage.readMetaData(bob, {});
+    const [path] = meta.getQuads(null, 'http://www.w3.org/ns/shapetree#shapeTreeInstancePath', null);
+    meta.removeQuad(path);
+    meta.addQuad(path.subject, path.predicate, literal('notes/bob.ttl'));
+    await ldp.storage.writeMetaData(bob, meta, {});
+    const reports = await audit('Data/app/');
+    assert.deepStrictEqual(summarize(reports), ['inconsistentMetaData /Data/app/people/bob.ttl']);
+    assert.match(reports[0].message, /shapeTreeInstancePath/);
+  });
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const Errors = require('../lib/rdf-errors');
+const BinaryConstraints = require('../lib/binary-constraints');
+const { makeLdp, plant, members, Remote } = require('./helpers/ldp');
+
+const Url = new URL('http://localhost/x');
+const status = f => {
+  try {
+    f();
+    return null;
+  } catch (e) {
+    assert.ok(e instanceof Errors.BinaryConstraintError, e.message);
+    return e.status;
+  }
+};
+
+// ShapeTree with constrained NonRDFSources
+const Tree = `
+@prefix tree: <http://www.w3.org/ns/shapetree#>.
+@prefix ldp: <http://www.w3.org/ns/ldp#>.
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#>.
+<#root> tree:expectsType ldp:Container ; tree:contains <#photos>, <#docs> .
+<#photos> tree:expectsType ldp:Container ; rdfs:label "photos" ; tree:contains <#photo> .
+<#photo> tree:expectsType ldp:NonRDFSource ; tree:matchesUriTemplate "{name}" ;
+  tree:mediaType "image/*", "application/pdf" ; tree:maxByteSize 8 .
+<#docs> tree:expectsType ldp:Container ; rdfs:label "docs" ; tree:contains <#doc> .
+<#doc> tree:expectsType ldp:NonRDFSource ; tree:matchesUriTemplate "{name}" ; tree:requiresChecksum true .
+`;
+
+describe('BinaryConstraints', () => {
+  it('limits media types, allowing ranges', () => {
+    const step = { mediaType: ['image/*', 'application/pdf'] };
+    assert.strictEqual(status(() => BinaryConstraints.check(step, Buffer.from('x'), 'image/png', null, Url)), null);
+    assert.strictEqual(status(() => BinaryConstraints.check(step, Buffer.from('x'), 'Application/PDF; q=1', null, Url)), null);
+    assert.strictEqual(status(() => BinaryConstraints.check(step, Buffer.from('x'), 'text/plain', null, Url)), 415);
+    assert.strictEqual(status(() => BinaryConstraints.check(step, Buffer.from('x'), undefined, null, Url)), 415);
+  });
+
+  it('limits size', () => {
+    const step = { maxByteSize: 3 };
+    assert.strictEqual(status(() => BinaryConstraints.check(step, Buffer.from('abc'), 'a/b', null, Url)), null);
+    assert.strictEqual(status(() => BinaryConstraints.check(step, Buffer.from('abcd'), 'a/b', null, Url)), 413);
+  });
+
+  it('checks Content-Digests', () => {
+    const step = { requiresChecksum: true };
+    const body = Buffer.from('hello');
+    assert.strictEqual(BinaryConstraints.contentDigest(''), 'sha-256=:47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU=:');
+    assert.strictEqual(status(() => BinaryConstraints.check(step, body, 'a/b', BinaryConstraints.contentDigest(body), Url)), null);
+    assert.strictEqual(status(() => BinaryConstraints.check(step, body, 'a/b', 'md5=:x:, ' + BinaryConstraints.contentDigest(body, 'sha-512'), Url)), null);
+    assert.strictEqual(status(() => BinaryConstraints.check(step, body, 'a/b', BinaryConstraints.contentDigest('other'), Url)), 400);
+    assert.strictEqual(status(() => BinaryConstraints.check(step, body, 'a/b', 'md5=:x:', Url)), 400);
+    assert.strictEqual(status(() => BinaryConstraints.check(step, body, 'a/b', undefined, Url)), 400);
+  });
+
+  describe('in shapeTreeFetch', () => {
+    let ldp;
+    const upload = (path, slug, body, type, headers = {}) => ldp.fetch(ldp.url(path), {
+      method: 'POST',
+      headers: Object.assign({ 'content-type': type, slug, link: '<http://www.w3.org/ns/ldp#NonRDFSource>; rel="type"' }, headers),
+      body: Buffer.from(body),
+    });
+    beforeEach(async () => {
+      ldp = await makeLdp({ remote: Object.assign({ 'http://st.example/binaries': ['text/turtle', Tree] }, Remote) });
+      assert.strictEqual((await plant(ldp, 'Data/', 'app', 'http://st.example/binaries#root')).status, 201);
+    });
+    afterEach(() => ldp.close());
+
+    it('accepts NonRDFSources which meet the constraints', async () => {
+      assert.strictEqual((await upload('Data/app/photos/', 'a.png', 'PNG', 'image/png')).status, 201);
+      assert.deepStrictEqual(await members(ldp, 'Data/app/photos/'), ['/Data/app/photos/a.png']);
+    });
+
+    it('refuses other media types with 415', async () => {
+      assert.strictEqual((await upload('Data/app/photos/', 'a.txt', 'text', 'text/plain')).status, 415);
+      assert.deepStrictEqual(await members(ldp, 'Data/app/photos/'), []);
+    });
+
+    it('refuses large bodies with 413', async () => {
+      assert.strictEqual((await upload('Data/app/photos/', 'a.png', 'too many bytes', 'image/png')).status, 413);
+    });
+
+    it('refuses missing or wrong checksums with 400', async () => {
+      assert.strictEqual((await upload('Data/app/docs/', 'a', 'doc', 'text/plain')).status, 400);
+      assert.strictEqual((await upload('Data/app/docs/', 'a', 'doc', 'text/plain', { 'content-digest': BinaryConstraints.contentDigest('dog') })).status, 400);
+      assert.strictEqual((await upload('Data/app/docs/', 'a', 'doc', 'text/plain', { 'content-digest': BinaryConstraints.contentDigest('doc') })).status, 201);
+    });
+
+    it('applies to PUT', async () => {
+      const put = (body, type) => ldp.fetch(ldp.url('Data/app/photos/b.png'), {
+        method: 'PUT',
+        headers: { 'content-type': type, link: '<http://www.w3.org/ns/ldp#NonRDFSource>; rel="type"' },
+        body: Buffer.from(body),
+      });
+      assert.strictEqual((await put('GIF', 'text/plain')).status, 415);
+      assert.strictEqual((await put('GIF', 'image/gif')).status, 201);
+      assert.strictEqual((await put('much larger', 'image/gif')).status, 413);
+    });
+  });
+});
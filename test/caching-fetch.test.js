@@ -0,0 +1,110 @@
+const assert = require('assert');
+const Http = require('http');
+const RdfSerializer = require('../lib/rdf-serialization');
+const MemoryStorage = require('../storage/memory');
+const SimpleApps = require('../ecosystems/simple-apps');
+
+describe('SimpleApps.cachingFetch', () => {
+  let server, origin, requests, documents, storage;
+  const base = new URL('http://cache.example/');
+
+  function makeApps (cachePolicy) {
+    const apps = new SimpleApps(storage, null, RdfSerializer, cachePolicy);
+    apps.cacheUrl = new URL('Cache/', base);
+    return apps;
+  }
+
+  beforeEach(async () => {
+    requests = [];
+    documents = {}; // hash[path, {body, headers, status?}]
+    server = Http.createServer((req, res) => {
+      requests.push([req.url, req.headers]);
+      const doc = documents[req.url];
+      if (!doc)
+        return res.writeHead(404).end();
+      if (doc.headers.etag && req.headers['if-none-match'] === doc.headers.etag)
+        return res.writeHead(304, doc.headers).end();
+      res.writeHead(200, Object.assign({ 'content-type': 'text/turtle' }, doc.headers)).end(doc.body);
+    });
+    await new Promise(resolve => server.listen(0, 'localhost', resolve));
+    origin = `http://localhost:${server.address().port}`;
+    storage = new MemoryStorage({ metaDataSuffix: '.meta' }, RdfSerializer);
+    await storage.ensureContainer(base, {}, 'root');
+    await storage.ensureContainer(new URL('Cache/', base), {}, 'cache');
+  });
+  afterEach(() => server.listening && new Promise(resolve => server.close(resolve)));
+
+  it('serves fresh entries from the cache', async () => {
+    documents['/a'] = { body: '<a> <b> <c>.', headers: { 'cache-control': 'max-age=60' } };
+    const apps = makeApps();
+    assert.strictEqual(await (await apps.cachingFetch(new URL('/a', origin))).text(), '<a> <b> <c>.');
+    const resp = await apps.cachingFetch(new URL('/a#frag', origin));
+    assert.strictEqual(await resp.text(), '<a> <b> <c>.');
+    assert.strictEqual(resp.headers.get('content-type'), 'text/turtle');
+    assert.strictEqual(requests.length, 1);
+  });
+
+  it('revalidates stale entries with their ETag', async () => {
+    documents['/a'] = { body: 'v1', headers: { etag: '"1"' } };
+    const apps = makeApps();
+    await apps.cachingFetch(new URL('/a', origin));
+    assert.strictEqual(await (await apps.cachingFetch(new URL('/a', origin))).text(), 'v1');
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[1][1]['if-none-match'], '"1"');
+  });
+
+  it('serves stale entries if the origin is unreachable', async () => {
+    documents['/a'] = { body: 'v1', headers: {} };
+    const apps = makeApps();
+    await apps.cachingFetch(new URL('/a', origin));
+    await new Promise(resolve => server.close(resolve));
+    assert.strictEqual(await (await apps.cachingFetch(new URL('/a', origin))).text(), 'v1');
+  });
+
+  it('doesn\'t store no-store responses', async () => {
+    documents['/a'] = { body: 'v1', headers: { 'cache-control': 'no-store' } };
+    const apps = makeApps();
+    await apps.cachingFetch(new URL('/a', origin));
+    assert.deepStrictEqual(await apps.listCache(), []);
+  });
+
+  it('evicts least-recently-used entries beyond maxSize', async () => {
+    documents['/a'] = { body: 'a'.repeat(600), headers: { 'cache-control': 'max-age=60' } };
+    documents['/b'] = { body: 'b'.repeat(600), headers: { 'cache-control': 'max-age=60' } };
+    const apps = makeApps({ maxSize: 1000 });
+    await apps.cachingFetch(new URL('/a', origin));
+    await apps.cachingFetch(new URL('/b', origin));
+    assert.deepStrictEqual((await apps.listCache()).map(e => e.url), [origin + '/b']);
+  });
+
+  it('persists the cache index in storage', async () => {
+    documents['/a'] = { body: 'v1', headers: { 'cache-control': 'max-age=60' } };
+    await makeApps().cachingFetch(new URL('/a', origin));
+    const apps = makeApps();
+    assert.deepStrictEqual((await apps.listCache()).map(e => e.url), [origin + '/a']);
+    await apps.cachingFetch(new URL('/a', origin));
+    assert.strictEqual(requests.length, 1);
+  });
+
+  it('invalidates and clears entries', async () => {
+    documents['/a'] = { body: 'v1', headers: { 'cache-control': 'max-age=60' } };
+    documents['/b'] = { body: 'v1', headers: { 'cache-control': 'max-age=60' } };
+    const apps = makeApps();
+    await apps.cachingFetch(new URL('/a', origin));
+    await apps.cachingFetch(new URL('/b', origin));
+    assert.strictEqual(await apps.invalidateCache(new URL('/a', origin)), true);
+    assert.strictEqual(await apps.invalidateCache(new URL('/a', origin)), false);
+    assert.deepStrictEqual((await apps.listCache()).map(e => e.url), [origin + '/b']);
+    await apps.clearCache();
+    assert.deepStrictEqual(await apps.listCache(), []);
+    await apps.cachingFetch(new URL('/b', origin));
+    assert.strictEqual(requests.length, 3);
+  });
+
+  it('leaves storage alone when told not to store', async () => {
+    documents['/a'] = { body: 'v1', headers: { 'cache-control': 'max-age=60' } };
+    const apps = makeApps({ store: false });
+    assert.strictEqual(await (await apps.cachingFetch(new URL('/a', origin))).text(), 'v1');
+    assert.deepStrictEqual(await apps.listCache(), []);
+  });
+});
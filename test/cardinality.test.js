@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { makeLdp, plant, post, members, Remote } = require('./helpers/ldp');
+
+// people allows one or two persons
+const Tree = `
+@prefix tree: <http://www.w3.org/ns/shapetree#>.
+@prefix ldp: <http://www.w3.org/ns/ldp#>.
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#>.
+<#root> tree:expectsType ldp:Container ; tree:contains <#people> .
+<#people> tree:expectsType ldp:Container ; rdfs:label "people" ; tree:contains <#person> .
+<#person> tree:expectsType ldp:Resource ; tree:matchesUriTemplate "{name}.ttl" ;
+  tree:validatedBy <schema#PersonShape> ; tree:minCount 1 ; tree:maxCount 2 .
+`;
+
+describe('tree:minCount and tree:maxCount', () => {
+  let ldp;
+  const person = name => `<#me> <http://ex.example/#name> "${name}".`;
+  const exists = path => ldp.storage.rstat(ldp.url(path)).then(s => true, e => false);
+
+  beforeEach(async () => {
+    ldp = await makeLdp({ remote: Object.assign({ 'http://st.example/counted': ['text/turtle', Tree] }, Remote) });
+    assert.strictEqual((await plant(ldp, 'Data/', 'app', 'http://st.example/counted#root')).status, 201);
+    assert.strictEqual((await post(ldp, 'Data/app/people/', 'a.ttl', person('A'))).status, 201);
+    assert.strictEqual((await post(ldp, 'Data/app/people/', 'b.ttl', person('B'))).status, 201);
+  });
+  afterEach(() => ldp.close());
+
+  it('refuses POSTs beyond maxCount with 409 and rolls them back', async () => {
+    const resp = await post(ldp, 'Data/app/people/', 'c.ttl', person('C'));
+    assert.strictEqual(resp.status, 409);
+    assert.match(await resp.text(), /maxCount/);
+    assert.deepStrictEqual(await members(ldp, 'Data/app/people/'), ['/Data/app/people/a.ttl', '/Data/app/people/b.ttl']);
+    assert.strictEqual(await exists('Data/app/people/c.ttl'), false);
+  });
+
+  it('refuses PUTs beyond maxCount with 409', async () => {
+    const resp = await ldp.fetch(ldp.url('Data/app/people/c.ttl'), {
+      method: 'PUT',
+      headers: { 'content-type': 'text/turtle', link: '<#me>; rel="root"' },
+      body: person('C'),
+    });
+    assert.strictEqual(resp.status, 409);
+    assert.strictEqual(await exists('Data/app/people/c.ttl'), false);
+  });
+
+  it('still replaces members when at maxCount', async () => {
+    const resp = await ldp.fetch(ldp.url('Data/app/people/a.ttl'), {
+      method: 'PUT',
+      headers: { 'content-type': 'text/turtle', link: '<#me>; rel="root"' },
+      body: person('Aa'),
+    });
+    assert.strictEqual(resp.status, 204);
+  });
+
+  it('refuses DELETEs below minCount with 409', async () => {
+    assert.strictEqual((await ldp.fetch(ldp.url('Data/app/people/a.ttl'), { method: 'DELETE' })).status, 204);
+    const resp = await ldp.fetch(ldp.url('Data/app/people/b.ttl'), { method: 'DELETE' });
+    assert.strictEqual(resp.status, 409);
+    assert.match(await resp.text(), /minCount/);
+    assert.strictEqual(await exists('Data/app/people/b.ttl'), true);
+  });
+
+  it('reports existing violations', async () => {
+    await ldp.storage.write(ldp.url('Data/app/people/c.ttl'), person('C'));
+    await ldp.storage.updateMembers(ldp.url('Data/app/people/'), [ldp.url('Data/app/people/c.ttl')]);
+    const problems = await (await ldp.ShapeTree.loadContainer(ldp.url('Data/app/people/'))).cardinalityProblems();
+    assert.deepStrictEqual(problems.map(p => p.status), [409]);
+    assert.match(problems[0].message, /maxCount/);
+  });
+});
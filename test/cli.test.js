@@ -0,0 +1,107 @@
+const assert = require('assert');
+const Fs = require('fs');
+const Path = require('path');
+const ChildProcess = require('child_process');
+const { tmpDir } = require('./helpers/ldp');
+
+const Cli = Path.join(__dirname, '../bin/shapetree.js');
+
+// a ShapeTree and schema in local files
+const Tree = `
+@prefix tree: <http://www.w3.org/ns/shapetree#>.
+@prefix ldp: <http://www.w3.org/ns/ldp#>.
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#>.
+<#root> tree:expectsType ldp:Container ; tree:contains <#people> .
+<#people> tree:expectsType ldp:Container ; rdfs:label "people" ; tree:contains <#person> .
+<#person> tree:expectsType ldp:Resource ; tree:matchesUriTemplate "{name}.ttl" ; tree:validatedBy <schema.shex#PersonShape> .
+`;
+const Schema = `
+PREFIX ex: <http://ex.example/#>
+<#PersonShape> { ex:name . }
+`;
+
+describe('shapetree command', function () {
+  this.timeout(60 * 1000); // each command starts node
+  let dir, root;
+  const run = (...args) => {
+    const ret = ChildProcess.spawnSync(process.execPath, [Cli, '--root', root].concat(args), { cwd: dir, encoding: 'utf8', timeout: 60 * 1000 });
+    return { status: ret.status, stdout: ret.stdout, stderr: ret.stderr, json: () => JSON.parse(ret.stdout) };
+  };
+  const write = (name, text) => Fs.writeFileSync(Path.join(dir, name), text);
+
+  beforeEach(() => {
+    dir = tmpDir();
+    root = Path.join(dir, 'root');
+    Fs.mkdirSync(root);
+    write('tree.ttl', Tree);
+    write('schema.shex', Schema);
+  });
+  afterEach(() => Fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('parses options', () => {
+    write('bob.ttl', '<#me> <http://ex.example/#name> "Bob".');
+    assert.strictEqual(run('validate', 'bob.ttl', '--step=tree.ttl#person', '--focus', '#me').status, 0);
+    const missing = run('validate', 'bob.ttl', '--step');
+    assert.strictEqual(missing.status, 2);
+    assert.match(missing.stderr, /--step needs a value/);
+  });
+
+  it('prints usage', () => {
+    const help = run('--help');
+    assert.strictEqual(help.status, 0);
+    assert.match(help.stdout, /^Usage: shapetree/);
+    const unknown = run('frobnicate');
+    assert.strictEqual(unknown.status, 2);
+    assert.match(unknown.stderr, /unknown command "frobnicate"/);
+  });
+
+  it('validates local files against steps', () => {
+    write('bob.ttl', '<#me> <http://ex.example/#name> "Bob".');
+    write('anon.ttl', '<#me> <http://ex.example/#age> 7.');
+    const good = run('validate', 'bob.ttl', '--step', 'tree.ttl#person', '--focus', '#me');
+    assert.strictEqual(good.status, 0, good.stderr);
+    assert.strictEqual(good.json().conforms, true);
+    const bad = run('validate', 'anon.ttl', '--step', 'tree.ttl#person', '--focus', '#me');
+    assert.strictEqual(bad.status, 1);
+    assert.strictEqual(bad.json().conforms, false);
+    assert.strictEqual(bad.json().status, 422);
+  });
+
+  it('lints ShapeTrees', () => {
+    const ret = run('lint', 'tree.ttl#root');
+    assert.strictEqual(ret.status, 0, ret.stderr);
+    assert.ok(Array.isArray(ret.json()));
+  });
+
+  it('plants, audits and shows metadata', () => {
+    const planted = run('plant', '/', 'tree.ttl#root', '--name', 'app');
+    assert.strictEqual(planted.status, 0, planted.stderr);
+    assert.deepStrictEqual(planted.json(), { location: 'http://localhost/app/', reused: false });
+    assert.strictEqual(run('plant', '/', 'tree.ttl#root').json().reused, true);
+
+    const metadata = run('metadata', 'app/people/');
+    assert.strictEqual(metadata.status, 0, metadata.stderr);
+    assert.strictEqual(metadata.json().shapeTreeInstancePath, 'people/');
+
+    assert.deepStrictEqual(run('audit', 'app').stdout, '');
+    Fs.rmSync(Path.join(root, 'app/people'), { recursive: true });
+    const audit = run('audit', 'app');
+    assert.strictEqual(audit.status, 1);
+    assert.deepStrictEqual(audit.stdout.trim().split('\n').map(line => JSON.parse(line).code), ['missingMember']);
+  });
+
+  it('reports errors as problem details', () => {
+    const ret = run('metadata', 'nothing');
+    assert.strictEqual(ret.status, 2);
+    const problem = JSON.parse(ret.stderr);
+    assert.strictEqual(problem.title, 'NotFound');
+    assert.strictEqual(problem.status, 424);
+  });
+
+  it('leaves the document root alone for read-only commands', () => {
+    run('lint', 'tree.ttl#root');
+    run('metadata', 'nothing');
+    assert.deepStrictEqual(Fs.readdirSync(root), []);
+    assert.deepStrictEqual(Fs.readdirSync(dir).sort(), ['root', 'schema.shex', 'tree.ttl']);
+  });
+});
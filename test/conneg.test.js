@@ -0,0 +1,77 @@
+const assert = require('assert');
+const { makeLdp, Remote } = require('./helpers/ldp');
+
+describe('content negotiation on GET', () => {
+  let ldp;
+  const get = (path, accept, headers = {}) => ldp.fetch(ldp.url(path), { headers: Object.assign({ accept }, headers) });
+  const put = (path, type, body) => ldp.fetch(ldp.url(path), { method: 'PUT', headers: { 'content-type': type }, body });
+
+  beforeEach(async () => {
+    ldp = await makeLdp({
+      remote: Object.assign({
+        'http://ctx.example/context': ['application/ld+json', JSON.stringify({ '@context': { name: 'http://ex.example/#name' } })],
+      }, Remote),
+    });
+    assert.strictEqual((await put('Data/bob.ttl', 'text/turtle', '<#me> <http://ex.example/#name> "Bob".')).status, 201);
+  });
+  afterEach(() => ldp.close());
+
+  it('serves the stored representation with its ETag', async () => {
+    const resp = await get('Data/bob.ttl', 'text/turtle');
+    assert.strictEqual(resp.status, 200);
+    assert.strictEqual(resp.headers.get('content-type'), 'text/turtle');
+    assert.strictEqual(resp.headers.get('vary'), 'Accept');
+    assert.ok(resp.headers.get('etag'));
+  });
+
+  it('converts to JSON-LD and N-Triples', async () => {
+    let resp = await get('Data/bob.ttl', 'application/ld+json');
+    assert.strictEqual(resp.headers.get('content-type'), 'application/ld+json');
+    assert.strictEqual(resp.headers.get('etag'), null);
+    const doc = await resp.json();
+    assert.strictEqual(JSON.stringify(doc).includes('"Bob"'), true);
+    resp = await get('Data/bob.ttl', 'application/n-triples');
+    assert.strictEqual(await resp.text(), '<http://localhost/Data/bob.ttl#me> <http://ex.example/#name> "Bob" .\n');
+  });
+
+  it('honors q-values', async () => {
+    const resp = await get('Data/bob.ttl', 'text/turtle;q=0.5, application/n-triples');
+    assert.strictEqual(resp.headers.get('content-type'), 'application/n-triples');
+  });
+
+  it('compacts JSON-LD with a Link rel="http://www.w3.org/ns/json-ld#context"', async () => {
+    const resp = await get('Data/bob.ttl', 'application/ld+json', { link: '<http://ctx.example/context>; rel="http://www.w3.org/ns/json-ld#context"' });
+    const doc = await resp.json();
+    assert.strictEqual(doc.name, 'Bob');
+  });
+
+  it('refuses unavailable representations with 406', async () => {
+    const resp = await get('Data/bob.ttl', 'image/png');
+    assert.strictEqual(resp.status, 406);
+    assert.match(await resp.text(), /try one of/);
+  });
+
+  it('keeps named graphs out of Turtle and N-Triples', async () => {
+    const quads = '<http://a.example/s> <http://a.example/p> "o" <http://a.example/g> .\n';
+    assert.strictEqual((await put('Data/q.nq', 'application/n-quads', quads)).status, 201);
+    assert.strictEqual((await get('Data/q.nq', 'text/turtle')).status, 406);
+    assert.strictEqual((await get('Data/q.nq', 'application/n-quads')).status, 200);
+    const resp = await get('Data/q.nq', 'text/turtle, application/ld+json;q=0.5');
+    assert.strictEqual(resp.headers.get('content-type'), 'application/ld+json');
+    assert.match(await resp.text(), /a.example\/g/);
+  });
+
+  it('parses N-Triples sources', async () => {
+    assert.strictEqual((await put('Data/t.nt', 'application/n-triples', '<http://a.example/s> <http://a.example/p> "o" .\n')).status, 201);
+    const resp = await get('Data/t.nt', 'text/turtle');
+    assert.strictEqual(resp.headers.get('content-type'), 'text/turtle');
+    assert.match(await resp.text(), /"o"/);
+  });
+
+  it('passes NonRDFSources through', async () => {
+    assert.strictEqual((await put('Data/x.png', 'image/png', Buffer.from([137, 80, 78, 71]))).status, 201);
+    const resp = await get('Data/x.png', 'text/turtle');
+    assert.strictEqual(resp.status, 200);
+    assert.strictEqual(resp.headers.get('content-type'), 'image/png');
+  });
+});
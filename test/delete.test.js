@@ -0,0 +1,50 @@
+const assert = require('assert');
+const Fs = require('fs');
+const Path = require('path');
+const { makeLdp, plant, post, members } = require('./helpers/ldp');
+
+describe('managed DELETE', () => {
+  let ldp;
+  const del = path => ldp.fetch(ldp.url(path), { method: 'DELETE' });
+
+  beforeEach(async () => {
+    ldp = await makeLdp();
+    assert.strictEqual((await plant(ldp, 'Data/', 'app')).status, 201);
+    assert.strictEqual((await post(ldp, 'Data/app/people/', 'bob.ttl', '<#me> <http://ex.example/#name> "Bob".')).status, 201);
+  });
+  afterEach(() => ldp.close());
+
+  it('removes a resource with its metadata and membership', async () => {
+    const bob = ldp.url('Data/app/people/bob.ttl');
+    const { metaDataLocation } = await ldp.storage.rstat(bob);
+    assert.strictEqual((await del('Data/app/people/bob.ttl')).status, 204);
+    await assert.rejects(ldp.storage.rstat(bob));
+    assert.strictEqual(Fs.existsSync(Path.join(ldp.docRoot, metaDataLocation.pathname)), false);
+    assert.deepStrictEqual(await members(ldp, 'Data/app/people/'), []);
+  });
+
+  it('refuses to remove Containers the ShapeTree mandates', async () => {
+    const resp = await del('Data/app/people/');
+    assert.strictEqual(resp.status, 409);
+    assert.match(await resp.text(), /mandated by/);
+    assert.deepStrictEqual(await members(ldp, 'Data/app/people/'), ['/Data/app/people/bob.ttl']);
+  });
+
+  it('removes an instance root and its index in the parent', async () => {
+    assert.strictEqual((await del('Data/app/')).status, 204);
+    await assert.rejects(ldp.storage.rstat(ldp.url('Data/app/')));
+    const index = await ldp.storage.readContainer(ldp.url('Data/'), {});
+    assert.strictEqual(index.getQuads(ldp.url('Data/app/').href, null, null, null).length, 0);
+    // Nothing of the instance is left outside the document root either.
+    assert.strictEqual(Fs.existsSync(Path.join(ldp.docRoot + '.members', 'Data/app')), false);
+  });
+
+  it('passes unmanaged DELETEs through', async () => {
+    const put = await ldp.fetch(ldp.url('Data/x.ttl'), { method: 'PUT', headers: { 'content-type': 'text/turtle' }, body: '<a> <b> <c>.' });
+    assert.strictEqual(put.status, 201);
+    assert.deepStrictEqual(await members(ldp, 'Data/'), ['/Data/x.ttl']);
+    assert.strictEqual((await del('Data/x.ttl')).status, 204);
+    assert.deepStrictEqual(await members(ldp, 'Data/'), []);
+    assert.strictEqual((await del('Data/x.ttl')).status, 404);
+  });
+});
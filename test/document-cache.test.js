@@ -0,0 +1,83 @@
+const assert = require('assert');
+const Fs = require('fs');
+const Path = require('path');
+const DocumentCache = require('../lib/document-cache');
+const LdpServer = require('../lib/ldp-server');
+const { tmpDir, AppPayload } = require('./helpers/ldp');
+
+describe('DocumentCache', () => {
+  const url = new URL('http://st.example/tree#root');
+
+  it('loads each entry once', async () => {
+    const cache = new DocumentCache();
+    let loads = 0;
+    const load = () => Promise.resolve(++loads);
+    const [a, b] = await Promise.all([cache.get('tree', url, load), cache.get('tree', new URL('http://st.example/tree#other'), load)]);
+    assert.deepStrictEqual([a, b, loads], [1, 1, 1]);
+    assert.strictEqual(await cache.get('schema', url, load), 2);
+    assert.deepStrictEqual(cache.stats(), { size: 2, hits: 1, misses: 2, invalidations: 0, evictions: 0 });
+  });
+
+  it('doesn\'t cache failures', async () => {
+    const cache = new DocumentCache();
+    await assert.rejects(cache.get('tree', url, () => Promise.reject(Error('nope'))));
+    assert.strictEqual(await cache.get('tree', url, () => Promise.resolve('ok')), 'ok');
+  });
+
+  it('reloads entries older than maxAge', async () => {
+    const cache = new DocumentCache({ maxAge: 0 });
+    await cache.get('tree', url, () => Promise.resolve(1));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual(await cache.get('tree', url, () => Promise.resolve(2)), 2);
+  });
+
+  it('invalidates every kind parsed from a document', async () => {
+    const cache = new DocumentCache();
+    await cache.get('tree', url, () => Promise.resolve(1));
+    await cache.get('schema', url, () => Promise.resolve(1));
+    await cache.get('tree', new URL('http://st.example/other'), () => Promise.resolve(1));
+    assert.strictEqual(cache.invalidate(new URL('http://st.example/tree')), 2);
+    assert.strictEqual(cache.stats().size, 1);
+  });
+
+  it('evicts least-recently-used entries', async () => {
+    const cache = new DocumentCache({ maxEntries: 2 });
+    for (const path of ['a', 'b', 'c'])
+      await cache.get('tree', new URL(path, url), () => Promise.resolve(path));
+    assert.strictEqual(cache.stats().evictions, 1);
+    assert.strictEqual(await cache.get('tree', new URL('a', url), () => Promise.resolve('reloaded')), 'reloaded');
+  });
+
+  describe('with shapeTreeFetch', () => {
+    let dir, server;
+    const fetchPath = (path, options = {}) => fetch(new URL(path, server.url), options);
+    const putSchema = shex => fetchPath('trees/schema.shex', { method: 'PUT', headers: { 'content-type': 'text/shex' }, body: 'PREFIX ex: <http://ex.example/#>\n' + shex });
+    const postNote = slug => fetchPath('Data/notes/', { method: 'POST', headers: { 'content-type': 'text/turtle', slug }, body: '<> <http://ex.example/#text> "x".' });
+
+    beforeEach(async () => {
+      dir = tmpDir();
+      server = await LdpServer.start({ documentRoot: Path.join(dir, 'root') });
+      assert.strictEqual((await fetchPath('trees/', { method: 'PUT' })).status, 201);
+      const tree = `@prefix tree: <http://www.w3.org/ns/shapetree#>. @prefix ldp: <http://www.w3.org/ns/ldp#>.
+<#root> tree:expectsType ldp:Container ; tree:contains <#note> .
+<#note> tree:expectsType ldp:Resource ; tree:matchesUriTemplate "{n}" ; tree:validatedBy <schema.shex#NoteShape> .`;
+      assert.strictEqual((await fetchPath('trees/tree.ttl', { method: 'PUT', headers: { 'content-type': 'text/turtle' }, body: tree })).status, 201);
+      assert.strictEqual((await putSchema('<#NoteShape> { ex:text . }')).status, 201);
+      const planted = await fetchPath('Data/', {
+        method: 'POST', body: AppPayload,
+        headers: { slug: 'notes', 'content-type': 'text/turtle', link: `<${new URL('trees/tree.ttl#root', server.url)}>; rel="shapeTree", <http://www.w3.org/ns/ldp#Container>; rel="type"` },
+      });
+      assert.strictEqual(planted.status, 201);
+    });
+    afterEach(async () => {
+      await server.close();
+      Fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('validates with a schema changed through the server', async () => {
+      assert.strictEqual((await postNote('n1')).status, 201);
+      assert.strictEqual((await putSchema('<#NoteShape> { ex:text . ; ex:author . }')).status, 204);
+      assert.strictEqual((await postNote('n2')).status, 422);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const { Readable } = require('stream');
+const { makeResponse, Response, Headers } = require('../lib/fetch-response');
+
+const Url = new URL('http://localhost/x');
+
+describe('makeResponse', () => {
+  it('makes Responses which look fetched', async () => {
+    const resp = makeResponse(Url, 'hi');
+    assert.ok(resp instanceof Response);
+    assert.strictEqual(resp.url, Url.href);
+    assert.strictEqual(resp.status, 200);
+    assert.strictEqual(resp.ok, true);
+    assert.strictEqual(resp.statusText, 'OK');
+    assert.strictEqual(resp.headers.get('content-type'), 'text/plain');
+    assert.strictEqual(await resp.text(), 'hi');
+  });
+
+  it('counts bytes rather than characters', () => {
+    assert.strictEqual(makeResponse(Url, 'näh').headers.get('content-length'), '4');
+    assert.strictEqual(makeResponse(Url, new Uint8Array([1, 2, 3])).headers.get('content-length'), '3');
+    assert.strictEqual(makeResponse(Url, Readable.from(['a'])).headers.get('content-length'), null);
+  });
+
+  it('keeps the headers it\'s given', () => {
+    const resp = makeResponse(Url, '{}', { status: 201, type: 'application/json', headers: new Map([['Location', 'http://localhost/y'], ['content-type', 'application/ld+json']]) });
+    assert.strictEqual(resp.statusText, 'Created');
+    assert.strictEqual(resp.headers.get('location'), 'http://localhost/y');
+    assert.strictEqual(resp.headers.get('content-type'), 'application/ld+json');
+    assert.strictEqual(makeResponse(Url, null, { headers: new Headers({ vary: 'Accept' }) }).headers.get('vary'), 'Accept');
+  });
+
+  it('parses JSON and bytes', async () => {
+    assert.deepStrictEqual(await makeResponse(Url, '{"a":1}').json(), { a: 1 });
+    assert.deepStrictEqual(Buffer.from(await makeResponse(Url, Buffer.from('ab')).arrayBuffer()), Buffer.from('ab'));
+  });
+
+  it('streams Readables', async () => {
+    assert.strictEqual(await makeResponse(Url, Readable.from([Buffer.from('a'), Buffer.from('b')])).text(), 'ab');
+  });
+
+  it('drops bodies of responses which can\'t have one', async () => {
+    const resp = makeResponse(Url, 'ignored', { status: 204 });
+    assert.strictEqual(resp.body, null);
+    assert.strictEqual(resp.headers.get('content-type'), null);
+    assert.strictEqual(makeResponse(Url, 'ignored', { status: 304 }).body, null);
+  });
+
+  it('keeps its url when cloned', async () => {
+    const resp = makeResponse(Url, 'twice', { status: 404 });
+    const clone = resp.clone();
+    assert.strictEqual(clone.url, Url.href);
+    assert.strictEqual(clone.ok, false);
+    assert.strictEqual(await clone.text(), 'twice');
+    assert.strictEqual(await resp.text(), 'twice');
+  });
+});
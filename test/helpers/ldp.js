@@ -0,0 +1,123 @@
+/** Test fixtures: a throwaway document root served as LDP through shapeTreeFetch.
+ *
+ * ShapeTrees and schemas outside the document root come from a map of
+ * remote documents so tests don't touch the network.
+ */
+
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const RdfSerializer = require('../../lib/rdf-serialization');
+const LdpServer = require('../../lib/ldp-server');
+const makeShapeTreeFetch = require('../../lib/shape-tree-fetch');
+const { makeResponse } = require('../../lib/fetch-response');
+const FsPromise = require('../../storage/fs-promises');
+const SimpleApps = require('../../ecosystems/simple-apps');
+
+const Base = new URL('http://localhost/');
+
+// ShapeTree for an app with people and notes, validated by ShEx schemas.
+const Remote = {
+  'http://st.example/tree': ['text/turtle', `
+@prefix tree: <http://www.w3.org/ns/shapetree#>.
+@prefix ldp: <http://www.w3.org/ns/ldp#>.
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#>.
+<#root> tree:expectsType ldp:Container ; tree:contains <#people>, <#notes> .
+<#people> tree:expectsType ldp:Container ; rdfs:label "people" ; tree:contains <#person> .
+<#person> tree:expectsType ldp:Resource ; tree:matchesUriTemplate "{name}.ttl" ; tree:validatedBy <schema#PersonShape> .
+<#notes> tree:expectsType ldp:Container ; rdfs:label "notes" ; tree:contains <#note> .
+<#note> tree:expectsType ldp:Resource ; tree:matchesUriTemplate "{n}" ; tree:validatedBy <schema#NoteShape> .
+`],
+  'http://st.example/schema': ['text/shex', `
+PREFIX ex: <http://ex.example/#>
+<#PersonShape> { ex:name . ; ex:age . ? }
+<#NoteShape> { ex:text . }
+`],
+};
+
+// payload SimpleApps expects when planting
+const AppPayload = '<#x> <http://www.w3.org/ns/ldp#app> <#a> . <#a> <http://www.w3.org/ns/ldp#name> "MyApp" .';
+
+/** fetch for documents in remote, 404 for anything else
+ */
+function remoteFetch (remote) {
+  return async url => {
+    const doc = remote[new URL(url).href.replace(/#.*/, '')];
+    return doc
+      ? makeResponse(url, doc[1], { type: doc[0] })
+      : makeResponse(url, 'not found', { status: 404 });
+  };
+}
+
+/** tmpDir:string - a new empty directory
+ */
+function tmpDir () {
+  return Fs.mkdtempSync(Path.join(Os.tmpdir(), 'shapetree-test-'));
+}
+
+/** makeLdp:object - shapeTreeFetch over makeLdpFetch over an FsPromise in a new directory
+ * @param options.remote: remote documents; default Remote
+ * @param options.ldpConf: extra makeShapeTreeFetch config
+ * @param options.wrap: wrap(ldpFetch) gives shapeTreeFetch's nextFetch, e.g. to fake failures
+ * @param options.storage: Storage to use instead of an FsPromise in dir
+ * @returns: {dir, docRoot, base, storage, ldpFetch, fetch, ShapeTree, url(path), close()}
+ *   where fetch is shapeTreeFetch, ShapeTree is lib/shape-tree's functions for storage and close() removes dir
+ */
+async function makeLdp ({ remote = Remote, ldpConf = {}, wrap = f => f, storage = null } = {}) {
+  const dir = tmpDir();
+  const docRoot = Path.join(dir, 'root');
+  Fs.mkdirSync(docRoot);
+  storage = storage || new FsPromise({ documentRoot: docRoot, indexFile: '.index.ttl', metaDataSuffix: '.meta' }, RdfSerializer);
+  const ldpFetch = LdpServer.makeLdpFetch(storage, RdfSerializer, Base, { remoteFetch: remoteFetch(remote) });
+  const ShapeTree = require('../../lib/shape-tree')(storage, RdfSerializer, ldpFetch);
+  const config = { apps: 'Apps', cache: 'Cache', shared: 'Data' };
+  await new SimpleApps(storage, ShapeTree, RdfSerializer).createSystemHierarchy(Base, config);
+  const fetch = makeShapeTreeFetch(storage, RdfSerializer, wrap(ldpFetch), Base, Object.assign({ enforce: true }, config, ldpConf));
+  return {
+    dir, docRoot, base: Base, storage, ldpFetch, fetch, ShapeTree,
+    url: path => new URL(path, Base),
+    close: () => {
+      delete FsPromise[docRoot];
+      Fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/** plant:Response - plant shapeTree in Container at path as slug
+ */
+function plant (ldp, path, slug, shapeTree = 'http://st.example/tree#root') {
+  return ldp.fetch(ldp.url(path), {
+    method: 'POST',
+    headers: {
+      'content-type': 'text/turtle',
+      slug,
+      link: `<${shapeTree}>; rel="shapeTree", <http://www.w3.org/ns/ldp#Container>; rel="type"`,
+    },
+    body: AppPayload,
+  });
+}
+
+/** post:Response - POST a Turtle Resource called slug focused on <#me>
+ */
+function post (ldp, path, slug, body, headers = {}) {
+  return ldp.fetch(ldp.url(path), {
+    method: 'POST',
+    headers: Object.assign({
+      'content-type': 'text/turtle',
+      slug,
+      link: '<http://www.w3.org/ns/ldp#Resource>; rel="type", <#me>; rel="root"',
+    }, headers),
+    body,
+  });
+}
+
+/** members:string[] - paths of the members of the Container at path
+ */
+async function members (ldp, path) {
+  const ret = [];
+  for await (const member of ldp.storage.readMembers(ldp.url(path)))
+    ret.push(member.pathname);
+  return ret;
+}
+
+module.exports = { Base, Remote, AppPayload, remoteFetch, tmpDir, makeLdp, plant, post, members };
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const Fs = require('fs');
+const Path = require('path');
+const LdpServer = require('../lib/ldp-server');
+const { tmpDir, AppPayload } = require('./helpers/ldp');
+
+describe('LdpServer', () => {
+  let dir, server;
+  const fetchPath = (path, options = {}) => fetch(new URL(path, server.url), options);
+  const putTurtle = (path, body) => fetchPath(path, { method: 'PUT', headers: { 'content-type': 'text/turtle' }, body });
+
+  beforeEach(async () => {
+    dir = tmpDir();
+    server = await LdpServer.start({ documentRoot: Path.join(dir, 'root'), pageSize: 3 });
+  });
+  afterEach(async () => {
+    await server.close();
+    Fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('creates the system hierarchy', async () => {
+    for (const path of ['Apps/', 'Cache/', 'Data/'])
+      assert.strictEqual((await fetchPath(path)).status, 200, path);
+  });
+
+  it('answers OPTIONS with the allowed methods', async () => {
+    const resp = await fetchPath('Data/', { method: 'OPTIONS' });
+    assert.strictEqual(resp.status, 204);
+    assert.strictEqual(resp.headers.get('allow'), 'OPTIONS, GET, HEAD, PUT, POST, PATCH, DELETE');
+  });
+
+  it('stores, serves and removes resources', async () => {
+    assert.strictEqual((await putTurtle('Data/x.ttl', '<a> <b> "c".')).status, 201);
+    let resp = await fetchPath('Data/x.ttl', { headers: { accept: 'application/n-triples' } });
+    assert.strictEqual(resp.status, 200);
+    assert.match(await resp.text(), /<http:\/\/[^>]*\/Data\/a> <http:\/\/[^>]*\/Data\/b> "c" \./);
+    resp = await fetchPath('Data/x.ttl', { method: 'HEAD' });
+    assert.strictEqual(resp.status, 200);
+    assert.strictEqual(resp.headers.get('content-type'), 'text/turtle');
+    assert.strictEqual(await resp.text(), '');
+    assert.match(await (await fetchPath('Data/')).text(), /x\.ttl/);
+    assert.strictEqual((await fetchPath('Data/x.ttl', { method: 'DELETE' })).status, 204);
+    assert.strictEqual((await fetchPath('Data/x.ttl')).status, 404);
+  });
+
+  it('gives POSTed NonRDFSources an extension for their type', async () => {
+    const resp = await fetchPath('Data/', { method: 'POST', headers: { 'content-type': 'image/png', slug: 'pic', link: '<http://www.w3.org/ns/ldp#NonRDFSource>; rel="type"' }, body: 'PNG' });
+    assert.strictEqual(resp.status, 201);
+    const location = resp.headers.get('location');
+    assert.match(location, /\/Data\/pic\.png$/);
+    assert.strictEqual((await fetch(location)).headers.get('content-type'), 'image/png');
+  });
+
+  it('hides storage bookkeeping', async () => {
+    assert.strictEqual((await fetchPath('Data/.index.ttl')).status, 404);
+    assert.strictEqual((await putTurtle('Data/.index.ttl', '<a> <b> <c>.')).status, 404);
+    assert.strictEqual((await fetchPath('Data/.index.ttl.123.tmp')).status, 404);
+    const posted = await fetchPath('Data/', { method: 'POST', headers: { 'content-type': 'text/turtle', slug: '.index.ttl' }, body: '<a> <b> <c>.' });
+    assert.strictEqual(posted.status, 400);
+    assert.doesNotMatch(await (await fetchPath('Data/')).text(), /index/);
+  });
+
+  it('serves ShapeTree metadata but refuses to change it', async () => {
+    const tree = `@prefix tree: <http://www.w3.org/ns/shapetree#>. @prefix ldp: <http://www.w3.org/ns/ldp#>.
+<#root> tree:expectsType ldp:Container ; tree:contains <#any> .
+<#any> tree:expectsType ldp:Resource ; tree:matchesUriTemplate "{n}" .`;
+    assert.strictEqual((await putTurtle('tree.ttl', tree)).status, 201);
+    const planted = await fetchPath('Data/', {
+      method: 'POST', body: AppPayload,
+      headers: { slug: 'app', 'content-type': 'text/turtle', link: `<${new URL('tree.ttl#root', server.url)}>; rel="shapeTree", <http://www.w3.org/ns/ldp#Container>; rel="type"` },
+    });
+    assert.strictEqual(planted.status, 201);
+    const metadata = /<([^>]*)>; rel="metadata"/.exec(planted.headers.get('link'))[1];
+    assert.match(await (await fetch(metadata)).text(), /tree.ttl#root/);
+    for (const method of ['PUT', 'PATCH', 'DELETE'])
+      assert.strictEqual((await fetch(metadata, { method, headers: { 'content-type': 'text/turtle' }, body: method === 'DELETE' ? undefined : '' })).status, 403, method);
+    const posted = await fetchPath('Data/', { method: 'POST', headers: { 'content-type': 'text/turtle', slug: 'x.meta' }, body: '' });
+    assert.strictEqual(posted.status, 400);
+    assert.match(await posted.text(), /names storage bookkeeping/);
+  });
+
+  it('pages large Containers', async () => {
+    for (const n of [1, 2, 3, 4])
+      await putTurtle(`Data/n${n}.ttl`, '<a> <b> <c>.');
+    const resp = await fetchPath('Data/', { redirect: 'manual' });
+    assert.strictEqual(resp.status, 303);
+    assert.match(resp.headers.get('location'), /\/Data\/\?page=1&size=3$/);
+  });
+
+  it('refuses unknown methods with 405', async () => {
+    const ldpFetch = LdpServer.makeLdpFetch(server.storage, require('../lib/rdf-serialization'), server.url);
+    const resp = await ldpFetch(new URL('Data/', server.url), { method: 'BREW' });
+    assert.strictEqual(resp.status, 405);
+    assert.match(resp.headers.get('allow'), /OPTIONS/);
+  });
+});
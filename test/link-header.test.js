@@ -0,0 +1,79 @@
+const assert = require('assert');
+const LinkHeader = require('../lib/link-header');
+const { makeLdp, AppPayload } = require('./helpers/ldp');
+
+const Base = new URL('http://localhost/Data/');
+
+describe('LinkHeader', () => {
+  it('resolves targets against the base', () => {
+    const links = LinkHeader.parse('<../tree#root>; rel="shapeTree"', Base);
+    assert.strictEqual(links.first('shapeTree').target.href, 'http://localhost/tree#root');
+    assert.strictEqual(links.first('shapetree').href, '../tree#root');
+  });
+
+  it('splits several links and relation types', () => {
+    const links = LinkHeader.parse(['<a>; rel="type next", <b>; rel=type', '<c>;rel=prev'], Base);
+    assert.deepStrictEqual(links.all('type').map(l => l.href), ['a', 'b']);
+    assert.strictEqual(links.first('next').href, 'a');
+    assert.strictEqual(links.first('PREV').href, 'c');
+    assert.strictEqual(links.first('up'), null);
+  });
+
+  it('keeps commas and semicolons inside quotes and targets', () => {
+    const links = LinkHeader.parse('<http://ex.example/a,b;c>; rel="type"; title="x, y; \\"z\\"", <d>; rel=type', Base);
+    assert.deepStrictEqual(links.all('type').map(l => l.href), ['http://ex.example/a,b;c', 'd']);
+    assert.strictEqual(links.list[0].params.title, 'x, y; "z"');
+  });
+
+  it('only considers links about their context', () => {
+    const links = LinkHeader.parse('<#me>; rel="root"; anchor="other", <#you>; rel="root"', Base);
+    assert.deepStrictEqual(links.all('root').map(l => l.href), ['#you']);
+    assert.strictEqual(links.first('root', new URL('other', Base)).href, '#me');
+    assert.strictEqual(links.list[0].context.href, 'http://localhost/Data/other');
+  });
+
+  it('compares extension relation types exactly', () => {
+    const links = LinkHeader.parse('<c>; rel="http://www.w3.org/ns/json-ld#context"', Base);
+    assert.ok(links.first('http://www.w3.org/ns/json-ld#context'));
+    assert.strictEqual(links.first('HTTP://www.w3.org/ns/json-ld#context'), null);
+  });
+
+  it('uses the first of repeated parameters and decodes ext-values', () => {
+    const links = LinkHeader.parse('<a>; rel=first; rel=second; title*=UTF-8\'de\'n%c3%a4chstes', Base);
+    assert.deepStrictEqual(links.list[0].rel, ['first']);
+    assert.strictEqual(links.list[0].params.title, 'nächstes');
+  });
+
+  it('rejects malformed headers with 400', () => {
+    assert.throws(() => LinkHeader.parse('a; rel=type', Base), e => e.status === 400);
+    assert.deepStrictEqual(LinkHeader.parse(undefined, Base).list, []);
+  });
+
+  describe('in shapeTreeFetch', () => {
+    let ldp;
+    beforeEach(async () => { ldp = await makeLdp(); });
+    afterEach(() => ldp.close());
+
+    const plantWith = link => ldp.fetch(ldp.url('Data/'), {
+      method: 'POST',
+      headers: { 'content-type': 'text/turtle', slug: 'app', link },
+      body: AppPayload,
+    });
+
+    it('ignores shapeTree links anchored elsewhere', async () => {
+      const resp = await plantWith('<http://st.example/tree#root>; rel="shapeTree"; anchor="http://elsewhere.example/", <http://www.w3.org/ns/ldp#Container>; rel="type"');
+      assert.strictEqual(resp.status, 201);
+      assert.ok(!(await ldp.storage.readMetaData(new URL(resp.headers.get('location')), {})).size);
+    });
+
+    it('plants with quoted commas in other links', async () => {
+      const resp = await plantWith('<http://www.w3.org/ns/ldp#Container>; rel="type"; title="a, b", <http://st.example/tree#root>; rel="shapeTree"');
+      assert.strictEqual(resp.status, 201);
+      assert.strictEqual(resp.headers.get('location'), ldp.url('Data/app/').href);
+    });
+
+    it('answers malformed Link headers with 400', async () => {
+      assert.strictEqual((await plantWith('http://st.example/tree#root; rel=shapeTree')).status, 400);
+    });
+  });
+});
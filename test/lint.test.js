@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { makeLdp, Remote } = require('./helpers/ldp');
+
+const Broken = `
+@prefix tree: <http://www.w3.org/ns/shapetree#>.
+@prefix ldp: <http://www.w3.org/ns/ldp#>.
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#>.
+<#root> tree:expectsType ldp:Container ; tree:contains <#a>, <#b>, <#c>, <#d>, <#unnamed> .
+<#a> tree:expectsType ldp:Resource ; tree:matchesUriTemplate "a-{name}" ; tree:validatedBy <schema#PersonShape> .
+<#b> tree:expectsType ldp:Resource ; tree:matchesUriTemplate "a-{id}.ttl" .
+<#c> tree:matchesUriTemplate "c-{n}" ; tree:minCount 3 ; tree:maxCount 1 ; tree:validatedBy <schema#NoSuchShape> .
+<#d> tree:expectsType ldp:Container ; tree:matchesUriTemplate "d-{n}" ; tree:maxByteSize 10 ; tree:references [ tree:treeStep <other#missing> ] .
+<#unnamed> tree:expectsType ldp:Container .
+`;
+
+describe('lintShapeTree', () => {
+  let ldp;
+  const lint = async url => (await ldp.ShapeTree.lintShapeTree(new URL(url)))
+        .map(d => [d.level, d.code, d.node.replace(/^.*#/, '')]).sort();
+
+  beforeEach(async () => {
+    ldp = await makeLdp({
+      remote: Object.assign({
+        'http://st.example/broken': ['text/turtle', Broken],
+        'http://st.example/other': ['text/turtle', '<#present> a <#Step>.'],
+      }, Remote),
+    });
+  });
+  afterEach(() => ldp.close());
+
+  it('finds nothing wrong with a sound ShapeTree', async () => {
+    assert.deepStrictEqual(await lint('http://st.example/tree#root'), []);
+  });
+
+  it('reports problems which would otherwise surface at request time', async () => {
+    assert.deepStrictEqual(await lint('http://st.example/broken#root'), [
+      ['error', 'danglingTreeStep', 'd'],
+      ['error', 'missingExpectsType', 'c'],
+      ['error', 'missingShape', 'c'],
+      ['error', 'missingValidatedBy', 'b'],
+      ['error', 'overlappingTemplates', 'root'],
+      ['error', 'unmatchableStep', 'unnamed'],
+      ['error', 'unsatisfiableCount', 'c'],
+      ['warning', 'ignoredBinaryConstraint', 'd'],
+    ]);
+  });
+});
@@ -0,0 +1,135 @@
+const assert = require('assert');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const Errors = require('../lib/rdf-errors');
+const RdfSerializer = require('../lib/rdf-serialization');
+const FsPromise = require('../storage/fs-promises');
+const { MutexLockManager, FileLockManager, ETagLockManager } = require('../storage/lock-managers');
+const { tmpDir } = require('./helpers/ldp');
+
+const A = new URL('http://localhost/a');
+const B = new URL('http://localhost/b');
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/* run two withLocks on url at once and return the order they ran in
+ */
+async function race (locks, url) {
+  const order = [];
+  await Promise.all(['first', 'second'].map(name => locks.withLock(url, async () => {
+    order.push(name + ' in');
+    await sleep(20);
+    order.push(name + ' out');
+  })));
+  return order;
+}
+
+describe('MutexLockManager', () => {
+  it('serializes holders of the same URL', async () => {
+    assert.deepStrictEqual(await race(new MutexLockManager(), A), ['first in', 'first out', 'second in', 'second out']);
+  });
+
+  it('lets nested withLocks through', async () => {
+    const locks = new MutexLockManager({ timeout: 100 });
+    assert.strictEqual(await locks.withLock(A, () => locks.withLock(B, () => locks.withLock(A, () => 'nested'))), 'nested');
+    assert.deepStrictEqual(locks.describe(), []);
+  });
+});
+
+describe('FileLockManager', () => {
+  let dir, locks;
+  const pathFor = url => Path.join(dir, url.pathname + '.lock');
+  const holder = (pid, host = Os.hostname()) => JSON.stringify({ host, pid, acquired: Date.now(), nonce: 'x' });
+  beforeEach(() => {
+    dir = tmpDir();
+    locks = new FileLockManager(pathFor, { timeout: 200, staleAfter: 60 * 1000 });
+  });
+  afterEach(() => Fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('holds a lockfile while f runs', async () => {
+    const seen = await locks.withLock(A, () => JSON.parse(Fs.readFileSync(pathFor(A), 'utf8')));
+    assert.strictEqual(seen.pid, process.pid);
+    assert.ok(!Fs.existsSync(pathFor(A)));
+  });
+
+  it('serializes holders of the same URL', async () => {
+    assert.deepStrictEqual(await race(locks, A), ['first in', 'first out', 'second in', 'second out']);
+  });
+
+  it('is reentrant', async () => {
+    assert.strictEqual(await locks.withLock(A, () => locks.withLock(A, () => 'again')), 'again');
+  });
+
+  it('times out on locks held by live processes', async () => {
+    Fs.writeFileSync(pathFor(A), holder(process.ppid));
+    await assert.rejects(locks.withLock(A, () => 'never'), Errors.LockTimeoutError);
+    assert.ok(Fs.existsSync(pathFor(A)));
+  });
+
+  it('takes over locks of dead processes', async () => {
+    Fs.writeFileSync(pathFor(A), holder(2 ** 30));
+    assert.strictEqual(await locks.withLock(A, () => 'mine'), 'mine');
+    assert.deepStrictEqual(Fs.readdirSync(dir), []);
+  });
+
+  it('takes over locks which haven\'t been touched for staleAfter', async () => {
+    Fs.writeFileSync(pathFor(A), holder(1, 'elsewhere.example'));
+    const old = new Date(Date.now() - 2 * 60 * 1000);
+    Fs.utimesSync(pathFor(A), old, old);
+    assert.strictEqual(await locks.withLock(A, () => 'mine'), 'mine');
+  });
+
+  it('keeps fresh locks from other hosts', async () => {
+    Fs.writeFileSync(pathFor(A), holder(1, 'elsewhere.example'));
+    await assert.rejects(locks.withLock(A, () => 'never'), /unable to lock/);
+  });
+
+  it('touches its lockfile while it works', async () => {
+    locks = new FileLockManager(pathFor, { timeout: 200, staleAfter: 60 });
+    await locks.withLock(A, async () => {
+      const old = new Date(Date.now() - 60 * 1000);
+      Fs.utimesSync(pathFor(A), old, old);
+      await sleep(50);
+      assert.ok(Date.now() - Fs.statSync(pathFor(A)).mtimeMs < 1000);
+    });
+  });
+});
+
+describe('ETagLockManager', () => {
+  it('retries f after conflicts', async () => {
+    const locks = new ETagLockManager({ retries: 2 });
+    let attempts = 0;
+    assert.strictEqual(await locks.withLock(A, async () => {
+      locks.observe(A, '"v' + attempts + '"');
+      assert.deepStrictEqual(locks.preconditions(A), { 'if-match': '"v' + attempts + '"' });
+      if (++attempts < 3)
+        throw Object.assign(Error('conflict'), { code: 'ECONFLICT' });
+      return attempts;
+    }), 3);
+  });
+
+  it('gives up after retries', async () => {
+    const locks = new ETagLockManager({ retries: 1 });
+    await assert.rejects(locks.withLock(A, async () => {
+      throw Object.assign(Error('conflict'), { code: 'ECONFLICT' });
+    }), Errors.LockTimeoutError);
+  });
+});
+
+describe('FsPromise locking', () => {
+  it('keeps lockfiles out of the document root', async () => {
+    const dir = tmpDir();
+    const docRoot = Path.join(dir, 'root');
+    try {
+      const storage = new FsPromise({ documentRoot: docRoot, indexFile: '.index.ttl', metaDataSuffix: '.meta' }, RdfSerializer);
+      const url = new URL('http://localhost/x');
+      await storage.locks.withLock(url, () => {
+        assert.ok(Fs.existsSync(Path.join(docRoot + '.locks', 'x.lock')));
+        assert.ok(!Fs.existsSync(Path.join(docRoot, 'x.lock')));
+      });
+    } finally {
+      delete FsPromise[docRoot];
+      Fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,97 @@
+const assert = require('assert');
+const Fs = require('fs');
+const Path = require('path');
+const RdfSerializer = require('../lib/rdf-serialization');
+const MembershipLog = require('../storage/membership-log');
+const FsPromise = require('../storage/fs-promises');
+const { tmpDir } = require('./helpers/ldp');
+
+const C = new URL('http://localhost/c/');
+const m = name => C.href + name;
+
+describe('MembershipLog', () => {
+  it('formats changes relative to the Container', () => {
+    assert.strictEqual(MembershipLog.format(C, [new URL(m('a')), 'http://elsewhere.example/b', m('x:y')], [m('d/')]),
+      '-d/\n+a\n+http://elsewhere.example/b\n+./x:y\n');
+  });
+
+  it('replays logs in order of addition', () => {
+    assert.deepStrictEqual(MembershipLog.replay(C, [m('a'), m('b')], '+c\n-a\n+b\n+./x:y\n'), [m('c'), m('b'), m('x:y')]);
+  });
+
+  it('compacts logs to the same members', () => {
+    const log = '+c\n-a\n+d\n-d\n';
+    const compacted = MembershipLog.compact(C, [m('a'), m('b')], log);
+    assert.strictEqual(compacted, '-a\n+b\n+c\n');
+    assert.deepStrictEqual(MembershipLog.replay(C, [m('a'), m('b')], compacted), MembershipLog.replay(C, [m('a'), m('b')], log));
+  });
+
+  it('compacts logs which outgrow what they\'d compact into', () => {
+    assert.strictEqual(MembershipLog.shouldCompact(100, 10), false);
+    assert.strictEqual(MembershipLog.shouldCompact(5000, 100), true);
+    assert.strictEqual(MembershipLog.shouldCompact(5000, 1000), false);
+  });
+
+  it('materializes members after the body', () => {
+    const index = MembershipLog.materialize(C, '<> a <http://www.w3.org/ns/ldp#BasicContainer>.\n', [m('a'), m('b/')]);
+    assert.match(index, /<> <http:\/\/www.w3.org\/ns\/ldp#contains>\n {2}<a>,\n {2}<b\/>.\n$/);
+    assert.deepStrictEqual(MembershipLog.unmaterialize(C, index), ['<> a <http://www.w3.org/ns/ldp#BasicContainer>.\n\n', [m('a'), m('b/')]]);
+    assert.deepStrictEqual(MembershipLog.unmaterialize(C, 'body'), ['body', []]);
+    assert.strictEqual(MembershipLog.materialize(C, 'body', []), 'body');
+  });
+
+  it('splits and joins ldp:contains arcs', async () => {
+    const graph = await RdfSerializer.parseTurtle('<> <http://www.w3.org/ns/ldp#contains> <a>; <http://purl.org/dc/terms/title> "c".', C, {});
+    const [index, members] = MembershipLog.split(C, graph);
+    assert.deepStrictEqual(members, [m('a')]);
+    assert.strictEqual(index.size, 1);
+    assert.strictEqual(MembershipLog.join(C, index, [m('b')]).size, 2);
+  });
+
+  describe('in FsPromise', () => {
+    let dir, docRoot, storage;
+    const url = path => new URL(path, 'http://localhost/');
+    const list = async () => {
+      const ret = [];
+      for await (const member of storage.readMembers(C))
+        ret.push(member.href);
+      return ret;
+    };
+    beforeEach(async () => {
+      dir = tmpDir();
+      docRoot = Path.join(dir, 'root');
+      Fs.mkdirSync(docRoot);
+      storage = new FsPromise({ documentRoot: docRoot, indexFile: '.index.ttl', metaDataSuffix: '.meta' }, RdfSerializer);
+      await storage.ensureContainer(C, {}, 'c');
+    });
+    afterEach(() => {
+      delete FsPromise[docRoot];
+      Fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('keeps logs out of the document root', async () => {
+      await storage.updateMembers(C, [url('/c/a')]);
+      assert.strictEqual(Fs.readFileSync(Path.join(docRoot + '.members', 'c', storage.membersFile), 'utf8'), '+a\n');
+      assert.deepStrictEqual(Fs.readdirSync(Path.join(docRoot, 'c')), ['.index.ttl']);
+      assert.deepStrictEqual(await list(), [m('a')]);
+    });
+
+    it('folds long logs into the index', async () => {
+      const name = i => `member-with-a-long-name-${i}.ttl`;
+      for (let i = 0; i < 100; ++i)
+        await storage.updateMembers(C, [url('/c/' + name(i))], i > 0 ? [url('/c/' + name(i - 1))] : []);
+      await storage.updateMembers(C, [url('/c/last')]);
+      assert.deepStrictEqual(await list(), [m(name(99)), m('last')]);
+      const index = Fs.readFileSync(Path.join(docRoot, 'c', '.index.ttl'), 'utf8');
+      assert.match(index, /# ldp:contains as of the last compaction/);
+      const log = Fs.statSync(Path.join(docRoot + '.members', 'c', storage.membersFile), { throwIfNoEntry: false });
+      assert.ok(!log || log.size < 4096);
+    });
+
+    it('removes logs with their Containers', async () => {
+      await storage.updateMembers(C, [url('/c/a')]);
+      await storage.removeContainer(C);
+      assert.ok(!Fs.existsSync(Path.join(docRoot + '.members', 'c')));
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const RdfSerializer = require('../lib/rdf-serialization');
+const MemoryStorage = require('../storage/memory');
+const { makeLdp, plant, post, members } = require('./helpers/ldp');
+
+describe('MemoryStorage', () => {
+  const base = new URL('http://localhost/');
+  const url = path => new URL(path, base);
+  let storage;
+  const list = async path => {
+    const ret = [];
+    for await (const member of storage.readMembers(url(path)))
+      ret.push(member.pathname);
+    return ret;
+  };
+
+  beforeEach(async () => {
+    storage = new MemoryStorage({ metaDataSuffix: '.meta' }, RdfSerializer);
+    await storage.ensureContainer(url('/'), {}, 'root');
+  });
+
+  it('reads, writes and removes resources like a filesystem', async () => {
+    await storage.write(url('a.txt'), 'hi');
+    assert.strictEqual(await storage.read(url('a.txt')), 'hi');
+    assert.deepStrictEqual(await storage.read(url('a.txt'), null), Buffer.from('hi'));
+    const rstat = await storage.rstat(url('a.txt'));
+    assert.strictEqual(rstat.isContainer, false);
+    assert.strictEqual(rstat.metaDataLocation.pathname, '/a.txt.meta');
+    assert.ok(rstat.etag);
+    await storage.remove(url('a.txt'));
+    await assert.rejects(storage.rstat(url('a.txt')), { code: 'ENOENT' });
+    await assert.rejects(storage.write(url('no/a.txt'), 'hi'), { code: 'ENOENT' });
+  });
+
+  it('invents unique names', async () => {
+    const [c1] = await storage.inventContainer(url('/'), 'c', 'C', {});
+    const [c2] = await storage.inventContainer(url('/'), 'c', 'C', {});
+    const [r1] = await storage.invent(url('/'), 'r', 'x', 'text/plain');
+    const [r2] = await storage.invent(url('/'), 'r', 'y', 'text/plain');
+    assert.deepStrictEqual([c1, c2, r1, r2], ['c/', 'c-1/', 'r', 'r-1']);
+    assert.strictEqual(await storage.read(url(r2)), 'y');
+  });
+
+  it('lists members in the order they were added, across compactions', async () => {
+    await storage.ensureContainer(url('c/'), {}, 'C');
+    for (let i = 0; i < 2000; ++i) {
+      await storage.updateMembers(url('c/'), [url(`c/m${i}`)]);
+      if (i % 4)
+        await storage.updateMembers(url('c/'), [], [url(`c/m${i}`)]);
+    }
+    const expected = Array.from({ length: 500 }, (_, i) => `/c/m${i * 4}`);
+    assert.deepStrictEqual(await list('c/'), expected);
+    assert.ok(storage._entries.get('/c/').members.length < 20000, 'log was compacted');
+    // Rewriting the body keeps the members.
+    const graph = await storage.readContainer(url('c/'), {}, { members: false });
+    await storage.writeContainer(url('c/'), graph, {}, { members: false });
+    assert.deepStrictEqual(await list('c/'), expected);
+  });
+
+  it('removes Containers recursively', async () => {
+    await storage.ensureContainer(url('c/'), {}, 'C');
+    await storage.write(url('c/a'), 'a');
+    await storage.removeContainer(url('c/'));
+    await assert.rejects(storage.rstat(url('c/a')));
+    await assert.rejects(storage.rstat(url('c/')));
+  });
+
+  it('restores snapshots', async () => {
+    await storage.write(url('a'), 'before');
+    const image = JSON.parse(JSON.stringify(storage.snapshot()));
+    await storage.write(url('a'), 'after');
+    await storage.write(url('b'), 'new');
+    storage.restore(image);
+    assert.strictEqual(await storage.read(url('a')), 'before');
+    await assert.rejects(storage.rstat(url('b')));
+  });
+
+  it('keeps metadata beside resources', async () => {
+    await storage.write(url('a'), 'a');
+    const graph = await RdfSerializer.parseTurtle('<a> <b> <c>.', url('a'), {});
+    await storage.writeMetaData(url('a'), graph, {});
+    assert.strictEqual((await storage.readMetaData(url('a'), {})).size, 1);
+    await storage.removeMetaData(url('a'));
+    assert.strictEqual((await storage.readMetaData(url('a'), {})).size, 0);
+  });
+
+  it('backs shapeTreeFetch', async () => {
+    const ldp = await makeLdp({ storage });
+    try {
+      assert.strictEqual((await plant(ldp, 'Data/', 'app')).status, 201);
+      assert.strictEqual((await post(ldp, 'Data/app/people/', 'bob.ttl', '<#me> <http://ex.example/#name> "Bob".')).status, 201);
+      assert.strictEqual((await post(ldp, 'Data/app/people/', 'eve.ttl', '<#me> <http://ex.example/#age> 3.')).status, 422);
+      assert.deepStrictEqual(await members(ldp, 'Data/app/people/'), ['/Data/app/people/bob.ttl']);
+    } finally {
+      ldp.close();
+    }
+  });
+});
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { makeLdp, plant, post, Remote } = require('./helpers/ldp');
+
+// versions of one ShapeTree; 1.1.0 adds an archive and requires ages, 2.0.0 is incompatible
+const version = (v, { archive = false, person = 'PersonShape' } = {}) => ['text/turtle', `
+@prefix tree: <http://www.w3.org/ns/shapetree#>.
+@prefix ldp: <http://www.w3.org/ns/ldp#>.
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#>.
+<#root> tree:expectsType ldp:Container ; tree:version "${v}" ; tree:versionOf <http://st.example/people> ;
+  tree:contains <#people>${archive ? ', <#archive>' : ''} .
+<#people> tree:expectsType ldp:Container ; rdfs:label "people" ; tree:contains <#person> .
+<#person> tree:expectsType ldp:Resource ; tree:matchesUriTemplate "{name}.ttl" ; tree:validatedBy <versioned-schema#${person}> .
+${archive ? '<#archive> tree:expectsType ldp:Container ; rdfs:label "archive" .' : ''}
+`];
+const Versions = Object.assign({
+  'http://st.example/v1': version('1.0.0'),
+  'http://st.example/v1.1': version('1.1.0', { archive: true, person: 'AgedPersonShape' }),
+  'http://st.example/v2': version('2.0.0'),
+  'http://st.example/versioned-schema': ['text/shex', `
+PREFIX ex: <http://ex.example/#>
+<#PersonShape> { ex:name . ; ex:age . ? }
+<#AgedPersonShape> { ex:name . ; ex:age . }
+`],
+}, Remote);
+
+describe('migrating ShapeTree instances', () => {
+  let ldp;
+  const metadata = async path => ldp.storage.read((await ldp.storage.rstat(ldp.url(path))).metaDataLocation);
+
+  beforeEach(async () => {
+    ldp = await makeLdp({ remote: Versions });
+    assert.strictEqual((await plant(ldp, 'Data/', 'app', 'http://st.example/v1#root')).status, 201);
+    assert.strictEqual((await post(ldp, 'Data/app/people/', 'bob.ttl', '<#me> <http://ex.example/#name> "Bob".')).status, 201);
+  });
+  afterEach(() => ldp.close());
+
+  it('migrates compatible instances to newer versions', async () => {
+    const resp = await plant(ldp, 'Data/', 'app2', 'http://st.example/v1.1#root');
+    assert.strictEqual(resp.status, 201);
+    assert.strictEqual(resp.headers.get('location'), ldp.url('Data/app/').href);
+    const body = await resp.text();
+    assert.match(body, /tree:migratedFrom <http:\/\/st.example\/v1#root>/);
+    assert.match(body, /tree:nonConforming <http:\/\/localhost\/Data\/app\/people\/bob.ttl>/);
+    assert.match(body, /tree:shapeTreeRoot <http:\/\/st.example\/v1.1#root>/);
+    assert.match(await metadata('Data/app/people/bob.ttl'), /v1.1#person>/);
+    assert.match(await metadata('Data/app/archive/'), /v1.1#root>/);
+    const index = await ldp.storage.readContainer(ldp.url('Data/'), {});
+    assert.strictEqual(index.getQuads(null, 'http://www.w3.org/ns/shapetree#shapeTreeRoot', 'http://st.example/v1#root').length, 0);
+    assert.strictEqual(index.getQuads(null, 'http://www.w3.org/ns/shapetree#shapeTreeVersion', null)[0].object.value, '1.1.0');
+  });
+
+  it('reuses instances of the same version without migrating', async () => {
+    const resp = await plant(ldp, 'Data/', 'again', 'http://st.example/v1#root');
+    assert.strictEqual(resp.headers.get('location'), ldp.url('Data/app/').href);
+    assert.doesNotMatch(await resp.text(), /migratedFrom/);
+  });
+
+  it('plants incompatible versions separately', async () => {
+    const resp = await plant(ldp, 'Data/', 'app2', 'http://st.example/v2#root');
+    assert.strictEqual(resp.status, 201);
+    assert.strictEqual(resp.headers.get('location'), ldp.url('Data/app2/').href);
+    assert.match(await metadata('Data/app/people/bob.ttl'), /v1#person>/);
+  });
+
+  it('refuses to migrate anything but instance roots', async () => {
+    await assert.rejects(ldp.ShapeTree.migrateInstance(ldp.url('Data/app/people/'), new URL('http://st.example/v1.1#root')), e => e.status === 422);
+  });
+});
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const Errors = require('../lib/rdf-errors');
+const Mutex = require('../lib/mutex');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Mutex', () => {
+  it('grants exclusive locks one at a time', async () => {
+    const mutex = new Mutex('m');
+    const unlock = await mutex.lock();
+    let second = false;
+    const waiting = mutex.lock().then(u => { second = true; return u; });
+    await tick();
+    assert.strictEqual(second, false);
+    unlock();
+    (await waiting)();
+    assert.ok(mutex.idle);
+  });
+
+  it('shares shared locks', async () => {
+    const mutex = new Mutex('m');
+    const [a, b] = await Promise.all([mutex.lockShared(), mutex.lockShared()]);
+    assert.strictEqual(mutex.describe().held.length, 2);
+    a(); b();
+  });
+
+  it('holds back shared requests behind a waiting exclusive one', async () => {
+    const mutex = new Mutex('m');
+    const order = [];
+    const first = await mutex.lockShared({ holder: 'reader 1' });
+    const writer = mutex.lock({ holder: 'writer' }).then(u => { order.push('writer'); return u; });
+    const reader = mutex.lockShared({ holder: 'reader 2' }).then(u => { order.push('reader 2'); return u; });
+    await tick();
+    assert.deepStrictEqual(mutex.describe().waiting.map(w => w.holder), ['writer', 'reader 2']);
+    first();
+    (await writer)();
+    (await reader)();
+    assert.deepStrictEqual(order, ['writer', 'reader 2']);
+  });
+
+  it('times out requests which aren\'t granted in time', async () => {
+    const mutex = new Mutex('m', { timeout: 20 });
+    const unlock = await mutex.lock({ holder: 'slow' });
+    await assert.rejects(mutex.lock({ holder: 'impatient' }), e =>
+      e instanceof Errors.LockTimeoutError && e.status === 503 && /impatient waited 20ms .* held by slow/.test(e.message));
+    await assert.rejects(mutex.lock({ timeout: 5 }), Errors.LockTimeoutError);
+    unlock();
+    assert.ok(mutex.idle);
+  });
+
+  it('lets shared requests through when the exclusive request ahead of them times out', async () => {
+    const mutex = new Mutex('m');
+    const reader = await mutex.lockShared();
+    const writer = mutex.lock({ timeout: 10 });
+    const later = mutex.lockShared();
+    await assert.rejects(writer, Errors.LockTimeoutError);
+    (await later)();
+    reader();
+  });
+
+  it('releases once however often unlock is called', async () => {
+    const mutex = new Mutex('m');
+    const a = await mutex.lockShared();
+    const b = await mutex.lockShared();
+    a(); a();
+    assert.strictEqual(mutex.describe().held.length, 1);
+    b();
+  });
+
+  it('releases withLock\'s lock when f throws', async () => {
+    const mutex = new Mutex('m');
+    await assert.rejects(mutex.withLock(async () => { throw Error('oops'); }), /oops/);
+    assert.ok(mutex.idle);
+    assert.strictEqual(await mutex.withLock(() => 'ok', { mode: Mutex.Shared }), 'ok');
+  });
+
+  it('rejects unknown modes', () => {
+    assert.throws(() => new Mutex().lock({ mode: 'sideways' }), /unknown lock mode/);
+  });
+});
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const LinkHeader = require('../lib/link-header');
+const { makeLdp } = require('./helpers/ldp');
+
+describe('Container paging', () => {
+  let ldp;
+  const get = (path, headers = {}) => ldp.fetch(ldp.url(path), { headers: Object.assign({ accept: 'text/turtle' }, headers) });
+  const links = resp => LinkHeader.parse(resp.headers.get('link'), new URL(resp.url));
+  const put = name => ldp.fetch(ldp.url('Data/' + name), { method: 'PUT', headers: { 'content-type': 'text/turtle' }, body: '<a> <b> <c>.' });
+  const contains = async resp => ((await resp.text()).match(/n[0-9]\.ttl/g) || []).sort();
+
+  beforeEach(async () => {
+    ldp = await makeLdp({ ldpConf: { pageSize: 2 } });
+    for (let i = 1; i <= 5; ++i)
+      assert.strictEqual((await put(`n${i}.ttl`)).status, 201);
+  });
+  afterEach(() => ldp.close());
+
+  it('redirects Containers with more than pageSize members to their first page', async () => {
+    const resp = await get('Data/');
+    assert.strictEqual(resp.status, 303);
+    assert.strictEqual(resp.headers.get('location'), ldp.url('Data/?page=1&size=2').href);
+    assert.strictEqual(resp.headers.get('preference-applied'), null);
+  });
+
+  it('sends small Containers whole', async () => {
+    assert.strictEqual((await get('Apps/')).status, 200);
+  });
+
+  it('links pages together', async () => {
+    let resp = await get('Data/?page=1&size=2');
+    assert.strictEqual(resp.status, 200);
+    assert.strictEqual(resp.headers.get('vary'), 'Accept, Prefer');
+    assert.ok(links(resp).first('type').href.endsWith('#Page'));
+    assert.strictEqual(links(resp).first('prev'), null);
+    assert.deepStrictEqual(await contains(resp), ['n1.ttl', 'n2.ttl']);
+
+    resp = await get(links(resp).first('next').target.href);
+    assert.strictEqual(links(resp).first('prev').target.href, ldp.url('Data/?page=1&size=2').href);
+    assert.deepStrictEqual(await contains(resp), ['n3.ttl', 'n4.ttl']);
+
+    resp = await get('Data/?page=3&size=2');
+    assert.strictEqual(links(resp).first('next'), null);
+    assert.strictEqual(links(resp).first('first').target.href, ldp.url('Data/?page=1&size=2').href);
+    assert.deepStrictEqual(await contains(resp), ['n5.ttl']);
+  });
+
+  it('pages when the client prefers it', async () => {
+    const resp = await get('Data/', { prefer: 'return=representation; max-member-count="4"' });
+    assert.strictEqual(resp.status, 303);
+    assert.strictEqual(resp.headers.get('location'), ldp.url('Data/?page=1&size=4').href);
+    assert.strictEqual(resp.headers.get('preference-applied'), 'return=representation');
+  });
+
+  it('sees members added since the last page', async () => {
+    await get('Data/?page=3&size=2');
+    assert.strictEqual((await put('n6.ttl')).status, 201);
+    assert.deepStrictEqual(await contains(await get('Data/?page=3&size=2')), ['n5.ttl', 'n6.ttl']);
+  });
+
+  it('refuses pages which don\'t exist with 400', async () => {
+    assert.strictEqual((await get('Data/?page=0')).status, 400);
+    assert.strictEqual((await get('Data/?page=1&size=x')).status, 400);
+  });
+
+  it('refuses unavailable representations with 406', async () => {
+    assert.strictEqual((await get('Data/?page=1', { accept: 'image/png' })).status, 406);
+    assert.strictEqual((await get('Data/?page=1', { accept: 'application/n-triples' })).headers.get('content-type'), 'application/n-triples');
+  });
+});
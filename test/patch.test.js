@@ -0,0 +1,81 @@
+const assert = require('assert');
+const { makeLdp, plant, post } = require('./helpers/ldp');
+const { makeResponse } = require('../lib/fetch-response');
+
+const SparqlUpdate = 'application/sparql-update';
+const Ex = 'PREFIX ex: <http://ex.example/#> ';
+
+describe('PATCH of managed resources', () => {
+  let ldp, failGets;
+  const bob = () => ldp.url('Data/app/people/bob.ttl');
+  const patch = (url, body, contentType = SparqlUpdate) => ldp.fetch(url, {
+    method: 'PATCH',
+    headers: { 'content-type': contentType, link: '<#me>; rel="root"' },
+    body,
+  });
+
+  beforeEach(async () => {
+    failGets = false;
+    ldp = await makeLdp({
+      wrap: ldpFetch => (url, options = {}) => failGets && (options.method || 'GET') === 'GET' && url.pathname.endsWith('bob.ttl')
+        ? makeResponse(url, 'busy', { status: 503 })
+        : ldpFetch(url, options),
+    });
+    assert.strictEqual((await plant(ldp, 'Data/', 'app')).status, 201);
+    assert.strictEqual((await post(ldp, 'Data/app/people/', 'bob.ttl', '<#me> <http://ex.example/#name> "Bob".')).status, 201);
+  });
+  afterEach(() => ldp.close());
+
+  it('stores the patched graph when it still validates', async () => {
+    const resp = await patch(bob(), Ex + 'INSERT DATA { <#me> ex:age 7 }');
+    assert.strictEqual(resp.status, 204);
+    const stored = await ldp.storage.read(bob());
+    assert.match(stored, /ex.example\/#age> 7/);
+    assert.match(stored, /"Bob"/);
+  });
+
+  it('refuses patches which break the schema with 422', async () => {
+    const before = await ldp.storage.read(bob());
+    const resp = await patch(bob(), Ex + 'DELETE DATA { <#me> ex:name "Bob" }');
+    assert.strictEqual(resp.status, 422);
+    assert.strictEqual(await ldp.storage.read(bob()), before);
+  });
+
+  it('refuses unsupported patch media types with 415', async () => {
+    const resp = await patch(bob(), '<#me> <http://ex.example/#age> 7.', 'text/turtle');
+    assert.strictEqual(resp.status, 415);
+  });
+
+  it('accepts N3 Patch', async () => {
+    const resp = await patch(bob(), `@prefix solid: <http://www.w3.org/ns/solid/terms#>.
+_:p a solid:InsertDeletePatch; solid:inserts { <#me> <http://ex.example/#age> 8 }.`, 'text/n3');
+    assert.strictEqual(resp.status, 204);
+    assert.match(await ldp.storage.read(bob()), /ex.example\/#age> 8/);
+  });
+
+  it('creates resources with ShapeTree metadata', async () => {
+    const carol = ldp.url('Data/app/people/carol.ttl');
+    const resp = await patch(carol, Ex + 'INSERT DATA { <#me> ex:name "Carol" }');
+    assert.strictEqual(resp.status, 201);
+    const rstat = await ldp.storage.rstat(carol);
+    assert.match(await ldp.storage.read(rstat.metaDataLocation), /tree#person>/);
+    const members = [];
+    for await (const member of ldp.storage.readMembers(ldp.url('Data/app/people/')))
+      members.push(member.href);
+    assert.deepStrictEqual(members, [bob().href, carol.href]);
+  });
+
+  it('creates nothing if the new resource doesn\'t validate', async () => {
+    const carol = ldp.url('Data/app/people/carol.ttl');
+    const resp = await patch(carol, Ex + 'INSERT DATA { <#me> ex:age 9 }');
+    assert.strictEqual(resp.status, 422);
+    await assert.rejects(ldp.storage.rstat(carol));
+  });
+
+  it('returns the failure if the current state can\'t be read', async () => {
+    failGets = true;
+    const resp = await patch(bob(), Ex + 'INSERT DATA { <#me> ex:age 7 }');
+    assert.strictEqual(resp.status, 503);
+    assert.doesNotMatch(await ldp.storage.read(bob()), /age/);
+  });
+});
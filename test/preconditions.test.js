@@ -0,0 +1,80 @@
+const assert = require('assert');
+const Errors = require('../lib/rdf-errors');
+const Preconditions = require('../lib/preconditions');
+const { makeLdp } = require('./helpers/ldp');
+
+const Url = new URL('http://localhost/x');
+const Stat = { etag: '"abc"', lastModified: new Date('2021-06-01T12:00:00.500Z') };
+const fails = (headers, rstat = Stat) => assert.throws(() => Preconditions.check(headers, rstat, Url), e =>
+  e instanceof Errors.PreconditionFailedError && e.status === 412);
+const passes = (headers, rstat = Stat) => assert.doesNotThrow(() => Preconditions.check(headers, rstat, Url));
+
+describe('Preconditions', () => {
+  it('makes strong entity tags from contents', () => {
+    assert.strictEqual(Preconditions.entityTag('a'), Preconditions.entityTag('a'));
+    assert.notStrictEqual(Preconditions.entityTag('a'), Preconditions.entityTag('b'));
+    assert.match(Preconditions.entityTag('a'), /^"[0-9a-f]+"$/);
+  });
+
+  it('makes entity tags from file stats', () => {
+    const stat = { ino: 10n, size: 255n, mtimeNs: 4096n };
+    assert.strictEqual(Preconditions.statTag(stat, stat), '"a-ff-1000.a-ff-1000"');
+  });
+
+  it('checks If-Match with strong comparison', () => {
+    passes({ 'if-match': '"abc"' });
+    passes({ 'if-match': '"x", "abc"' });
+    passes({ 'if-match': '*' });
+    fails({ 'if-match': '"x"' });
+    fails({ 'if-match': 'W/"abc"' });
+    fails({ 'if-match': '*' }, null);
+  });
+
+  it('checks If-None-Match with weak comparison', () => {
+    fails({ 'if-none-match': 'W/"abc"' });
+    fails({ 'if-none-match': '*' });
+    passes({ 'if-none-match': '"x"' });
+    passes({ 'if-none-match': '*' }, null);
+  });
+
+  it('checks If-Unmodified-Since to the second', () => {
+    passes({ 'if-unmodified-since': 'Tue, 01 Jun 2021 12:00:00 GMT' });
+    fails({ 'if-unmodified-since': 'Tue, 01 Jun 2021 11:59:59 GMT' });
+    passes({ 'if-unmodified-since': 'not a date' });
+  });
+
+  it('ignores If-Unmodified-Since when If-Match is given', () => {
+    passes({ 'if-match': '"abc"', 'if-unmodified-since': 'Mon, 01 Jan 2001 00:00:00 GMT' });
+  });
+
+  describe('in shapeTreeFetch', () => {
+    let ldp;
+    const put = (body, headers = {}) => ldp.fetch(ldp.url('Data/x.ttl'), {
+      method: 'PUT',
+      headers: Object.assign({ 'content-type': 'text/turtle' }, headers),
+      body,
+    });
+    beforeEach(async () => { ldp = await makeLdp(); });
+    afterEach(() => ldp.close());
+
+    it('creates only absent resources with If-None-Match: *', async () => {
+      assert.strictEqual((await put('<a> <b> 1.', { 'if-none-match': '*' })).status, 201);
+      const resp = await put('<a> <b> 2.', { 'if-none-match': '*' });
+      assert.strictEqual(resp.status, 412);
+      assert.match(await ldp.storage.read(ldp.url('Data/x.ttl')), /1/);
+    });
+
+    it('refuses stale If-Match with 412', async () => {
+      assert.strictEqual((await put('<a> <b> 1.')).status, 201);
+      const etag = (await ldp.storage.rstat(ldp.url('Data/x.ttl'))).etag;
+      assert.strictEqual((await put('<a> <b> 2.', { 'if-match': etag })).status, 204);
+      assert.strictEqual((await put('<a> <b> 3.', { 'if-match': etag })).status, 412);
+      assert.strictEqual((await ldp.fetch(ldp.url('Data/x.ttl'), { method: 'DELETE', headers: { 'if-match': etag } })).status, 412);
+      assert.match(await ldp.storage.read(ldp.url('Data/x.ttl')), /2/);
+    });
+
+    it('refuses If-Match on absent resources', async () => {
+      assert.strictEqual((await put('<a> <b> 1.', { 'if-match': '*' })).status, 412);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { makeLdp, plant, members } = require('./helpers/ldp');
+
+describe('PUT into managed Containers', () => {
+  let ldp;
+  const put = (path, body, link = '<#me>; rel="root"', contentType = 'text/turtle') => ldp.fetch(ldp.url(path), {
+    method: 'PUT',
+    headers: { 'content-type': contentType, link },
+    body,
+  });
+  const metadata = async path => ldp.storage.read((await ldp.storage.rstat(ldp.url(path))).metaDataLocation);
+  const exists = path => ldp.storage.rstat(ldp.url(path)).then(s => true, e => false);
+
+  beforeEach(async () => {
+    ldp = await makeLdp();
+    assert.strictEqual((await plant(ldp, 'Data/', 'app')).status, 201);
+  });
+  afterEach(() => ldp.close());
+
+  it('creates resources which validate against the matching step', async () => {
+    const resp = await put('Data/app/people/bob.ttl', '<#me> <http://ex.example/#name> "Bob".');
+    assert.strictEqual(resp.status, 201);
+    assert.match(await metadata('Data/app/people/bob.ttl'), /tree#person>/);
+    assert.deepStrictEqual(await members(ldp, 'Data/app/people/'), ['/Data/app/people/bob.ttl']);
+  });
+
+  it('refuses resources which don\'t validate with 422', async () => {
+    assert.strictEqual((await put('Data/app/people/bob.ttl', '<#me> <http://ex.example/#age> 7.')).status, 422);
+    assert.strictEqual(await exists('Data/app/people/bob.ttl'), false);
+    assert.deepStrictEqual(await members(ldp, 'Data/app/people/'), []);
+  });
+
+  it('refuses names which match no step', async () => {
+    const resp = await put('Data/app/people/bob.txt', '<#me> <http://ex.example/#name> "Bob".');
+    assert.strictEqual(resp.status, 422);
+    assert.match(await resp.text(), /UriTemplateMatchError/);
+    assert.strictEqual(await exists('Data/app/people/bob.txt'), false);
+  });
+
+  it('replaces resources which still validate and keeps their metadata', async () => {
+    assert.strictEqual((await put('Data/app/people/bob.ttl', '<#me> <http://ex.example/#name> "Bob".')).status, 201);
+    const before = await metadata('Data/app/people/bob.ttl');
+    assert.strictEqual((await put('Data/app/people/bob.ttl', '<#me> <http://ex.example/#name> "Robert".', '')).status, 204);
+    assert.match(await ldp.storage.read(ldp.url('Data/app/people/bob.ttl')), /Robert/);
+    assert.strictEqual(await metadata('Data/app/people/bob.ttl'), before);
+    assert.strictEqual((await put('Data/app/people/bob.ttl', '<#me> <http://ex.example/#age> 7.', '')).status, 422);
+    assert.match(await ldp.storage.read(ldp.url('Data/app/people/bob.ttl')), /Robert/);
+  });
+
+  it('replaces Containers and keeps their metadata', async () => {
+    const before = await metadata('Data/app/notes/');
+    const resp = await put('Data/app/notes/', '<> <http://purl.org/dc/terms/title> "Notes".', '');
+    assert.strictEqual(resp.status, 204);
+    assert.strictEqual(await metadata('Data/app/notes/'), before);
+  });
+
+  it('checks rel="type" against the URL', async () => {
+    const resp = await put('Data/app/people/bob.ttl', '', '<http://www.w3.org/ns/ldp#Container>; rel="type"');
+    assert.strictEqual(resp.status, 400);
+  });
+
+  it('won\'t change what kind of resource is stored', async () => {
+    assert.strictEqual((await put('Data/app/people/bob.ttl', '<#me> <http://ex.example/#name> "Bob".')).status, 201);
+    const resp = await put('Data/app/people/bob.ttl', 'bytes', '<http://www.w3.org/ns/ldp#NonRDFSource>; rel="type"', 'text/plain');
+    assert.strictEqual(resp.status, 409);
+  });
+
+  it('leaves unmanaged Containers to the server', async () => {
+    assert.strictEqual((await put('Data/anything.txt', 'text', '', 'text/plain')).status, 201);
+  });
+});
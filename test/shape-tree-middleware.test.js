@@ -0,0 +1,116 @@
+const assert = require('assert');
+const Http = require('http');
+const RdfSerializer = require('../lib/rdf-serialization');
+const ShapeTreeMiddleware = require('../lib/shape-tree-middleware');
+const { makeLdp, AppPayload } = require('./helpers/ldp');
+
+describe('ShapeTreeMiddleware', () => {
+  let ldp, server, passed, errors, parseBodies;
+
+  /* request over HTTP; header values may be arrays to repeat headers
+   */
+  const request = (method, path, headers = {}, body = null) => new Promise((resolve, reject) => {
+    const req = Http.request(new URL(path, `http://localhost:${server.address().port}/`), { method, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text: Buffer.concat(chunks).toString('utf8') }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+  const plant = () => request('POST', '/Data/', {
+    'content-type': 'text/turtle',
+    slug: 'app',
+    link: '<http://st.example/tree#root>; rel="shapeTree", <http://www.w3.org/ns/ldp#Container>; rel="type"',
+  }, AppPayload);
+  const postPerson = (slug, body, link = ['<http://www.w3.org/ns/ldp#Resource>; rel="type"', '<#me>; rel="root"']) =>
+    request('POST', '/Data/app/people/', { 'content-type': 'text/turtle', slug, link }, body);
+
+  beforeEach(async () => {
+    ldp = await makeLdp();
+    passed = [];
+    errors = [];
+    parseBodies = false;
+    const middleware = ShapeTreeMiddleware.makeShapeTreeMiddleware(ldp.storage, RdfSerializer, ldp.ldpFetch, ldp.base, { apps: 'Apps', cache: 'Cache' });
+    server = Http.createServer(async (req, res) => {
+      if (parseBodies) { // like a body parser mounted before the middleware
+        const chunks = [];
+        for await (const chunk of req)
+          chunks.push(chunk);
+        req.body = Buffer.concat(chunks).toString('utf8');
+      }
+      await middleware(req, res, e => {
+        if (e) {
+          errors.push(e);
+          res.writeHead(500);
+        } else {
+          passed.push(`${req.method} ${req.url}`);
+          res.writeHead(299);
+        }
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  });
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    ldp.close();
+  });
+
+  it('passes reads and unmanaged changes on', async () => {
+    assert.strictEqual((await request('GET', '/Data/')).status, 299);
+    assert.strictEqual((await request('PUT', '/Data/x.ttl', { 'content-type': 'text/turtle' }, '<a> <b> <c>.')).status, 299);
+    assert.deepStrictEqual(passed, ['GET /Data/', 'PUT /Data/x.ttl']);
+  });
+
+  it('plants and enforces ShapeTrees', async () => {
+    const planted = await plant();
+    assert.strictEqual(planted.status, 201);
+    assert.strictEqual(planted.headers.location, 'http://localhost/Data/app/');
+    assert.strictEqual((await postPerson('bob.ttl', '<#me> <http://ex.example/#name> "Bob".')).status, 201);
+    const invalid = await postPerson('eve.ttl', '<#me> <http://ex.example/#age> 7.');
+    assert.strictEqual(invalid.status, 422);
+    assert.strictEqual(invalid.headers['content-type'], 'application/problem+json');
+    assert.strictEqual((await request('GET', '/Data/app/people/bob.ttl')).status, 299);
+    assert.deepStrictEqual(passed, ['GET /Data/app/people/bob.ttl']);
+  });
+
+  it('keeps repeated Link headers apart', async () => {
+    assert.strictEqual((await plant()).status, 201);
+    const resp = await postPerson('bob.ttl', '<#you> <http://ex.example/#name> "Bob".',
+      ['<http://www.w3.org/ns/ldp#Resource>; rel="type"; title="a, b"', '<#you>; rel="root"']);
+    assert.strictEqual(resp.status, 201);
+    const metadata = await ldp.storage.readMetaData(ldp.url('Data/app/people/bob.ttl'), {});
+    assert.strictEqual(metadata.getQuads(null, 'http://www.w3.org/ns/shapetree#validationRoot', null)[0].object.value, 'http://localhost/Data/app/people/bob.ttl#you');
+  });
+
+  it('makes fetch options from requests', async () => {
+    const req = {
+      method: 'PATCH',
+      headers: { link: '<a>; rel="x", <b>; rel="y"', 'content-type': 'text/n3' },
+      rawHeaders: ['Link', '<a>; rel="x"', 'Content-Type', 'text/n3', 'link', '<b>; rel="y"'],
+      body: 'patch',
+    };
+    assert.deepStrictEqual(await ShapeTreeMiddleware.requestOptions(req), {
+      method: 'PATCH',
+      headers: { link: ['<a>; rel="x"', '<b>; rel="y"'], 'content-type': 'text/n3' },
+      body: Buffer.from('patch'),
+    });
+    assert.deepStrictEqual(await ShapeTreeMiddleware.requestOptions({ method: 'GET', headers: {}, rawHeaders: [] }), { method: 'GET', headers: {} });
+  });
+
+  it('uses bodies which were already parsed', async () => {
+    parseBodies = true;
+    assert.strictEqual((await plant()).status, 201);
+    assert.strictEqual((await postPerson('bob.ttl', '<#me> <http://ex.example/#name> "Bob".')).status, 201);
+  });
+
+  it('passes errors to next', async () => {
+    assert.strictEqual((await plant()).status, 201);
+    const middleware = ShapeTreeMiddleware.makeShapeTreeMiddleware(ldp.storage, RdfSerializer, ldp.ldpFetch, ldp.base, { apps: 'Apps', cache: 'Cache' });
+    const req = { method: 'PUT', url: '/Data/app/people/bob.ttl', headers: {}, readableEnded: true };
+    let error = null;
+    await middleware(req, null, e => { error = e; });
+    assert.match(error.message, /already read/);
+  });
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const Fs = require('fs');
+const Path = require('path');
+const { makeLdp, plant, post, members } = require('./helpers/ldp');
+
+describe('unplant', () => {
+  let ldp;
+  const unplant = (path, shapeTree = 'http://st.example/tree#root', headers = {}) => ldp.fetch(ldp.url(path), {
+    method: 'DELETE',
+    headers: Object.assign({ link: `<${shapeTree}>; rel="shapeTree"` }, headers),
+  });
+  const exists = path => Fs.existsSync(Path.join(ldp.docRoot, path));
+
+  beforeEach(async () => {
+    ldp = await makeLdp();
+    assert.strictEqual((await plant(ldp, 'Data/', 'app')).status, 201);
+    assert.strictEqual((await post(ldp, 'Data/app/people/', 'bob.ttl', '<#me> <http://ex.example/#name> "Bob".')).status, 201);
+  });
+  afterEach(() => ldp.close());
+
+  it('removes the instance, its registration and its index in the parent', async () => {
+    const resp = await unplant('Data/app/');
+    assert.strictEqual(resp.status, 200);
+    const report = await resp.text();
+    assert.match(report, /tree:removed/);
+    assert.match(report, /people\/bob\.ttl/);
+    assert.strictEqual(exists('Data/app'), false);
+    assert.deepStrictEqual(await members(ldp, 'Apps/'), []);
+    assert.strictEqual(exists('Apps/MyApp'), false);
+    const index = await ldp.storage.readContainer(ldp.url('Data/'), {});
+    assert.strictEqual(index.getQuads(ldp.url('Data/app/').href, null, null, null).length, 0);
+  });
+
+  it('keeps the data but not the metadata with Prefer: retain-data', async () => {
+    const resp = await unplant('Data/app/', undefined, { prefer: 'retain-data' });
+    assert.strictEqual(resp.status, 200);
+    assert.match(await resp.text(), /tree:unmanaged/);
+    assert.strictEqual(exists('Data/app/people/bob.ttl'), true);
+    assert.strictEqual(exists('Data/app/people/bob.ttl.meta'), false);
+    assert.strictEqual(exists('Data/app/.meta'), false);
+    // Unmanaged now, so anything goes.
+    assert.strictEqual((await post(ldp, 'Data/app/people/', 'junk', '<a> <b> <c>.')).status, 201);
+  });
+
+  it('refuses to unplant a different ShapeTree', async () => {
+    const resp = await unplant('Data/app/', 'http://st.example/other#root');
+    assert.strictEqual(resp.status, 422);
+    assert.strictEqual(exists('Data/app/people/bob.ttl'), true);
+  });
+
+  it('refuses to unplant a Container which isn\'t an instance root', async () => {
+    const resp = await unplant('Data/app/people/');
+    assert.strictEqual(resp.status, 422);
+    assert.strictEqual(exists('Data/app/people/bob.ttl'), true);
+  });
+});
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const N3 = require('n3');
+const RdfSerializer = require('../lib/rdf-serialization');
+const Prefixes = require('../lib/prefixes');
+const Errors = require('../lib/rdf-errors');
+const ValidationReport = require('../lib/validation-report');
+const { makeLdp, plant, post } = require('./helpers/ldp');
+
+describe('validation reports', () => {
+  let ldp;
+  const invalid = accept => post(ldp, 'Data/app/people/', 'eve.ttl', '<#me> <http://ex.example/#age> 3.', accept ? { accept } : {});
+
+  beforeEach(async () => {
+    ldp = await makeLdp();
+    assert.strictEqual((await plant(ldp, 'Data/', 'app')).status, 201);
+  });
+  afterEach(() => ldp.close());
+
+  it('describe validation failures as problem+json by default', async () => {
+    const resp = await invalid();
+    assert.strictEqual(resp.status, 422);
+    assert.strictEqual(resp.headers.get('content-type'), ValidationReport.MediaTypes.problemJson);
+    const problem = await resp.json();
+    assert.strictEqual(problem.status, 422);
+    assert.strictEqual(problem.shape, 'http://st.example/schema#PersonShape');
+    assert.strictEqual(problem.focusNode, 'http://localhost/Data/app/people/eve.ttl#me');
+    const missing = problem.results.find(r => r.path === 'http://ex.example/#name');
+    assert.strictEqual(missing.severity, 'Violation');
+    assert.strictEqual(missing.actual, 0);
+    assert.strictEqual(missing.expected.min, 1);
+    assert.strictEqual(problem.stack, undefined);
+  });
+
+  it('negotiate SHACL validation reports in Turtle', async () => {
+    const resp = await invalid('text/turtle');
+    assert.strictEqual(resp.status, 422);
+    assert.strictEqual(resp.headers.get('content-type'), 'text/turtle');
+    const graph = await RdfSerializer.parseTurtle(await resp.text(), ldp.url('Data/app/people/'), {});
+    const sh = ln => N3.DataFactory.namedNode(Prefixes.sh + ln);
+    assert.strictEqual(graph.getQuads(null, sh('conforms'), null).map(q => q.object.value).join(), 'false');
+    const [result] = graph.getQuads(null, sh('resultPath'), N3.DataFactory.namedNode('http://ex.example/#name')).map(q => q.subject);
+    assert.ok(result);
+    assert.strictEqual(graph.getQuads(result, N3.DataFactory.namedNode(Prefixes.tree + 'actualCount'), null)[0].object.value, '0');
+  });
+
+  it('negotiate SHACL validation reports in JSON-LD', async () => {
+    const resp = await invalid('application/ld+json');
+    assert.strictEqual(resp.headers.get('content-type'), 'application/ld+json');
+    assert.match(await resp.text(), /ValidationReport/);
+  });
+
+  it('describe other errors as problem+json', async () => {
+    const resp = await ldp.fetch(ldp.url('Data/nope/'), { method: 'POST', headers: { 'content-type': 'text/turtle', accept: 'text/turtle' }, body: '' });
+    assert.strictEqual(resp.status, 404);
+    assert.strictEqual(resp.headers.get('content-type'), ValidationReport.MediaTypes.problemJson);
+    assert.deepStrictEqual(Object.keys(await resp.json()).sort(), ['detail', 'status', 'title', 'type']);
+  });
+
+  it('render literals as JSON-LD value objects', () => {
+    const { literal, namedNode } = N3.DataFactory;
+    const e = new Errors.ValidationError('http://a.example/#n', 'http://a.example/#S', 'bad', [{
+      focusNode: namedNode('http://a.example/#n'), path: namedNode('http://a.example/#p'),
+      value: literal('x', 'en'), sourceShape: null, component: Prefixes.sh + 'InConstraintComponent',
+      message: 'bad', expected: null, actual: null,
+    }]);
+    const [result] = ValidationReport.problemDetails(e).results;
+    assert.deepStrictEqual(result.value, { '@value': 'x', '@language': 'en' });
+    assert.strictEqual(result.sourceShape, null);
+  });
+});
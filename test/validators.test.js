@@ -0,0 +1,82 @@
+const assert = require('assert');
+const RdfSerializer = require('../lib/rdf-serialization');
+const Validators = require('../lib/validators');
+const Prefixes = require('../lib/prefixes');
+const { makeLdp, plant, post, Remote } = require('./helpers/ldp');
+
+const ShaclShapes = `
+@prefix sh: <http://www.w3.org/ns/shacl#>.
+@prefix ex: <http://ex.example/#>.
+<#PersonShape> a sh:NodeShape ;
+  sh:property [ sh:path ex:name ; sh:minCount 1 ; sh:maxCount 1 ] .
+`;
+
+describe('Validators', () => {
+  const schemaUrl = new URL('http://st.example/shapes');
+  const payload = text => RdfSerializer.parseTurtle(text, new URL('http://localhost/bob'), {});
+
+  it('picks a validator by media type or shape type', async () => {
+    const load = (text, type, shape) => Validators.loadSchema(text, schemaUrl, type, shape, RdfSerializer);
+    assert.strictEqual((await load(Remote['http://st.example/schema'][1], 'text/shex')).validator, Validators.ShEx);
+    assert.strictEqual((await load(ShaclShapes, 'text/turtle', schemaUrl.href + '#PersonShape')).validator, Validators.Shacl);
+    assert.strictEqual((await load(ShaclShapes, 'text/turtle', schemaUrl.href + '#Other')).validator, Validators.Shacl);
+    assert.strictEqual((await load('<#S> {}', 'text/plain')).validator, Validators.ShEx);
+  });
+
+  it('reports SHACL violations as ValidationResults', async () => {
+    const { validator, schema } = await Validators.loadSchema(ShaclShapes, schemaUrl, 'text/turtle', null, RdfSerializer);
+    const shape = schemaUrl.href + '#PersonShape';
+    assert.deepStrictEqual(validator.shapeLabels(schema), [shape]);
+    const ok = validator.validate(schema, shape, await payload('<#me> <http://ex.example/#name> "Bob".'), 'http://localhost/bob#me');
+    assert.strictEqual(ok.conforms, true);
+    const bad = validator.validate(schema, shape, await payload('<#me> <http://ex.example/#age> 3.'), 'http://localhost/bob#me');
+    assert.strictEqual(bad.conforms, false);
+    assert.strictEqual(bad.results.length, 1);
+    const [result] = bad.results;
+    assert.strictEqual(result.component, Prefixes.sh + 'MinCountConstraintComponent');
+    assert.strictEqual(result.path.value, 'http://ex.example/#name');
+    assert.deepStrictEqual(result.expected, { min: 1, max: 1 });
+    assert.strictEqual(result.actual, 0);
+  });
+
+  it('reports ShEx violations as ValidationResults', async () => {
+    const schemaText = Remote['http://st.example/schema'][1];
+    const { validator, schema } = await Validators.loadSchema(schemaText, new URL('http://st.example/schema'), 'text/shex', null, RdfSerializer);
+    const bad = validator.validate(schema, 'http://st.example/schema#PersonShape', await payload('<#me> <http://ex.example/#age> 3.'), 'http://localhost/bob#me');
+    assert.strictEqual(bad.conforms, false);
+    assert.ok(bad.results.find(r => r.path && r.path.value === 'http://ex.example/#name' && r.actual === 0));
+  });
+
+  it('prefers registered validators', async () => {
+    Validators.register({
+      name: 'test', mediaTypes: ['application/x-test-schema'], shapeTypes: [],
+      parse: async text => ({ text }),
+      shapeLabels: () => ['http://st.example/shapes#S'],
+      validate: () => ({ conforms: true, text: '', results: [] }),
+    });
+    const { validator, schema } = await Validators.loadSchema('anything', schemaUrl, 'application/x-test-schema', null, RdfSerializer);
+    assert.strictEqual(validator.name, 'test');
+    assert.strictEqual(schema.text, 'anything');
+  });
+
+  describe('in ShapeTrees', () => {
+    let ldp;
+    beforeEach(async () => {
+      ldp = await makeLdp({
+        remote: Object.assign({}, Remote, {
+          'http://st.example/tree': ['text/turtle', Remote['http://st.example/tree'][1].replace('<schema#PersonShape>', '<shapes#PersonShape>')],
+          'http://st.example/shapes': ['text/turtle', ShaclShapes],
+        }),
+      });
+      assert.strictEqual((await plant(ldp, 'Data/', 'app')).status, 201);
+    });
+    afterEach(() => ldp.close());
+
+    it('validates with SHACL shapes', async () => {
+      assert.strictEqual((await post(ldp, 'Data/app/people/', 'bob.ttl', '<#me> <http://ex.example/#name> "Bob".')).status, 201);
+      const resp = await post(ldp, 'Data/app/people/', 'eve.ttl', '<#me> <http://ex.example/#name> "Eve", "Evelyn".');
+      assert.strictEqual(resp.status, 422);
+      assert.match(await resp.text(), /MaxCount/);
+    });
+  });
+});
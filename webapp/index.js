@@ -1,4 +1,5 @@
 // module.exports = window.shapeTrees = require('./shapetree.js/lib/shape-tree.js')
 
 const ShapeTrees = require('../lib/shape-tree.js')
-export { ShapeTrees }
+const MemoryStorage = require('../storage/memory.js')
+export { ShapeTrees, MemoryStorage }